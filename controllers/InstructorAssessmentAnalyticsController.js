@@ -1,8 +1,11 @@
 import {
   getInstructorExecutedAssessmentsModel,
   getAssessmentStudentsModel,
-  getStudentAttemptQuestionsModel
+  getStudentAttemptQuestionsModel,
+  getDifficultyFairnessModel,
+  getObjectiveAnalyticsModel
 } from "../models/InstructorAssessmentAnalyticsModel.js";
+import { overrideAnswerScore, getOverrideHistory, regradeQuestions } from "../models/gradeOverrideModel.js";
 import { redis } from "../services/redis.js";
 
 /**
@@ -143,4 +146,283 @@ export const getStudentAttemptQuestions = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+/**
+ * Override the score of a single answer
+ * @route PUT /api/instructor-analytics/assessment/:id/questions/:questionId/score
+ */
+export const overrideStudentAnswerScore = async (req, res) => {
+  try {
+    const assessmentId = parseInt(req.params.id);
+    const questionId = parseInt(req.params.questionId);
+    const instructorId = req.user?.id;
+
+    if (!instructorId || req.user.role !== "instructor") {
+      return res.status(403).json({
+        success: false,
+        message: "Only instructors can change grades"
+      });
+    }
+
+    const { score, comment } = req.body || {};
+    const newScore = Number(score);
+    if (isNaN(assessmentId) || isNaN(questionId) || score === undefined || score === null || !Number.isFinite(newScore)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid assessment, question and numeric score are required"
+      });
+    }
+    if (!comment || typeof comment !== "string" || !comment.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A comment explaining the change is required"
+      });
+    }
+
+    const override = await overrideAnswerScore({
+      assessmentId,
+      questionId,
+      score: newScore,
+      comment: comment.trim(),
+      instructorId
+    });
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: "Answer not found in a completed attempt of your assessment"
+      });
+    }
+
+    await redis.del(`analytics:students:${assessmentId}`);
+    await redis.del(`student:assessments:list:${override.student_id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Score updated successfully",
+      data: override
+    });
+  } catch (error) {
+    console.error("❌ Error overriding answer score:", error);
+    if (error.message.startsWith("Score must be between")) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to update score",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Grade change history for a student's attempts
+ * @route GET /api/instructor-analytics/assessment/:id/student/:studentId/grade-history
+ */
+export const getStudentGradeHistory = async (req, res) => {
+  try {
+    const assessmentId = parseInt(req.params.id);
+    const studentId = parseInt(req.params.studentId);
+    const instructorId = req.user?.id;
+
+    if (!instructorId || req.user.role !== "instructor") {
+      return res.status(403).json({
+        success: false,
+        message: "Only instructors can access student data"
+      });
+    }
+
+    if (isNaN(assessmentId) || isNaN(studentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid assessment ID or student ID"
+      });
+    }
+
+    const history = await getOverrideHistory(assessmentId, studentId, instructorId);
+
+    res.status(200).json({
+      success: true,
+      message: "Grade history retrieved successfully",
+      data: history
+    });
+  } catch (error) {
+    console.error("❌ Error fetching grade history:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch grade history",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Difficulty spread across all attempts of an assessment
+ * @route GET /api/instructor-analytics/assessment/:id/fairness
+ */
+export const getDifficultyFairnessReport = async (req, res) => {
+  try {
+    const assessmentId = parseInt(req.params.id);
+    const instructorId = req.user?.id;
+
+    if (!instructorId || req.user.role !== "instructor") {
+      return res.status(403).json({
+        success: false,
+        message: "Only instructors can access fairness reports"
+      });
+    }
+
+    if (isNaN(assessmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid assessment ID"
+      });
+    }
+
+    const report = await getDifficultyFairnessModel(assessmentId, instructorId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Assessment not found or access denied"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Fairness report retrieved successfully",
+      data: report
+    });
+  } catch (error) {
+    console.error("❌ Error building fairness report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build fairness report",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Class performance by learning objective and cognitive level
+ * @route GET /api/instructor-analytics/assessment/:id/objectives
+ */
+export const getObjectiveAnalytics = async (req, res) => {
+  try {
+    const assessmentId = parseInt(req.params.id);
+    const instructorId = req.user?.id;
+
+    if (!instructorId || req.user.role !== "instructor") {
+      return res.status(403).json({
+        success: false,
+        message: "Only instructors can access assessment analytics"
+      });
+    }
+
+    if (isNaN(assessmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid assessment ID"
+      });
+    }
+
+    const analytics = await getObjectiveAnalyticsModel(assessmentId, instructorId);
+    if (!analytics) {
+      return res.status(404).json({
+        success: false,
+        message: "Assessment not found or access denied"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Objective analytics retrieved successfully",
+      data: analytics
+    });
+  } catch (error) {
+    console.error("❌ Error fetching objective analytics:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch objective analytics",
+      error: error.message
+    });
+  }
+};
+
+const regrade = (apply) => async (req, res) => {
+  try {
+    const assessmentId = parseInt(req.params.id);
+    const instructorId = req.user?.id;
+
+    if (!instructorId || req.user.role !== "instructor") {
+      return res.status(403).json({
+        success: false,
+        message: "Only instructors can regrade assessments"
+      });
+    }
+
+    const { questionId, questionText, correctAnswer, comment } = req.body || {};
+    const parsedQuestionId = questionId !== undefined && questionId !== null ? parseInt(questionId) : null;
+    if (isNaN(assessmentId) || (parsedQuestionId === null && !String(questionText || "").trim()) || Number.isNaN(parsedQuestionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid assessment and either a questionId or questionText are required"
+      });
+    }
+    if (correctAnswer === undefined || correctAnswer === null || correctAnswer === "") {
+      return res.status(400).json({
+        success: false,
+        message: "The corrected answer is required"
+      });
+    }
+
+    const report = await regradeQuestions({
+      assessmentId,
+      instructorId,
+      questionId: parsedQuestionId,
+      questionText: parsedQuestionId === null ? String(questionText).trim() : null,
+      correctAnswer,
+      comment: typeof comment === "string" && comment.trim() ? comment.trim() : null,
+      apply
+    });
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "No matching question found in your assessment"
+      });
+    }
+
+    if (apply) {
+      await redis.del(`analytics:students:${assessmentId}`);
+      for (const studentId of new Set(report.attempts.map(a => a.student_id))) {
+        await redis.del(`student:assessments:list:${studentId}`);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: apply ? "Answer key corrected and attempts regraded" : "Regrade preview generated",
+      data: report
+    });
+  } catch (error) {
+    console.error(`❌ Error ${apply ? "applying" : "previewing"} regrade:`, error);
+    if (error.message.startsWith("Invalid correct answer")) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to regrade assessment",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Preview the per-student score changes of an answer key correction without saving
+ * @route POST /api/instructor-analytics/assessment/:id/regrade/preview
+ */
+export const previewRegrade = regrade(false);
+
+/**
+ * Correct an answer key and regrade every completed attempt that received the question
+ * @route POST /api/instructor-analytics/assessment/:id/regrade
+ */
+export const applyRegrade = regrade(true);
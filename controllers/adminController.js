@@ -0,0 +1,145 @@
+import { getReminders } from "../models/reminderModel.js";
+import { getLlmStats } from "../services/geminiService.js";
+import { getRetryPolicy } from "../services/llmConfig.js";
+import { getUsageReport, updateInstructorAiSettings, setInstitutionQuota } from "../models/llmUsageModel.js";
+
+/**
+ * Admin Controller
+ * Operational views for administrators
+ */
+
+const REMINDER_STATUSES = ["scheduled", "processing", "sent", "failed", "skipped"];
+
+/**
+ * List assessment reminders with per-status counts
+ * @route GET /api/admin/reminders
+ */
+export const listReminders = async (req, res) => {
+  try {
+    const { status, assessment_id } = req.query;
+    if (status && !REMINDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${REMINDER_STATUSES.join(", ")}`,
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const data = await getReminders({
+      status,
+      assessmentId: assessment_id ? parseInt(assessment_id) : null,
+      limit,
+      offset,
+    });
+
+    res.status(200).json({ success: true, message: "Reminders retrieved successfully", data });
+  } catch (error) {
+    console.error("❌ List reminders error:", error);
+    res.status(500).json({ success: false, message: "Failed to retrieve reminders" });
+  }
+};
+
+/**
+ * LLM call counters, token usage, circuit breaker state and key cooldowns per task
+ * @route GET /api/admin/llm/stats
+ */
+export const getLlmStatsReport = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: "LLM stats retrieved successfully",
+      data: { policy: getRetryPolicy(), tasks: getLlmStats() },
+    });
+  } catch (error) {
+    console.error("❌ LLM stats error:", error);
+    res.status(500).json({ success: false, message: "Failed to retrieve LLM stats" });
+  }
+};
+
+// null clears a quota (back to the default); otherwise a non-negative whole number of tokens
+const parseQuota = (value) => {
+  if (value === null) return { quota: null };
+  const quota = Number(value);
+  return Number.isInteger(quota) && quota >= 0
+    ? { quota }
+    : { error: "monthly_token_quota must be a non-negative integer or null" };
+};
+
+/**
+ * Monthly LLM usage totals by task, instructor and institution
+ * @route GET /api/admin/llm/usage
+ */
+export const getLlmUsageReport = async (req, res) => {
+  try {
+    const { month, instructor_id, institution } = req.query;
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ success: false, message: "Month must be in YYYY-MM format" });
+    }
+
+    const data = await getUsageReport({
+      month,
+      instructorId: instructor_id ? parseInt(instructor_id) : null,
+      institution: institution || null,
+    });
+
+    res.status(200).json({ success: true, message: "LLM usage retrieved successfully", data });
+  } catch (error) {
+    console.error("❌ LLM usage report error:", error);
+    res.status(500).json({ success: false, message: "Failed to retrieve LLM usage" });
+  }
+};
+
+/**
+ * Set an instructor's monthly token quota and/or institution
+ * @route PUT /api/admin/llm/quotas/instructors/:instructorId
+ */
+export const updateInstructorQuota = async (req, res) => {
+  try {
+    const { monthly_token_quota, institution } = req.body || {};
+    if (monthly_token_quota === undefined && institution === undefined) {
+      return res.status(400).json({ success: false, message: "Provide monthly_token_quota and/or institution" });
+    }
+
+    let monthlyTokenQuota;
+    if (monthly_token_quota !== undefined) {
+      const parsed = parseQuota(monthly_token_quota);
+      if (parsed.error) return res.status(400).json({ success: false, message: parsed.error });
+      monthlyTokenQuota = parsed.quota;
+    }
+    if (institution !== undefined && institution !== null && (typeof institution !== "string" || !institution.trim())) {
+      return res.status(400).json({ success: false, message: "Institution must be a non-empty string or null" });
+    }
+
+    const instructor = await updateInstructorAiSettings(parseInt(req.params.instructorId), {
+      monthlyTokenQuota,
+      institution: typeof institution === "string" ? institution.trim() : institution,
+    });
+    if (!instructor) {
+      return res.status(404).json({ success: false, message: "Instructor not found" });
+    }
+
+    res.status(200).json({ success: true, message: "Instructor AI quota updated", data: instructor });
+  } catch (error) {
+    console.error("❌ Update instructor quota error:", error);
+    res.status(500).json({ success: false, message: "Failed to update instructor quota" });
+  }
+};
+
+/**
+ * Set an institution's monthly token quota
+ * @route PUT /api/admin/llm/quotas/institutions/:institution
+ */
+export const updateInstitutionQuota = async (req, res) => {
+  try {
+    const parsed = parseQuota(req.body?.monthly_token_quota);
+    if (parsed.error) return res.status(400).json({ success: false, message: parsed.error });
+
+    const data = await setInstitutionQuota(req.params.institution, parsed.quota);
+    res.status(200).json({ success: true, message: "Institution AI quota updated", data });
+  } catch (error) {
+    console.error("❌ Update institution quota error:", error);
+    res.status(500).json({ success: false, message: "Failed to update institution quota" });
+  }
+};
@@ -10,8 +10,15 @@ import {
   getEnrolledStudents,
   generateAssessmentQuestions,
   storeResourceChunk,
+  QUESTION_TYPES,
+  PARTIAL_CREDIT_MODES,
+  COGNITIVE_LEVELS,
 } from '../models/assessmentModel.js';
 import { redis } from "../services/redis.js";
+import { validateDifficultyDistribution } from "../services/questionFairness.js";
+import { getBankCoverage, setAssessmentPublished } from '../models/questionBankModel.js';
+import { clearQuestionPool } from '../models/questionPoolModel.js';
+import { requestPoolRefill } from '../services/questionPoolWorker.js';
 
 import { findUserByEmail } from '../models/userModel.js';
 import { createResource, linkResourceToAssessment } from '../models/resourceModel.js';
@@ -24,6 +31,197 @@ import { generateEmbedding } from '../services/embeddingGenerator.js';
 
 import pool from '../DB/db.js';
 
+/**
+ * Parse optional per-assessment settings from a request body (JSON or multipart strings).
+ * Only fields present in the body are returned, so updates leave the rest untouched.
+ * @param {Object} [stored] - The assessment's saved opens_at/closes_at, checked against a date sent alone
+ * @returns {{ settings: Object, error: string|null }}
+ */
+export const parseAssessmentSettings = (body = {}, stored = {}) => {
+  const settings = {};
+
+  const intSetting = (field, min, max, label) => {
+    if (body[field] === undefined || body[field] === null || body[field] === '') return null;
+    const value = parseInt(body[field]);
+    if (isNaN(value) || value < min || value > max) {
+      return `${label} must be between ${min} and ${max}`;
+    }
+    settings[field] = value;
+    return null;
+  };
+
+  const enumSetting = (field, allowed, label) => {
+    if (body[field] === undefined || body[field] === null || body[field] === '') return null;
+    if (!allowed.includes(body[field])) {
+      return `${label} must be one of: ${allowed.join(', ')}`;
+    }
+    settings[field] = body[field];
+    return null;
+  };
+
+  // Dates are ISO strings; an explicit empty value clears the setting
+  const dateSetting = (field, label) => {
+    if (body[field] === undefined) return null;
+    if (body[field] === null || body[field] === '') {
+      settings[field] = null;
+      return null;
+    }
+    const value = new Date(body[field]);
+    if (isNaN(value.getTime())) {
+      return `${label} must be a valid date`;
+    }
+    settings[field] = value.toISOString();
+    return null;
+  };
+
+  const timezoneSetting = (field) => {
+    if (body[field] === undefined || body[field] === null || body[field] === '') return null;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: body[field] });
+    } catch {
+      return `Unknown timezone: ${body[field]}`;
+    }
+    settings[field] = body[field];
+    return null;
+  };
+
+  // Hours before closing time at which reminder emails go out, e.g. [48, 24, 1]
+  const offsetsSetting = (field) => {
+    if (body[field] === undefined || body[field] === null) return null;
+    const values = Array.isArray(body[field]) ? body[field] : [body[field]];
+    const offsets = [...new Set(values.map(v => parseInt(v)))];
+    if (offsets.length > 10 || offsets.some(v => isNaN(v) || v < 1 || v > 24 * 30)) {
+      return 'Reminder offsets must be up to 10 whole hours between 1 and 720';
+    }
+    settings[field] = offsets.sort((a, b) => b - a);
+    return null;
+  };
+
+  // Topics questions are tagged with; null or [] goes back to topics named by the model
+  const topicsSetting = (field) => {
+    if (body[field] === undefined) return null;
+    const values = body[field] === null ? [] : (Array.isArray(body[field]) ? body[field] : [body[field]]);
+    if (values.some(v => typeof v !== 'string' || !v.trim() || v.trim().length > 100)) {
+      return 'Topics must be non-empty names of at most 100 characters';
+    }
+    const topics = [...new Map(values.map(v => [v.trim().toLowerCase(), v.trim()])).values()];
+    if (topics.length > 50) {
+      return 'An assessment can list at most 50 topics';
+    }
+    settings[field] = topics;
+    return null;
+  };
+
+  // Booleans may arrive as strings from multipart forms
+  const booleanSetting = (field, label) => {
+    if (body[field] === undefined || body[field] === null || body[field] === '') return null;
+    if (![true, false, 'true', 'false'].includes(body[field])) {
+      return `${label} must be true or false`;
+    }
+    settings[field] = body[field] === true || body[field] === 'true';
+    return null;
+  };
+
+  // Like intSetting, but an explicit null or '' clears the value (e.g. unlimited attempts)
+  const nullableIntSetting = (field, min, max, label) => {
+    if (body[field] === null || body[field] === '') {
+      settings[field] = null;
+      return null;
+    }
+    return intSetting(field, min, max, label);
+  };
+
+  const error =
+    intSetting('retrieval_top_k', 1, 50, 'Retrieval chunk count (k)') ||
+    intSetting('retrieval_char_budget', 1000, 100000, 'Retrieval character budget') ||
+    enumSetting('question_source', ['live', 'bank'], 'Question source') ||
+    dateSetting('opens_at', 'Opening time') ||
+    dateSetting('closes_at', 'Closing time') ||
+    timezoneSetting('timezone') ||
+    intSetting('late_start_cutoff_minutes', 0, 1440, 'Late start cutoff (minutes)') ||
+    offsetsSetting('reminder_offsets_hours') ||
+    nullableIntSetting('max_attempts', 1, 100, 'Maximum attempts') ||
+    intSetting('attempt_cooldown_minutes', 0, 10080, 'Cooldown between attempts (minutes)') ||
+    enumSetting('grade_aggregation', ['highest', 'latest', 'average'], 'Grade aggregation') ||
+    intSetting('grace_period_seconds', 0, 3600, 'Grace period (seconds)') ||
+    enumSetting('late_submission_policy', ['reject', 'penalize'], 'Late submission policy') ||
+    intSetting('late_penalty_percent', 0, 100, 'Late penalty (%)') ||
+    enumSetting('short_answer_grading', ['keyword', 'ai'], 'Short answer grading') ||
+    intSetting('pool_variants', 0, 10, 'Question pool variants per block') ||
+    booleanSetting('shuffle_options', 'Shuffle options') ||
+    topicsSetting('topics');
+
+  // A date that is not being changed keeps its stored value
+  if (!error && (settings.opens_at !== undefined || settings.closes_at !== undefined)) {
+    const opensAt = settings.opens_at !== undefined ? settings.opens_at : stored.opens_at;
+    const closesAt = settings.closes_at !== undefined ? settings.closes_at : stored.closes_at;
+    if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+      return { settings, error: 'Closing time must be after opening time' };
+    }
+  }
+
+  return { settings, error };
+};
+
+/**
+ * Validate question blocks from a create/update request.
+ * @returns {string|null} Error message, or null when every block is valid
+ */
+export const validateQuestionBlocks = (blocks = []) => {
+  for (const block of blocks) {
+    if (!QUESTION_TYPES.includes(block.question_type)) {
+      return `Question type must be one of: ${QUESTION_TYPES.join(", ")}`;
+    }
+    if (!block.question_count || block.question_count < 1) {
+      return "Question count must be at least 1";
+    }
+    if (!block.duration_per_question || block.duration_per_question < 30) {
+      return "Duration per question must be at least 30 seconds";
+    }
+    if (block.question_type === "multiple_choice" && (!block.num_options || block.num_options < 2)) {
+      return "Multiple choice needs at least 2 options";
+    }
+    if (block.question_type === "multiple_select") {
+      if (!block.num_options || block.num_options < 3) {
+        return "Multiple select needs at least 3 options";
+      }
+      if (block.partial_credit && !PARTIAL_CREDIT_MODES.includes(block.partial_credit)) {
+        return `Partial credit must be one of: ${PARTIAL_CREDIT_MODES.join(", ")}`;
+      }
+    }
+    if (block.question_type === "numeric") {
+      const hasTolerance = block.numeric_tolerance !== undefined && block.numeric_tolerance !== null && block.numeric_tolerance !== "";
+      if (hasTolerance && (!Number.isFinite(Number(block.numeric_tolerance)) || Number(block.numeric_tolerance) < 0)) {
+        return "Numeric tolerance must be a non-negative number";
+      }
+      if (block.numeric_tolerance_type && !["absolute", "relative"].includes(block.numeric_tolerance_type)) {
+        return "Numeric tolerance type must be absolute or relative";
+      }
+    }
+    if (block.question_type === "matching") {
+      if (!block.num_first_side || block.num_first_side < 2 || !block.num_second_side || block.num_second_side < 2) {
+        return "Matching needs at least 2 items on each side";
+      }
+      if (block.num_second_side < block.num_first_side) {
+        return "Matching needs at least as many right-side items as left-side items";
+      }
+    }
+    const distributionError = validateDifficultyDistribution(block.difficulty_distribution);
+    if (distributionError) return distributionError;
+    if (block.cognitive_level && !Object.hasOwn(COGNITIVE_LEVELS, block.cognitive_level)) {
+      return `Cognitive level must be one of: ${Object.keys(COGNITIVE_LEVELS).join(", ")}`;
+    }
+    if (block.learning_objectives !== undefined && block.learning_objectives !== null) {
+      const objectives = block.learning_objectives;
+      if (!Array.isArray(objectives) || objectives.length > 10
+        || objectives.some(objective => typeof objective !== "string" || !objective.trim() || objective.length > 300)) {
+        return "Learning objectives must be a list of up to 10 non-empty texts of at most 300 characters";
+      }
+    }
+  }
+  return null;
+};
+
 export const createNewAssessment = async (req, res) => {
   try {
     const {
@@ -62,23 +260,22 @@ export const createNewAssessment = async (req, res) => {
     // === IF SOURCE EXISTS → PROMPT IS OPTIONAL (even if empty) ===
     // So we allow prompt = null or empty string if files/links exist
 
-    // Validate question blocks (same as before)
+    // Validate question blocks
     if (question_blocks && Array.isArray(question_blocks) && question_blocks.length > 0) {
-      for (const block of question_blocks) {
-        if (!block.question_count || block.question_count < 1) {
-          return res.status(400).json({ success: false, message: "Question count must be at least 1" });
-        }
-        if (!block.duration_per_question || block.duration_per_question < 30) {
-          return res.status(400).json({ success: false, message: "Duration per question must be at least 30 seconds" });
-        }
-        if (block.question_type === "multiple_choice" && (!block.num_options || block.num_options < 2)) {
-          return res.status(400).json({ success: false, message: "Multiple choice needs at least 2 options" });
-        }
+      const blockError = validateQuestionBlocks(question_blocks);
+      if (blockError) {
+        return res.status(400).json({ success: false, message: blockError });
       }
     }
 
+    const { settings, error: settingsError } = parseAssessmentSettings(req.body);
+    if (settingsError) {
+      return res.status(400).json({ success: false, message: settingsError });
+    }
+
     // === FINAL DATA ===
     const assessmentData = {
+      ...settings,
       title: title.trim(),
       prompt: hasAnySource ? (prompt?.trim() || null) : prompt.trim(), // allow null if source exists
       external_links: hasLinks ? externalLinks.filter(link => link && link.trim()) : null,
@@ -227,20 +424,48 @@ export const updateAssessmentData = async (req, res) => {
       return res.status(400).json({ success: false, message: 'You must provide either a Prompt, Resources, or External Links' });
     }
 
+    const blockError = validateQuestionBlocks(question_blocks);
+    if (blockError) return res.status(400).json({ success: false, message: blockError });
+
+    const { rows: [stored] } = await pool.query(
+      `SELECT opens_at, closes_at, is_published FROM assessments WHERE id = $1`,
+      [assessment_id]
+    );
+    if (!stored) return res.status(404).json({ success: false, message: 'Assessment not found' });
+
+    const { settings, error: settingsError } = parseAssessmentSettings(req.body, stored);
+    if (settingsError) {
+      return res.status(400).json({ success: false, message: settingsError });
+    }
+
     const updateData = {
+      ...settings,
       title: title.trim(),
       prompt: hasPrompt ? prompt.trim() : null,
       external_links: hasLinks ? externalLinks.filter(l => l?.trim()) : null,
     };
 
-    const updatedAssessment = await updateAssessment(parseInt(assessment_id), updateData);
+    let updatedAssessment = await updateAssessment(parseInt(assessment_id), updateData);
 
     if (question_blocks.length > 0) {
       await storeQuestionBlocks(parseInt(assessment_id), question_blocks, user_id);
     }
 
+    // A published bank assessment must still cover every block, or students could not start it
+    let shortBlocks = [];
+    if (stored.is_published && updatedAssessment.question_source === 'bank') {
+      shortBlocks = (await getBankCoverage(parseInt(assessment_id))).filter(block => !block.ready);
+      if (shortBlocks.length > 0) {
+        console.warn(`⚠️ Unpublishing assessment ${assessment_id}: ${shortBlocks.length} blocks lack approved questions`);
+        updatedAssessment = await setAssessmentPublished(parseInt(assessment_id), false);
+      }
+    }
+
     // CLEAR ALL OLD RESOURCE LINKS
-    await pool.query(`DELETE FROM assessment_resources WHERE assessment_id = $1`, [assessment_id]);
+    const { rows: previousLinks } = await pool.query(
+      `DELETE FROM assessment_resources WHERE assessment_id = $1 RETURNING resource_id`,
+      [assessment_id]
+    );
 
     // LINK SELECTED EXISTING RESOURCES
     for (const resourceId of selected_resources) {
@@ -271,6 +496,14 @@ export const updateAssessmentData = async (req, res) => {
       await linkResourceToAssessment(assessment_id, resource.id);
     }
 
+    // Pooled questions were generated from the old resources; pools cleared by this update are refilled
+    const previousIds = new Set(previousLinks.map(link => link.resource_id));
+    const linkedIds = new Set(selected_resources.map(id => parseInt(id)).filter(id => !isNaN(id)));
+    if (new_files.length > 0 || previousIds.size !== linkedIds.size || [...linkedIds].some(id => !previousIds.has(id))) {
+      await clearQuestionPool(parseInt(assessment_id));
+    }
+    if (updatedAssessment.question_source === 'live') requestPoolRefill();
+
     // FINAL CACHE CLEARING — PUT THIS AT THE END OF updateAssessmentData & deleteAssessmentData
     const instructorId = req.user.id;
     const assessmentId = parseInt(req.params.id || req.params.assessmentId);
@@ -278,11 +511,14 @@ export const updateAssessmentData = async (req, res) => {
     await redis.del(`instructor:assessments:${instructorId}`);
     await redis.del(`assessment:single:${assessmentId}:${instructorId}`);
     await redis.del(`assessment:single:${assessmentId}:*`);
+    await redis.del(`analytics:students:${assessmentId}`);
 
     res.status(200).json({
       success: true,
-      message: 'Assessment updated successfully',
-      data: updatedAssessment,
+      message: shortBlocks.length > 0
+        ? 'Assessment updated and unpublished: every question block needs enough approved questions before publishing'
+        : 'Assessment updated successfully',
+      data: shortBlocks.length > 0 ? { ...updatedAssessment, short_blocks: shortBlocks } : updatedAssessment,
     });
   } catch (error) {
     console.error('Update assessment error:', error);
@@ -366,7 +602,7 @@ export const enrollStudentController = async (req, res) => {
 
     const enrollment = await enrollStudent(parseInt(assessmentId), email);
 
-    await sendAssessmentEnrollmentEmail(email, assessment.title, assessmentId);
+    await sendAssessmentEnrollmentEmail(email, student.name, assessment.title, assessment.closes_at, assessment.timezone);
 
 
 // CLEAR STUDENT'S ASSESSMENT LIST CACHE
@@ -500,7 +736,7 @@ export const startAssessmentForStudent = async (req, res) => {
     );
     const attemptId = attemptRows[0].id;
 
-    const { questions, duration } = await generateAssessmentQuestions(assessmentId, attemptId, language, assessment);
+    const { questions, duration } = await generateAssessmentQuestions(assessmentId, attemptId, language, assessment, { userId: studentId });
 
     const { rows: dbQuestions } = await pool.query(
       `SELECT id, question_order, question_type, question_text, options, correct_answer, positive_marks, negative_marks, duration_per_question
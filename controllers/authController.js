@@ -15,6 +15,7 @@ import {
   deleteUser,
   getRecentlyVerifiedUsers,
   findUserByResetToken,
+  updateUserPreferences,
 } from "../models/userModel.js";
 import { sendVerificationEmail, sendPasswordResetEmail, sendRoleChangeEmail } from "../services/emailService.js";
 import dotenv from "dotenv";
@@ -362,6 +363,28 @@ export const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * Updates the logged-in user's notification preferences.
+ */
+export const updatePreferences = async (req, res) => {
+  const { reminder_opt_out } = req.body || {};
+
+  if (typeof reminder_opt_out !== "boolean") {
+    return res.status(400).json({ success: false, message: "reminder_opt_out must be true or false." });
+  }
+
+  try {
+    const user = await updateUserPreferences(req.user.id, { reminder_opt_out });
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found." });
+    }
+    res.status(200).json({ success: true, message: "Preferences updated successfully.", user });
+  } catch (error) {
+    console.error("Update preferences error:", error.message, error.stack);
+    res.status(500).json({ success: false, message: "Server error while updating preferences." });
+  }
+};
+
 /**
  * Gets all users.
  */
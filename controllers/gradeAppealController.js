@@ -0,0 +1,215 @@
+import {
+  createAppeal,
+  getAppealById,
+  getStudentAppeals,
+  getAppealQueue,
+  resolveAppeal,
+  acceptAppealWithScore,
+} from "../models/gradeAppealModel.js";
+import { sendGradeAppealSubmittedEmail, sendGradeAppealResolvedEmail } from "../services/emailService.js";
+import { redis } from "../services/redis.js";
+
+/**
+ * Grade Appeal Controller
+ * Students appeal individual answer scores; instructors accept or reject them
+ */
+
+const APPEAL_STATUSES = ["pending", "accepted", "rejected"];
+
+/**
+ * File an appeal against a graded answer
+ * @route POST /api/appeals
+ */
+export const fileAppeal = async (req, res) => {
+  try {
+    const studentId = req.user.id;
+    const { questionId, reason } = req.body || {};
+
+    if (!questionId || isNaN(parseInt(questionId))) {
+      return res.status(400).json({ success: false, message: "A valid questionId is required" });
+    }
+    if (!reason || typeof reason !== "string" || !reason.trim()) {
+      return res.status(400).json({ success: false, message: "Please explain why you are appealing this grade" });
+    }
+    if (reason.length > 2000) {
+      return res.status(400).json({ success: false, message: "Reason must be 2000 characters or fewer" });
+    }
+
+    const appeal = await createAppeal({ studentId, questionId: parseInt(questionId), reason: reason.trim() });
+
+    if (appeal.instructor_email) {
+      try {
+        await sendGradeAppealSubmittedEmail(
+          appeal.instructor_email,
+          appeal.instructor_name,
+          appeal.student_name,
+          appeal.assessment_title,
+          appeal.question_order,
+          appeal.reason
+        );
+      } catch (emailError) {
+        console.error("Failed to send appeal notification email:", emailError);
+      }
+    }
+
+    res.status(201).json({ success: true, message: "Appeal submitted successfully", data: appeal });
+  } catch (error) {
+    console.error("❌ File appeal error:", error);
+    if (error.message === "Answer not found") {
+      return res.status(404).json({ success: false, message: "Answer not found in one of your completed attempts" });
+    }
+    if (error.message === "Appeal already pending") {
+      return res.status(409).json({ success: false, message: "You already have a pending appeal for this answer" });
+    }
+    res.status(500).json({ success: false, message: "Failed to submit appeal" });
+  }
+};
+
+/**
+ * List the logged-in student's appeals
+ * @route GET /api/appeals/mine
+ */
+export const listMyAppeals = async (req, res) => {
+  try {
+    const assessmentId = req.query.assessment_id ? parseInt(req.query.assessment_id) : null;
+    const appeals = await getStudentAppeals(req.user.id, assessmentId);
+    res.status(200).json({ success: true, message: "Appeals retrieved successfully", data: appeals });
+  } catch (error) {
+    console.error("❌ List student appeals error:", error);
+    res.status(500).json({ success: false, message: "Failed to retrieve appeals" });
+  }
+};
+
+/**
+ * Appeal queue for one of the instructor's assessments
+ * @route GET /api/appeals/assessment/:assessmentId
+ */
+export const listAssessmentAppeals = async (req, res) => {
+  try {
+    const assessmentId = parseInt(req.params.assessmentId);
+    if (isNaN(assessmentId)) {
+      return res.status(400).json({ success: false, message: "Invalid assessment ID" });
+    }
+
+    const status = req.query.status === "all" ? null : (req.query.status || "pending");
+    if (status && !APPEAL_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Status must be one of: all, ${APPEAL_STATUSES.join(", ")}` });
+    }
+
+    const appeals = await getAppealQueue(assessmentId, req.user.id, status);
+    res.status(200).json({ success: true, message: "Appeals retrieved successfully", data: appeals });
+  } catch (error) {
+    console.error("❌ List assessment appeals error:", error);
+    res.status(500).json({ success: false, message: "Failed to retrieve appeals" });
+  }
+};
+
+// Load a pending appeal on one of the instructor's assessments, or send the error response
+const loadPendingAppeal = async (req, res) => {
+  const appealId = parseInt(req.params.appealId);
+  if (isNaN(appealId)) {
+    res.status(400).json({ success: false, message: "Invalid appeal ID" });
+    return null;
+  }
+  const appeal = await getAppealById(appealId);
+  if (!appeal || appeal.instructor_id !== req.user.id) {
+    res.status(404).json({ success: false, message: "Appeal not found" });
+    return null;
+  }
+  if (appeal.status !== "pending") {
+    res.status(409).json({ success: false, message: `Appeal has already been ${appeal.status}` });
+    return null;
+  }
+  return appeal;
+};
+
+const notifyStudent = async (appeal) => {
+  try {
+    await sendGradeAppealResolvedEmail(
+      appeal.student_email,
+      appeal.student_name,
+      appeal.assessment_title,
+      appeal.question_order,
+      appeal.status === "accepted",
+      appeal.instructor_reply,
+      appeal.new_score
+    );
+  } catch (emailError) {
+    console.error("Failed to send appeal resolution email:", emailError);
+  }
+};
+
+/**
+ * Accept an appeal and regrade the answer with the given score
+ * @route POST /api/appeals/:appealId/accept
+ */
+export const acceptAppeal = async (req, res) => {
+  try {
+    const appeal = await loadPendingAppeal(req, res);
+    if (!appeal) return;
+
+    const { score, reply } = req.body || {};
+    const newScore = Number(score);
+    if (score === undefined || score === null || !Number.isFinite(newScore)) {
+      return res.status(400).json({ success: false, message: "A numeric score is required to accept an appeal" });
+    }
+
+    const { appeal: resolved, override } = await acceptAppealWithScore(appeal.id, {
+      newScore,
+      reply,
+      comment: `Appeal #${appeal.id} accepted${reply ? `: ${reply}` : ""}`,
+      instructorId: req.user.id,
+    });
+    if (!resolved) {
+      return res.status(409).json({ success: false, message: "Appeal has already been resolved" });
+    }
+    if (!override) {
+      return res.status(404).json({ success: false, message: "Graded answer not found for this appeal" });
+    }
+
+    await redis.del(`analytics:students:${appeal.assessment_id}`);
+    await redis.del(`student:assessments:list:${appeal.student_id}`);
+
+    await notifyStudent(resolved);
+
+    res.status(200).json({ success: true, message: "Appeal accepted and answer regraded", data: resolved });
+  } catch (error) {
+    console.error("❌ Accept appeal error:", error);
+    if (error.message.startsWith("Score must be between")) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: "Failed to accept appeal" });
+  }
+};
+
+/**
+ * Reject an appeal with a reply to the student
+ * @route POST /api/appeals/:appealId/reject
+ */
+export const rejectAppeal = async (req, res) => {
+  try {
+    const appeal = await loadPendingAppeal(req, res);
+    if (!appeal) return;
+
+    const { reply } = req.body || {};
+    if (!reply || typeof reply !== "string" || !reply.trim()) {
+      return res.status(400).json({ success: false, message: "A reply explaining the decision is required" });
+    }
+
+    const resolved = await resolveAppeal(appeal.id, {
+      status: "rejected",
+      reply: reply.trim(),
+      instructorId: req.user.id,
+    });
+    if (!resolved) {
+      return res.status(409).json({ success: false, message: "Appeal has already been resolved" });
+    }
+
+    await notifyStudent(resolved);
+
+    res.status(200).json({ success: true, message: "Appeal rejected", data: resolved });
+  } catch (error) {
+    console.error("❌ Reject appeal error:", error);
+    res.status(500).json({ success: false, message: "Failed to reject appeal" });
+  }
+};
@@ -0,0 +1,311 @@
+import { getAssessmentById } from "../models/assessmentModel.js";
+import {
+  getBankQuestions,
+  getBankQuestionById,
+  getBankCoverage,
+  generateIntoBank,
+  validateBankQuestionEdit,
+  updateBankQuestion,
+  setBankQuestionStatus,
+  reorderBankQuestions,
+  setAssessmentPublished,
+} from "../models/questionBankModel.js";
+import { getPoolStatus } from "../models/questionPoolModel.js";
+import { requestPoolRefill } from "../services/questionPoolWorker.js";
+import { redis } from "../services/redis.js";
+import { DIFFICULTY_LEVELS } from "../services/questionFairness.js";
+
+/**
+ * Question Bank Controller
+ * Instructor review workflow for bank questions and assessment publishing
+ */
+
+// Resolve the assessment for the requesting instructor, or send the error response
+const loadOwnedAssessment = async (req, res) => {
+  const assessmentId = parseInt(req.params.id);
+  if (isNaN(assessmentId)) {
+    res.status(400).json({ success: false, message: "Invalid assessment ID" });
+    return null;
+  }
+  const assessment = await getAssessmentById(assessmentId, req.user.id, req.user.role);
+  if (!assessment) {
+    res.status(404).json({ success: false, message: "Assessment not found or access denied" });
+    return null;
+  }
+  return assessment;
+};
+
+const clearAssessmentCache = async (assessmentId, instructorId) => {
+  await redis.del(`instructor:assessments:${instructorId}`);
+  await redis.del(`assessment:single:${assessmentId}:${instructorId}`);
+};
+
+/**
+ * List bank questions with per-block coverage
+ * @route GET /api/assessments/:id/questions
+ */
+export const listBankQuestions = async (req, res) => {
+  try {
+    const assessment = await loadOwnedAssessment(req, res);
+    if (!assessment) return;
+
+    const { status, block_id } = req.query;
+    if (status && !["pending", "approved", "rejected"].includes(status)) {
+      return res.status(400).json({ success: false, message: "Invalid status filter" });
+    }
+
+    const [questions, coverage] = await Promise.all([
+      getBankQuestions(assessment.id, { status, blockId: block_id ? parseInt(block_id) : null }),
+      getBankCoverage(assessment.id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Question bank retrieved successfully",
+      data: { question_source: assessment.question_source, is_published: assessment.is_published, coverage, questions },
+    });
+  } catch (error) {
+    console.error("❌ List bank questions error:", error);
+    res.status(500).json({ success: false, message: "Failed to retrieve question bank" });
+  }
+};
+
+/**
+ * Generate pending questions into the bank
+ * @route POST /api/assessments/:id/questions/generate
+ */
+export const generateBankQuestions = async (req, res) => {
+  try {
+    const assessment = await loadOwnedAssessment(req, res);
+    if (!assessment) return;
+
+    const { block_id, count, language = "en" } = req.body || {};
+    const blockId = block_id !== undefined ? parseInt(block_id) : null;
+    const perBlock = count !== undefined ? parseInt(count) : null;
+    if (perBlock !== null && (isNaN(perBlock) || perBlock < 1 || perBlock > 50)) {
+      return res.status(400).json({ success: false, message: "Count must be between 1 and 50" });
+    }
+
+    const questions = await generateIntoBank(assessment.id, assessment, {
+      blockId,
+      count: perBlock,
+      language,
+      userId: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${questions.length} questions added for review`,
+      data: questions,
+    });
+  } catch (error) {
+    console.error("❌ Generate bank questions error:", error);
+    if (error.message === "Question block not found") {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: "Failed to generate questions", error: error.message });
+  }
+};
+
+/**
+ * Edit a bank question
+ * @route PUT /api/assessments/:id/questions/:questionId
+ */
+export const editBankQuestion = async (req, res) => {
+  try {
+    const assessment = await loadOwnedAssessment(req, res);
+    if (!assessment) return;
+
+    const { question_text, options, correct_answer, difficulty, topics } = req.body || {};
+    if (question_text !== undefined && !String(question_text).trim()) {
+      return res.status(400).json({ success: false, message: "Question text cannot be empty" });
+    }
+    if (difficulty !== undefined && !DIFFICULTY_LEVELS.includes(difficulty)) {
+      return res.status(400).json({ success: false, message: `Difficulty must be one of: ${DIFFICULTY_LEVELS.join(", ")}` });
+    }
+    if (topics !== undefined && (!Array.isArray(topics) || topics.length === 0 || topics.length > 3
+      || topics.some(topic => typeof topic !== "string" || !topic.trim() || topic.length > 100))) {
+      return res.status(400).json({ success: false, message: "Topics must be a list of 1 to 3 names of at most 100 characters" });
+    }
+
+    const questionId = parseInt(req.params.questionId);
+    const question = await getBankQuestionById(assessment.id, questionId);
+    if (!question) {
+      return res.status(404).json({ success: false, message: "Question not found" });
+    }
+
+    const { question: edited, errors, contentChanged } = await validateBankQuestionEdit(question, {
+      question_text,
+      options,
+      correct_answer,
+      difficulty,
+      topics: topics?.map(topic => topic.trim()),
+    }, assessment.topics);
+    if (!edited) {
+      return res.status(400).json({ success: false, message: `Invalid question: ${errors.join("; ")}`, error: errors });
+    }
+
+    // Changed content goes back to review, so a published bank assessment must keep enough approved questions
+    if (contentChanged && question.status === "approved" && assessment.is_published && assessment.question_source === "bank") {
+      const block = (await getBankCoverage(assessment.id)).find(b => b.block_id === question.block_id);
+      if (block && block.approved - 1 < block.required) {
+        return res.status(409).json({
+          success: false,
+          message: "Unpublish the assessment before changing approved questions it depends on",
+        });
+      }
+    }
+
+    const updated = await updateBankQuestion(assessment.id, questionId, edited, { contentChanged });
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Question not found" });
+    }
+
+    res.status(200).json({ success: true, message: "Question updated", data: updated });
+  } catch (error) {
+    console.error("❌ Edit bank question error:", error);
+    res.status(500).json({ success: false, message: "Failed to update question" });
+  }
+};
+
+const reviewBankQuestion = (status) => async (req, res) => {
+  try {
+    const assessment = await loadOwnedAssessment(req, res);
+    if (!assessment) return;
+
+    const questionId = parseInt(req.params.questionId);
+    const question = await getBankQuestionById(assessment.id, questionId);
+    if (!question) {
+      return res.status(404).json({ success: false, message: "Question not found" });
+    }
+
+    // A published bank assessment must keep enough approved questions in every block
+    if (status !== "approved" && question.status === "approved" && assessment.is_published && assessment.question_source === "bank") {
+      const block = (await getBankCoverage(assessment.id)).find(b => b.block_id === question.block_id);
+      if (block && block.approved - 1 < block.required) {
+        return res.status(409).json({
+          success: false,
+          message: "Unpublish the assessment before removing approved questions it depends on",
+        });
+      }
+    }
+
+    const updated = await setBankQuestionStatus(assessment.id, questionId, status, req.user.id);
+    res.status(200).json({ success: true, message: `Question ${status}`, data: updated });
+  } catch (error) {
+    console.error(`❌ Review bank question (${status}) error:`, error);
+    res.status(500).json({ success: false, message: "Failed to update question status" });
+  }
+};
+
+/**
+ * @route POST /api/assessments/:id/questions/:questionId/approve
+ */
+export const approveBankQuestion = reviewBankQuestion("approved");
+
+/**
+ * @route POST /api/assessments/:id/questions/:questionId/reject
+ */
+export const rejectBankQuestion = reviewBankQuestion("rejected");
+
+/**
+ * Reorder bank questions
+ * @route PUT /api/assessments/:id/questions/reorder
+ */
+export const reorderBank = async (req, res) => {
+  try {
+    const assessment = await loadOwnedAssessment(req, res);
+    if (!assessment) return;
+
+    const { question_ids } = req.body || {};
+    const ids = Array.isArray(question_ids) ? question_ids.map(id => parseInt(id)) : [];
+    if (ids.length === 0 || ids.some(isNaN)) {
+      return res.status(400).json({ success: false, message: "question_ids must be a non-empty array of IDs" });
+    }
+
+    await reorderBankQuestions(assessment.id, ids);
+    const questions = await getBankQuestions(assessment.id);
+
+    res.status(200).json({ success: true, message: "Questions reordered", data: questions });
+  } catch (error) {
+    console.error("❌ Reorder bank questions error:", error);
+    if (error.message.startsWith("Questions not in")) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: "Failed to reorder questions" });
+  }
+};
+
+/**
+ * Publish an assessment. Bank-sourced assessments need enough approved questions in every block.
+ * @route POST /api/assessments/:id/publish
+ */
+export const publishAssessment = async (req, res) => {
+  try {
+    const assessment = await loadOwnedAssessment(req, res);
+    if (!assessment) return;
+
+    if (assessment.question_source === "bank") {
+      const coverage = await getBankCoverage(assessment.id);
+      if (coverage.length === 0) {
+        return res.status(400).json({ success: false, message: "Add question blocks before publishing" });
+      }
+      const short = coverage.filter(block => !block.ready);
+      if (short.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Every question block needs enough approved questions before publishing",
+          data: short,
+        });
+      }
+    }
+
+    const updated = await setAssessmentPublished(assessment.id, true);
+    await clearAssessmentCache(assessment.id, req.user.id);
+    if (updated.question_source === "live") requestPoolRefill();
+
+    res.status(200).json({ success: true, message: "Assessment published", data: updated });
+  } catch (error) {
+    console.error("❌ Publish assessment error:", error);
+    res.status(500).json({ success: false, message: "Failed to publish assessment" });
+  }
+};
+
+/**
+ * Pre-generated question pool size per block and language, for live assessments
+ * @route GET /api/assessments/:id/question-pool
+ */
+export const getQuestionPool = async (req, res) => {
+  try {
+    const assessment = await loadOwnedAssessment(req, res);
+    if (!assessment) return;
+
+    const blocks = await getPoolStatus(assessment.id);
+    res.status(200).json({
+      success: true,
+      message: "Question pool retrieved successfully",
+      data: { question_source: assessment.question_source, is_published: assessment.is_published, blocks },
+    });
+  } catch (error) {
+    console.error("❌ Question pool status error:", error);
+    res.status(500).json({ success: false, message: "Failed to retrieve question pool" });
+  }
+};
+
+/**
+ * @route POST /api/assessments/:id/unpublish
+ */
+export const unpublishAssessment = async (req, res) => {
+  try {
+    const assessment = await loadOwnedAssessment(req, res);
+    if (!assessment) return;
+
+    const updated = await setAssessmentPublished(assessment.id, false);
+    await clearAssessmentCache(assessment.id, req.user.id);
+
+    res.status(200).json({ success: true, message: "Assessment unpublished", data: updated });
+  } catch (error) {
+    console.error("❌ Unpublish assessment error:", error);
+    res.status(500).json({ success: false, message: "Failed to unpublish assessment" });
+  }
+};
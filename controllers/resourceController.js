@@ -10,6 +10,8 @@ import {
   findAllResources,
 } from "../models/resourceModel.js";
 import { getAssessmentById, storeResourceChunk } from "../models/assessmentModel.js";
+import { clearQuestionPool } from "../models/questionPoolModel.js";
+import { requestPoolRefill } from "../services/questionPoolWorker.js";
 import { extractTextFromFile, chunkText } from "../services/textProcessor.js";
 import { generateEmbedding } from "../services/embeddingGenerator.js";
 import { redis } from "../services/redis.js";
@@ -228,6 +230,11 @@ export const linkResourceToAssessmentController = async (req, res) => {
     if (!resource) return res.status(404).json({ success: false, message: "Resource not found" });
 
     const link = await linkResourceToAssessment(assessmentId, resourceId);
+    // Pooled questions were generated without this resource
+    if (link) {
+      await clearQuestionPool(assessment.id);
+      if (assessment.question_source === "live") requestPoolRefill();
+    }
     res.json({ success: true, message: "Resource linked", data: link });
   } catch (error) {
     console.error("Link resource error:", error);
@@ -262,6 +269,9 @@ export const unlinkResourceFromAssessmentController = async (req, res) => {
 
     const result = await unlinkResourceFromAssessment(assessmentId, resourceId);
     if (!result) return res.status(404).json({ success: false, message: "Resource not linked" });
+    // Pooled questions may draw on the removed resource
+    await clearQuestionPool(assessment.id);
+    if (assessment.question_source === "live") requestPoolRefill();
 
     res.json({ success: true, message: "Resource unlinked successfully" });
   } catch (error) {
@@ -7,7 +7,7 @@ import {
   getAssessmentQuestions as modelGetAssessmentQuestions
 } from "../models/studentAnalyticsModel.js";
 import { redis } from "../services/redis.js";
-import { getCreationModel, generateContent } from "../services/geminiService.js";
+import { getRecommendationModel, generateContent } from "../services/geminiService.js";
 
 export const getStudentOverview = async (req, res) => {
   try {
@@ -232,12 +232,15 @@ export const getStudentReport = async (req, res) => {
       const details = await getAssessmentAnalytics(studentId, parseInt(assessmentId));
 
       // GENERATE RECOMMENDATIONS WITH AI — COMPULSORY FOR REPORT
-      const client = await getCreationModel();
+      const client = await getRecommendationModel();
       const weakQuestionsJson = JSON.stringify(details.weak_questions || []);
-      const prompt = `You are an educational AI assistant. Generate learning recommendations for the assessment "${details.assessment_title}" with score ${details.score || 0}%. Weak questions: ${weakQuestionsJson}. If no weak questions, provide general recommendations. Respond ONLY with valid JSON: { "weak_areas": [{ "topic": "string", "performance": number, "suggestion": "string" }], "study_plan": { "daily_practice": [{ "topic": "string", "focus": "string", "time_allocation": "string" }], "weekly_review": [{ "topic": "string", "activity": "string", "goal": "string" }] } }.`;
+      const weakTopicsJson = JSON.stringify((details.weak_areas || []).map(({ topic, average_score, questions, confidence }) => ({ topic, average_score, questions, confidence })));
+      const prompt = `You are an educational AI assistant. Generate learning recommendations for the assessment "${details.assessment_title}" with score ${details.score || 0}%. Weak topics (confidence is low when only a few questions were seen): ${weakTopicsJson}. Weak questions: ${weakQuestionsJson}. If no weak questions, provide general recommendations. Respond ONLY with valid JSON: { "weak_areas": [{ "topic": "string", "performance": number, "suggestion": "string" }], "study_plan": { "daily_practice": [{ "topic": "string", "focus": "string", "time_allocation": "string" }], "weekly_review": [{ "topic": "string", "activity": "string", "goal": "string" }] } }.`;
 
       let responseText = await generateContent(client, prompt, {
-        generationConfig: { maxOutputTokens: 1000, temperature: 0.7, response_mime_type: 'application/json' },
+        temperature: 0.7,
+        responseMimeType: 'application/json',
+        context: { assessmentId: parseInt(assessmentId), userId: studentId },
       });
 
       responseText = responseText.replace(/^```json\n/, '').replace(/\n```$/, '').trim();
@@ -252,11 +255,18 @@ export const getStudentReport = async (req, res) => {
       } catch (parseError) {
         console.error("AI recommendation parse error:", parseError);
         recommendations = {
-          weak_areas: details.weak_questions?.map(area => ({
-            topic: area.question_type || 'General',
-            performance: Math.round((area.performance || 0) * 100),
-            suggestion: "Practice more in this area."
-          })) || [],
+          weak_areas: details.weak_areas?.length > 0
+            ? details.weak_areas.map(area => ({
+              topic: area.topic,
+              performance: area.average_score,
+              confidence: area.confidence,
+              suggestion: "Practice more in this area."
+            }))
+            : details.weak_questions?.map(area => ({
+              topic: area.learning_objective || area.question_type || 'General',
+              performance: Math.round((area.performance || 0) * 100),
+              suggestion: "Practice more in this area."
+            })) || [],
           study_plan: {
             daily_practice: [{ topic: "General", focus: "Review basics", time_allocation: "30 minutes" }],
             weekly_review: [{ topic: "All", activity: "Mock test", goal: "Improve by 10%" }]
@@ -278,6 +288,9 @@ export const getStudentReport = async (req, res) => {
   incorrect_answers: details.incorrect_answers,
   negative_marks_applied: details.negative_marks_applied || 0, // make sure this is here
   student_answers: details.student_answers || [], // ADD THIS LINE
+  objective_breakdown: details.objective_breakdown || [],
+  cognitive_level_breakdown: details.cognitive_level_breakdown || [],
+  topic_breakdown: details.topic_breakdown || [],
   recommendations,
 assessment_title: details.assessment_title
 };
@@ -1,33 +1,115 @@
 import db from "../DB/db.js";
-import { generateAssessmentQuestions } from "../models/assessmentModel.js";
+import { generateAssessmentQuestions, getCitationsForQuestions, getAvailability } from "../models/assessmentModel.js";
+import { drawQuestionsFromBank } from "../models/questionBankModel.js";
+import { gradeAttempt, getAttemptUsage, saveAttemptAnswers, getInProgressAttempt } from "../models/attemptModel.js";
+import { getAppealsForAttempt } from "../models/gradeAppealModel.js";
+import { checkAiQuota } from "../models/llmUsageModel.js";
+import { emitToStudent } from "../services/attemptSocket.js";
+import { requestPoolRefill } from "../services/questionPoolWorker.js";
+
+// Live generation is refused once the owning instructor or their institution has used this month's AI tokens
+const sendQuotaExceeded = (res, quota) => {
+  const scope = quota.exceeded === "institution" ? "institution's" : "instructor's";
+  console.warn(`⚠️ AI quota exceeded for ${quota.exceeded} (${JSON.stringify(quota[quota.exceeded])})`);
+  return res.status(429).json({
+    success: false,
+    message: `The ${scope} monthly AI quota has been used up. Please try again after ${new Date(quota.resets_at).toISOString().slice(0, 10)}.`,
+    data: { exceeded: quota.exceeded, resets_at: quota.resets_at },
+  });
+};
+
+// Questions as sent to the student: without the answer key
+const withoutAnswerKey = (questions) => questions.map(({ correct_answer, ...question }) => question);
 
-const normalizeText = (text = "") =>
-  text
-    .toLowerCase()
-    .replace(/[^\w\s]/g, "")
-    .replace(/\s+/g, " ")
-    .trim();
+const discardAttempt = (attemptId) =>
+  db.query(`DELETE FROM assessment_attempts WHERE id = $1`, [attemptId])
+    .catch(() => console.error(`Cleanup of attempt ${attemptId} failed`));
 
-export const evaluateShortAnswer = (studentAnswer, rule) => {
-  if (!studentAnswer || !rule) return false;
+// Student-facing message for generation errors that are worth retrying, or null
+const describeGenerationFailure = (error) => {
+  if (error.message.startsWith("Question generation incomplete")) {
+    return "Could not generate a complete set of questions. Please try again.";
+  }
+  if (error.message.startsWith("LLM unavailable")) {
+    return "Question generation is temporarily unavailable. Please try again in a few minutes.";
+  }
+  return null;
+};
 
-  const answer = normalizeText(studentAnswer);
+/**
+ * Start an attempt's clock once its first questions are ready, never running past the window's close
+ * @returns {Promise<Date>} deadline_at
+ */
+const startAttemptClock = async (attemptId, totalDuration, closesAt) => {
+  const { rows } = await db.query(
+    `UPDATE assessment_attempts
+     SET deadline_at = LEAST(NOW() + make_interval(secs => $1), COALESCE($2::timestamptz, 'infinity'))
+     WHERE id = $3
+     RETURNING deadline_at`,
+    [totalDuration, closesAt, attemptId]
+  );
+  return rows[0]?.deadline_at || null;
+};
 
-  const required = rule.required_keywords || [];
-  const minMatch = rule.min_required_match || required.length;
+/**
+ * Generate a streamed attempt's questions in the background and push each block to the
+ * student's room as it is stored:
+ *   "attempt-questions"   { attemptId, blockId, questions, deadlineAt }
+ *   "assessment-progress" { attemptId, percent, message }
+ *   "attempt-ready"       { attemptId, deadlineAt, totalQuestions }
+ *   "attempt-failed"      { attemptId, message, totalQuestions }
+ * The clock starts with the first block. If generation fails before any block arrives the
+ * attempt is discarded; after that it keeps the delivered blocks (and any saved answers) and
+ * is marked generation_status 'failed' so the student can still submit it.
+ */
+const streamAttemptQuestions = async (io, { assessment, attemptId, studentId, language, totalDuration, numQuestions }) => {
+  let deadlineAt = null;
+  let delivered = 0;
 
-  let matched = 0;
+  try {
+    await generateAssessmentQuestions(assessment.id, attemptId, language, assessment, {
+      userId: studentId,
+      onBlock: async ({ block, questions }) => {
+        if (!deadlineAt) deadlineAt = await startAttemptClock(attemptId, totalDuration, assessment.closes_at);
+        delivered += questions.length;
+        emitToStudent(io, studentId, "attempt-questions", {
+          attemptId, blockId: block.id, questions: withoutAnswerKey(questions), deadlineAt,
+        });
+        emitToStudent(io, studentId, "assessment-progress", {
+          attemptId,
+          percent: Math.round((delivered / numQuestions) * 100),
+          message: `Questions ready: ${delivered}/${numQuestions}`,
+        });
+      },
+    });
 
-  for (const keyword of required) {
-    if (answer.includes(normalizeText(keyword))) {
-      matched++;
+    await db.query(
+      `UPDATE assessment_attempts SET generation_status = 'ready' WHERE id = $1 AND generation_status = 'generating'`,
+      [attemptId]
+    );
+    requestPoolRefill();
+    console.log(`✅ Streamed ${delivered} questions for attempt ${attemptId}`);
+    emitToStudent(io, studentId, "attempt-ready", { attemptId, deadlineAt, totalQuestions: delivered });
+  } catch (error) {
+    console.error(`❌ Streamed generation failed for attempt ${attemptId} after ${delivered} questions:`, error.message);
+    if (delivered === 0) {
+      await discardAttempt(attemptId);
+    } else {
+      await db.query(
+        `UPDATE assessment_attempts SET generation_status = 'failed' WHERE id = $1 AND generation_status = 'generating'`,
+        [attemptId]
+      ).catch(() => console.error(`Marking generation failed for attempt ${attemptId} failed`));
     }
+    emitToStudent(io, studentId, "attempt-failed", {
+      attemptId,
+      totalQuestions: delivered,
+      message: delivered === 0
+        ? describeGenerationFailure(error) || "Failed to generate questions. Please try again."
+        : "Some questions could not be generated. You can answer and submit the questions you have.",
+    });
   }
-
-  return matched >= minMatch;
 };
 
-
 export const startAssessmentForStudent = async (req, res) => {
   try {
     const studentId = req.user.id;
@@ -38,7 +120,9 @@ export const startAssessmentForStudent = async (req, res) => {
 
     // Check if assessment exists
     const { rows: assessRows } = await db.query(
-      `SELECT id, title, prompt, external_links, is_executed
+      `SELECT id, title, prompt, external_links, is_executed, is_published, question_source,
+              opens_at, closes_at, timezone, late_start_cutoff_minutes,
+              max_attempts, attempt_cooldown_minutes
        FROM assessments WHERE id = $1`,
       [assessmentId]
     );
@@ -48,6 +132,25 @@ export const startAssessmentForStudent = async (req, res) => {
     }
     const assessment = assessRows[0];
 
+    const availability = getAvailability(assessment);
+    if (!availability.can_start) {
+      console.warn(`⚠️ Assessment ${assessmentId} not available to start: ${availability.reason}`);
+      return res.status(403).json({
+        success: false,
+        message: availability.reason,
+        data: {
+          status: availability.status,
+          opens_at: assessment.opens_at,
+          closes_at: assessment.closes_at,
+          timezone: assessment.timezone,
+        },
+      });
+    }
+
+    if (assessment.question_source === "bank" && !assessment.is_published) {
+      return res.status(403).json({ success: false, message: "This assessment has not been published yet" });
+    }
+
     // Fetch question blocks to determine types, counts, durations, and marks
     const { rows: blockRows } = await db.query(
       `SELECT question_type, question_count, duration_per_question, num_options, positive_marks, negative_marks
@@ -94,24 +197,117 @@ export const startAssessmentForStudent = async (req, res) => {
     );
     if (existingAttempt.length > 0) {
       console.warn(`⚠️ In-progress attempt exists for student ${studentId}, assessment ${assessmentId}`);
-      return res.status(400).json({ success: false, message: "Assessment already in progress" });
+      return res.status(400).json({
+        success: false,
+        message: "Assessment already in progress",
+        data: { attemptId: existingAttempt[0].id, resumable: true },
+      });
     }
 
-    // Create attempt
-    const { rows: attemptRows } = await db.query(
-      `INSERT INTO assessment_attempts (student_id, assessment_id, attempt_number, started_at, language, status)
-       VALUES ($1, $2, 1, NOW(), $3, 'in_progress') RETURNING id`,
-      [studentId, assessmentId, language]
-    );
+    // Enforce the attempts policy
+    const usage = await getAttemptUsage(studentId, assessmentId);
+    if (assessment.max_attempts && usage.attempts_used >= assessment.max_attempts) {
+      console.warn(`⚠️ Student ${studentId} has used all ${assessment.max_attempts} attempts for assessment ${assessmentId}`);
+      return res.status(403).json({
+        success: false,
+        message: `You have used all ${assessment.max_attempts} attempts for this assessment`,
+        data: { attempts_used: usage.attempts_used, max_attempts: assessment.max_attempts },
+      });
+    }
+    if (assessment.attempt_cooldown_minutes > 0 && usage.last_completed_at) {
+      const nextAttemptAt = new Date(new Date(usage.last_completed_at).getTime() + assessment.attempt_cooldown_minutes * 60 * 1000);
+      if (nextAttemptAt > new Date()) {
+        console.warn(`⚠️ Student ${studentId} is in cooldown for assessment ${assessmentId} until ${nextAttemptAt.toISOString()}`);
+        return res.status(403).json({
+          success: false,
+          message: `You can start your next attempt at ${nextAttemptAt.toISOString()}`,
+          data: { next_attempt_at: nextAttemptAt, attempts_used: usage.attempts_used, max_attempts: assessment.max_attempts },
+        });
+      }
+    }
+    const attemptNumber = usage.last_attempt_number + 1;
+
+    if (assessment.question_source !== "bank") {
+      const quota = await checkAiQuota(assessmentId);
+      if (quota && !quota.allowed) return sendQuotaExceeded(res, quota);
+    }
+
+    // Live generation can stream: the request returns at once and blocks arrive over Socket.IO
+    const stream = assessment.question_source !== "bank" && req.body?.stream === true;
+
+    // Create attempt. The unique in-progress index rejects a concurrent start that passed the checks above.
+    let attemptRows;
+    try {
+      ({ rows: attemptRows } = await db.query(
+        `INSERT INTO assessment_attempts (student_id, assessment_id, attempt_number, started_at, language, status, generation_status)
+         VALUES ($1, $2, $3, NOW(), $4, 'in_progress', $5) RETURNING id`,
+        [studentId, assessmentId, attemptNumber, language, stream ? "generating" : "ready"]
+      ));
+    } catch (error) {
+      if (error.code !== "23505") throw error;
+      console.warn(`⚠️ Concurrent start for student ${studentId}, assessment ${assessmentId}`);
+      const { rows: current } = await db.query(
+        `SELECT id FROM assessment_attempts WHERE student_id = $1 AND assessment_id = $2 AND status = 'in_progress'`,
+        [studentId, assessmentId]
+      );
+      return res.status(400).json({
+        success: false,
+        message: "Assessment already in progress",
+        data: { attemptId: current[0]?.id ?? null, resumable: true },
+      });
+    }
     const attemptId = attemptRows[0].id;
-    console.log(`✅ Created attempt ${attemptId} for assessment ${assessmentId}`);
+    console.log(`✅ Created attempt ${attemptId} (attempt #${attemptNumber}) for assessment ${assessmentId}`);
+
+    if (stream) {
+      res.status(202).json({
+        success: true,
+        message: "Assessment started; questions will arrive as they are generated",
+        data: {
+          attemptId,
+          attemptNumber,
+          maxAttempts: assessment.max_attempts,
+          duration: totalDuration,
+          totalQuestions: numQuestions,
+          generationStatus: "generating",
+        },
+      });
+      streamAttemptQuestions(req.app.get("io"), { assessment, attemptId, studentId, language, totalDuration, numQuestions });
+      return;
+    }
 
-    // Generate questions using the assessmentModel
-    await generateAssessmentQuestions(assessmentId, attemptId, language, assessment);
+    // Draw approved bank questions, or generate live
+    try {
+      if (assessment.question_source === "bank") {
+        await drawQuestionsFromBank(assessmentId, attemptId);
+      } else {
+        await generateAssessmentQuestions(assessmentId, attemptId, language, assessment, { userId: studentId });
+        requestPoolRefill();
+      }
+    } catch (error) {
+      // Without its questions the attempt is unusable, so it must not block the next start
+      await discardAttempt(attemptId);
+      if (error.message.startsWith("Not enough approved questions")) {
+        console.warn(`⚠️ ${error.message}`);
+        return res.status(409).json({
+          success: false,
+          message: "This assessment does not have enough approved questions yet. Please contact your instructor.",
+          error: error.message,
+        });
+      }
+      const failure = describeGenerationFailure(error);
+      if (failure) {
+        console.error(`❌ ${error.message}`);
+        return res.status(503).json({ success: false, message: failure, error: error.message });
+      }
+      throw error;
+    }
+
+    const deadlineAt = await startAttemptClock(attemptId, totalDuration, assessment.closes_at);
 
-    // Fetch generated questions (options is already JSONB, no need for JSON.parse)
+    // Fetch generated questions without their answer keys (options is already JSONB, no need for JSON.parse)
     const { rows: questionRows } = await db.query(
-      `SELECT id, question_type, question_text, options, correct_answer, positive_marks, negative_marks, duration_per_question
+      `SELECT id, question_type, question_text, options, positive_marks, negative_marks, duration_per_question
        FROM generated_questions WHERE attempt_id = $1 ORDER BY question_order`,
       [attemptId]
     );
@@ -121,7 +317,10 @@ export const startAssessmentForStudent = async (req, res) => {
       message: "Assessment started successfully",
       data: {
         attemptId,
+        attemptNumber,
+        maxAttempts: assessment.max_attempts,
         duration: totalDuration,
+        deadlineAt,
         questions: questionRows,
       },
     });
@@ -141,105 +340,128 @@ export const submitAssessmentForStudent = async (req, res) => {
 
     // Validate attempt
     const { rows: attemptRows } = await db.query(
-      `SELECT id, assessment_id, student_id, status
-       FROM assessment_attempts WHERE id = $1 AND student_id = $2 AND assessment_id = $3 AND status = 'in_progress'`,
+      `SELECT aa.id, aa.assessment_id, aa.student_id, aa.status, aa.deadline_at, aa.generation_status,
+              a.grace_period_seconds, a.late_submission_policy, a.late_penalty_percent,
+              aa.deadline_at IS NOT NULL
+                AND NOW() > aa.deadline_at + make_interval(secs => a.grace_period_seconds) AS is_late
+       FROM assessment_attempts aa
+       JOIN assessments a ON a.id = aa.assessment_id
+       WHERE aa.id = $1 AND aa.student_id = $2 AND aa.assessment_id = $3 AND aa.status = 'in_progress'`,
       [attemptId, studentId, assessmentId]
     );
     if (attemptRows.length === 0) {
       return res.status(400).json({ success: false, message: "Invalid attempt or assessment not in progress" });
     }
+    const attempt = attemptRows[0];
 
-    // Fetch all questions for the attempt
-    const { rows: questionRows } = await db.query(
-      `SELECT id, question_type, correct_answer, positive_marks, negative_marks
-       FROM generated_questions WHERE attempt_id = $1 ORDER BY question_order`,
-      [attemptId]
-    );
+    if (attempt.generation_status === "generating") {
+      return res.status(409).json({ success: false, message: "Questions are still being generated for this attempt" });
+    }
 
-    let totalScore = 0;
-    const evaluatedAnswers = [];
+    // Past the deadline and grace period: either ignore the late answers or grade them with a penalty
+    if (attempt.is_late && attempt.late_submission_policy === "reject") {
+      console.warn(`⚠️ Late submission rejected for attempt ${attemptId} (deadline ${attempt.deadline_at})`);
+      const closed = await gradeAttempt(attemptId, null, { autoSubmitted: true });
+      return res.status(403).json({
+        success: false,
+        message: "Time is up. Answers sent after the deadline were not accepted; only answers saved in time were graded.",
+        data: { attemptId, deadlineAt: attempt.deadline_at, score: closed ? closed.score : null },
+      });
+    }
+    const latePenaltyPercent = attempt.is_late ? attempt.late_penalty_percent : 0;
 
-    for (const q of questionRows) {
-      const submittedAnswer = answers.find((a) => a.questionId === q.id);
-      const studentAnswer = submittedAnswer ? submittedAnswer.answer : null;
+    const result = await gradeAttempt(attemptId, answers || [], { latePenaltyPercent });
+    if (!result) {
+      return res.status(400).json({ success: false, message: "Invalid attempt or assessment not in progress" });
+    }
+    const { score: totalScore, latePenalty, answers: evaluatedAnswers } = result;
+    console.log(`Assessment submitted successfully. Final score: ${totalScore}${attempt.is_late ? ` (late, -${latePenalty})` : ""}`);
 
-      let isCorrect = false;
+    res.status(200).json({
+      success: true,
+      message: attempt.is_late ? "Assessment submitted late; a late penalty was applied" : "Assessment submitted successfully",
+      data: { attemptId, score: totalScore, late: attempt.is_late, latePenalty, answers: evaluatedAnswers },
+    });
+  } catch (error) {
+    console.error("submitAssessmentForStudent error:", error);
+    res.status(500).json({ success: false, message: "Failed to submit assessment" });
+  }
+};
 
-      // SMART COMPARISON FOR ALL TYPES
-      if (q.question_type === "short_answer") {
-        const rule = typeof q.correct_answer === "string"
-          ? JSON.parse(q.correct_answer)
-          : q.correct_answer;
 
-        isCorrect = evaluateShortAnswer(studentAnswer, rule);
-      }
-      else {
-        // TRUE/FALSE & MCQ: Smart string comparison
-        const clean = (val) => {
-          if (val === null || val === undefined) return "";
-          return String(val).trim().toLowerCase().replace(/\\"/g, '"');
-        };
-        isCorrect = clean(q.correct_answer) === clean(studentAnswer);
-      }
+/**
+ * Save partial answers for an in-progress attempt without grading
+ * @route POST /api/taking/assessments/:assessmentId/autosave
+ */
+export const autosaveAnswersForStudent = async (req, res) => {
+  try {
+    const studentId = req.user.id;
+    const { assessmentId } = req.params;
+    const { attemptId, answers } = req.body || {};
 
-      // FIXED SCORING LOGIC — THIS WAS THE BUG
-      const score = isCorrect
-        ? parseFloat(q.positive_marks || 1)                                    // Correct → +marks
-        : (studentAnswer !== null && studentAnswer !== undefined               // Wrong & answered → -marks
-          ? -Math.abs(parseFloat(q.negative_marks || 0))
-          : 0);                                                              // Unanswered → 0
-
-      totalScore += score;
-
-      evaluatedAnswers.push({
-        questionId: q.id,
-        answer: studentAnswer,
-        correctAnswer: q.correct_answer,
-        score: score,
-        correct: isCorrect,
-      });
+    if (!attemptId || !Array.isArray(answers)) {
+      return res.status(400).json({ success: false, message: "attemptId and an answers array are required" });
+    }
 
-      // Save to DB
-           await db.query(
-        `INSERT INTO student_answers (attempt_id, question_id, student_answer, score)
-         VALUES ($1, $2, $3, $4)
-         ON CONFLICT (attempt_id, question_id) DO UPDATE
-         SET student_answer = $3, score = $4`,
-        [
-          attemptId, 
-          q.id, 
-          studentAnswer !== null 
-            ? (q.question_type === "short_answer" ? JSON.stringify(studentAnswer) : studentAnswer) 
-            : null, 
-          score
-        ]
-      );
+    const result = await saveAttemptAnswers(parseInt(attemptId), studentId, parseInt(assessmentId), answers);
+    if (!result) {
+      return res.status(409).json({ success: false, message: "Attempt is not in progress or its time is up" });
     }
 
-    // Prevent negative total score
-    totalScore = Math.max(0, totalScore);
+    res.status(200).json({ success: true, message: "Answers saved", data: result });
+  } catch (error) {
+    console.error("❌ autosaveAnswersForStudent error:", error.message, error.stack);
+    res.status(500).json({ success: false, message: "Failed to save answers" });
+  }
+};
+
+/**
+ * Return the in-progress attempt with its questions, saved answers and remaining time
+ * @route GET /api/taking/assessments/:assessmentId/resume
+ */
+export const resumeAssessmentForStudent = async (req, res) => {
+  try {
+    const studentId = req.user.id;
+    const { assessmentId } = req.params;
+
+    const attempt = await getInProgressAttempt(studentId, assessmentId);
+    if (!attempt) {
+      return res.status(404).json({ success: false, message: "No assessment in progress to resume" });
+    }
+
+    // Time ran out while the student was away: close it with what was saved
+    if (attempt.expired) {
+      const closed = await gradeAttempt(attempt.id, null, { autoSubmitted: true });
+      return res.status(410).json({
+        success: false,
+        message: "Time is up for this attempt; it was submitted with your saved answers",
+        data: { attemptId: attempt.id, score: closed ? closed.score : null },
+      });
+    }
 
-    // Update attempt
-await db.query(
-  `UPDATE assessment_attempts 
-   SET status = 'completed', completed_at = NOW(), score = $1
-   WHERE id = $2`,
-  [totalScore, attemptId]
-);
-    console.log(`Assessment submitted successfully. Final score: ${totalScore}`);
+    console.log(`🔁 Resuming attempt ${attempt.id} for student ${studentId} (${attempt.remaining_seconds}s left)`);
 
     res.status(200).json({
       success: true,
-      message: "Assessment submitted successfully",
-      data: { attemptId, score: totalScore, answers: evaluatedAnswers },
+      message: "Assessment resumed successfully",
+      data: {
+        attemptId: attempt.id,
+        attemptNumber: attempt.attempt_number,
+        language: attempt.language,
+        deadlineAt: attempt.deadline_at,
+        remainingSeconds: attempt.remaining_seconds,
+        lastSavedAt: attempt.last_saved_at,
+        generationStatus: attempt.generation_status,
+        questions: attempt.questions,
+        answers: attempt.savedAnswers,
+      },
     });
   } catch (error) {
-    console.error("submitAssessmentForStudent error:", error);
-    res.status(500).json({ success: false, message: "Failed to submit assessment" });
+    console.error("❌ resumeAssessmentForStudent error:", error.message, error.stack);
+    res.status(500).json({ success: false, message: "Failed to resume assessment" });
   }
 };
 
-
 export const getSubmissionDetailsForStudent = async (req, res) => {
   try {
     const studentId = req.user.id;
@@ -267,12 +489,19 @@ export const getSubmissionDetailsForStudent = async (req, res) => {
       [submissionId]
     );
 
+    const citations = await getCitationsForQuestions(answerRows.map(row => row.question_id));
+    const appeals = await getAppealsForAttempt(submissionId);
+
     res.status(200).json({
       success: true,
       message: "Submission details retrieved successfully",
       data: {
         attempt: attemptRows[0],
-        answers: answerRows,
+        answers: answerRows.map(row => ({
+          ...row,
+          citations: citations[row.question_id] || [],
+          appeal: appeals[row.question_id] || null,
+        })),
       },
     });
   } catch (error) {
@@ -291,7 +520,7 @@ export const getAssessmentForInstructorPrint = async (req, res) => {
 
     // Fetch assessment + question blocks
     const { rows: assessmentRows } = await db.query(
-      `SELECT a.id, a.title, a.instructor_id, a.prompt, a.external_links
+      `SELECT a.id, a.title, a.instructor_id, a.prompt, a.external_links, a.question_source
        FROM assessments a
        WHERE a.id = $1 AND a.instructor_id = $2`,
       [assessmentId, userId]
@@ -314,6 +543,11 @@ export const getAssessmentForInstructorPrint = async (req, res) => {
       return res.status(400).json({ success: false, message: "No question blocks defined for this assessment" });
     }
 
+    if (assessment.question_source !== "bank") {
+      const quota = await checkAiQuota(assessmentId);
+      if (quota && !quota.allowed) return sendQuotaExceeded(res, quota);
+    }
+
     // Create temp attempt
     const { rows: attemptRows } = await db.query(
       `INSERT INTO assessment_attempts 
@@ -326,12 +560,10 @@ export const getAssessmentForInstructorPrint = async (req, res) => {
     console.log(`Temp attempt created: ${attemptId}`);
 
     // Pass question_blocks properly
-    const { questions, duration } = await generateAssessmentQuestions(
-      assessmentId,
-      attemptId,
-      "en",
-      assessment,
-    );
+    const { questions, duration } = assessment.question_source === "bank"
+      ? await drawQuestionsFromBank(assessmentId, attemptId)
+      : await generateAssessmentQuestions(assessmentId, attemptId, "en", assessment, { userId });
+    if (assessment.question_source !== "bank") requestPoolRefill();
 
     const totalMarks = questions.reduce((sum, q) => sum + (q.positive_marks || 0), 0);
 
@@ -355,6 +587,9 @@ export const getAssessmentForInstructorPrint = async (req, res) => {
       await db.query(`DELETE FROM assessment_attempts WHERE id = $1`, [attemptId])
         .catch(() => console.error("Cleanup failed"));
     }
+    if (error.message.startsWith("Not enough approved questions")) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
     res.status(500).json({ success: false, message: "Failed to generate paper data" });
   }
 };
\ No newline at end of file
@@ -1,4 +1,6 @@
 import db from "../DB/db.js"
+import { getAvailability } from "../models/assessmentModel.js"
+import { getCountedAttempts } from "../models/attemptModel.js"
 
 // List assessments available to a student (enrolled + published), with simple status fields used by dashboard
 export const getStudentAssessmentsList = async (req, res) => {
@@ -19,30 +21,39 @@ export const getStudentAssessmentsList = async (req, res) => {
 
     const { rows } = await db.query(
       `SELECT a.id, a.title, a.prompt, a.external_links, a.is_executed,
-              COALESCE(aa.percentage, NULL) as score,
-              aa.submitted_at
+              a.opens_at, a.closes_at, a.timezone, a.late_start_cutoff_minutes,
+              a.max_attempts,
+              (SELECT COUNT(*)::int FROM assessment_attempts aa
+               WHERE aa.assessment_id = a.id AND aa.student_id = $1) AS attempts_used
        FROM enrollments e
        JOIN assessments a ON a.id = e.assessment_id
-       LEFT JOIN LATERAL (
-         SELECT percentage, submitted_at FROM assessment_attempts aa
-         WHERE aa.assessment_id = a.id AND aa.student_id = $1
-         ORDER BY submitted_at DESC NULLS LAST LIMIT 1
-       ) aa ON true
        WHERE e.student_id = $1
        ORDER BY a.id DESC`,
       [studentId]
     )
-    const data = rows.map(r => ({
-      id: r.id,
-      title: r.title,
-      description: r.prompt?.slice(0, 140) || "",
-      duration: 30, // AI will determine actual duration
-      total_marks: 100, // AI will calculate actual marks
-      end_date: null,
-      submitted: !!r.submitted_at,
-      submitted_at: r.submitted_at,
-      score: r.score
-    }))
+    const counted = await getCountedAttempts({ studentId })
+    const countedMap = Object.fromEntries(counted.map(c => [c.assessment_id, c]))
+
+    const data = rows.map(r => {
+      const attempt = countedMap[r.id]
+      return {
+        id: r.id,
+        title: r.title,
+        description: r.prompt?.slice(0, 140) || "",
+        duration: 30, // AI will determine actual duration
+        total_marks: 100, // AI will calculate actual marks
+        start_date: r.opens_at,
+        end_date: r.closes_at,
+        timezone: r.timezone,
+        availability: getAvailability(r),
+        submitted: !!attempt,
+        submitted_at: attempt?.completed_at || null,
+        score: attempt ? attempt.percentage : null,
+        attempts_used: r.attempts_used,
+        max_attempts: r.max_attempts,
+        attempts_remaining: r.max_attempts ? Math.max(0, r.max_attempts - r.attempts_used) : null
+      }
+    })
     res.status(200).json({ success: true, data })
   } catch (error) {
     console.error("❌ getStudentAssessmentsList error:", error)
@@ -6,6 +6,19 @@ import { Server } from "socket.io";
 import { connectDB } from "./DB/db.js";
 import { init as initAssessmentModel } from "./models/assessmentModel.js";
 import { init as initResourceModel } from "./models/resourceModel.js";
+import { init as initQuestionBankModel } from "./models/questionBankModel.js";
+import { init as initUserModel } from "./models/userModel.js";
+import { init as initReminderModel } from "./models/reminderModel.js";
+import { init as initGradeOverrideModel } from "./models/gradeOverrideModel.js";
+import { init as initGradeAppealModel } from "./models/gradeAppealModel.js";
+import { init as initLlmUsageModel } from "./models/llmUsageModel.js";
+import { init as initQuestionPoolModel } from "./models/questionPoolModel.js";
+import { init as initQuestionTopicModel } from "./models/questionTopicModel.js";
+import { describeLlmConfig } from "./services/llmConfig.js";
+import { startAttemptSweeper } from "./services/attemptSweeper.js";
+import { startReminderScheduler } from "./services/reminderScheduler.js";
+import { startQuestionPoolWorker } from "./services/questionPoolWorker.js";
+import { registerAttemptSocketHandlers } from "./services/attemptSocket.js";
 import authRoutes from "./routes/authRoutes.js";
 import assessmentRoutes from "./routes/assessmentRoutes.js";
 import resourceRoutes from "./routes/resourceRoutes.js";
@@ -13,6 +26,8 @@ import dashboardRoutes from "./routes/dashboardRoutes.js";
 import studentAnalyticsRoutes from "./routes/studentAnalyticsRoutes.js";
 import takingRoutes from "./routes/takingRoutes.js";
 import instructorAssessmentAnalyticsRoutes from "./routes/instructorAssessmentAnalyticsRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import appealRoutes from "./routes/appealRoutes.js";
 import { errorHandler, notFound } from "./middleware/errorMiddleware.js";
 
 // === GLOBALS FOR LOGGING (MochaHost Debug) ===
@@ -42,6 +57,7 @@ app.set("io", io);
 const uploadSockets = new Map();
 
 io.on("connection", (socket) => {
+  registerAttemptSocketHandlers(socket);
 
   socket.on("register-upload", (userId) => {
     uploadSockets.set(socket.id, userId);
@@ -58,12 +74,19 @@ const startServer = async () => {
     global.startupLogs.push(`[INIT] Starting server on port ${PORT}...`);
     global.startupLogs.push(`[ENV] NODE_ENV = ${process.env.NODE_ENV || "development"}`);
     global.startupLogs.push(`[ENV] FRONTEND_URL = ${process.env.FRONTEND_URL || "https://gradewiseai.techmiresolutions.com"}`);
+    describeLlmConfig().forEach(({ task, provider, model }) =>
+      global.startupLogs.push(`[LLM] ${task} → ${provider} (${model})`)
+    );
 
     global.startupLogs.push("[DB] Connecting to database...");
     await connectDB();
     global.dbConnected = true;
     global.startupLogs.push("[DB] Connected successfully!");
 
+    global.startupLogs.push("[MODEL] Initializing User Model...");
+    await initUserModel();
+    global.startupLogs.push("[MODEL] User Model initialized!");
+
     global.startupLogs.push("[MODEL] Initializing Resource Model...");
     await initResourceModel();
     global.startupLogs.push("[MODEL] Resource Model initialized!");
@@ -72,6 +95,43 @@ const startServer = async () => {
     await initAssessmentModel();
     global.startupLogs.push("[MODEL] Assessment Model initialized!");
 
+    global.startupLogs.push("[MODEL] Initializing Question Bank Model...");
+    await initQuestionBankModel();
+    global.startupLogs.push("[MODEL] Question Bank Model initialized!");
+
+    global.startupLogs.push("[MODEL] Initializing Reminder Model...");
+    await initReminderModel();
+    global.startupLogs.push("[MODEL] Reminder Model initialized!");
+
+    global.startupLogs.push("[MODEL] Initializing Grade Override Model...");
+    await initGradeOverrideModel();
+    global.startupLogs.push("[MODEL] Grade Override Model initialized!");
+
+    global.startupLogs.push("[MODEL] Initializing Grade Appeal Model...");
+    await initGradeAppealModel();
+    global.startupLogs.push("[MODEL] Grade Appeal Model initialized!");
+
+    global.startupLogs.push("[MODEL] Initializing LLM Usage Model...");
+    await initLlmUsageModel();
+    global.startupLogs.push("[MODEL] LLM Usage Model initialized!");
+
+    global.startupLogs.push("[MODEL] Initializing Question Pool Model...");
+    await initQuestionPoolModel();
+    global.startupLogs.push("[MODEL] Question Pool Model initialized!");
+
+    global.startupLogs.push("[MODEL] Initializing Question Topic Model...");
+    await initQuestionTopicModel();
+    global.startupLogs.push("[MODEL] Question Topic Model initialized!");
+
+    startAttemptSweeper();
+    global.startupLogs.push("[JOBS] Attempt sweeper started");
+
+    startReminderScheduler();
+    global.startupLogs.push("[JOBS] Reminder scheduler started");
+
+    startQuestionPoolWorker();
+    global.startupLogs.push("[JOBS] Question pool worker started");
+
     global.startupLogs.push(`[SERVER] Listening on 0.0.0.0:${PORT}...`);
 
     httpServer.listen(PORT, "0.0.0.0", () => {
@@ -113,6 +173,8 @@ app.use("/api/dashboard", dashboardRoutes);
 app.use("/api/student-analytics", studentAnalyticsRoutes);
 app.use("/api/taking", takingRoutes);
 app.use("/api/instructor-analytics", instructorAssessmentAnalyticsRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/appeals", appealRoutes);
 
 // Health check
 app.get("/api/health", (req, res) => {
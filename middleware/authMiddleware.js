@@ -52,6 +52,23 @@ export const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Resolve the user for a JWT outside of an HTTP request (e.g. Socket.IO events)
+ * @returns {Promise<{id: number, email: string, role: string}>}
+ */
+export const getUserFromToken = async (token) => {
+  if (!token) throw new Error("No token provided");
+
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.roles) throw new Error("Invalid token: 'roles' detected in payload");
+
+  const user = await findUserByEmail(decoded.email);
+  if (!user) throw new Error("User not found");
+  if (!user.role || typeof user.role !== "string") throw new Error("Invalid user role");
+
+  return { id: user.id, email: user.email, role: user.role };
+};
+
 export const authorizeRoles = (...roles) => {
   return (req, res, next) => {
     const allowedRoles = Array.isArray(roles[0]) ? roles[0] : roles;
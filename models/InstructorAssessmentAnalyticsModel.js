@@ -1,9 +1,15 @@
   import db from "../DB/db.js";
+  import { getCitationsForQuestions } from "./assessmentModel.js";
+  import { getCountedAttempts, getObjectiveBreakdown } from "./attemptModel.js";
+  import { DIFFICULTY_LEVELS, DIFFICULTY_WEIGHTS, difficultyTargets } from "../services/questionFairness.js";
 
   /**
    * Instructor Assessment Analytics Model
    */
 
+  // Question types whose stored score is the grade (no single correct string to compare)
+  const STORED_SCORE_TYPES = ["matching", "essay", "multiple_select", "numeric"];
+
   /**
    * Fetch executed assessments for an instructor
    */
@@ -27,73 +33,67 @@
    */
   export const getAssessmentStudentsModel = async (assessmentId, instructorId) => {
   try {
-    const result = await db.query(`
-      SELECT 
-        aa.student_id,
-        u.name,
-        aa.score as obtained_score,
-        aa.completed_at,
-        aa.started_at,
-        COUNT(gq.id) as total_questions,
-        COALESCE(SUM(gq.positive_marks), 0) as max_possible_score
-      FROM assessment_attempts aa
-      JOIN assessments a ON a.id = aa.assessment_id
-      JOIN users u ON u.id = aa.student_id
-      JOIN generated_questions gq ON gq.attempt_id = aa.id
-      LEFT JOIN student_answers sa ON sa.question_id = gq.id AND sa.attempt_id = aa.id
-      WHERE a.id = $1 AND a.instructor_id = $2
-        AND aa.completed_at IS NOT NULL AND aa.status = 'completed'
-      GROUP BY aa.id, aa.student_id, u.name, aa.started_at, aa.completed_at, aa.score
-      ORDER BY aa.completed_at DESC
-    `, [assessmentId, instructorId]);
-
-    // Smart correct count using saved score for short answer, string compare for others
+    // The attempt that counts for each student under the assessment's grade aggregation
+    const counted = await getCountedAttempts({ assessmentId, instructorId });
+    if (counted.length === 0) return [];
+
+    const attemptIds = counted.map(row => row.attempt_id);
+
+    // Smart correct count using saved score for rubric, partial-credit and numeric types, string compare for others
     const detailedResult = await db.query(`
       SELECT 
-        aa.student_id,
+        gq.attempt_id,
+        COUNT(gq.id) as total_questions,
         COUNT(CASE 
-          WHEN gq.question_type = 'short_answer' THEN
+          WHEN gq.question_type IN ('short_answer', 'matching', 'essay', 'multiple_select', 'numeric') THEN
             CASE WHEN sa.score > 0 THEN 1 ELSE NULL END
           ELSE
             CASE WHEN TRIM(LOWER(REGEXP_REPLACE(sa.student_answer, '[^a-zA-Z0-9]', '', 'g'))) = 
                      TRIM(LOWER(REGEXP_REPLACE((gq.correct_answer)::text, '[^a-zA-Z0-9]', '', 'g'))) 
             THEN 1 ELSE NULL END
         END) as correct_answers
-      FROM assessment_attempts aa
-      JOIN generated_questions gq ON gq.attempt_id = aa.id
-      LEFT JOIN student_answers sa ON sa.question_id = gq.id AND sa.attempt_id = aa.id
-      WHERE aa.assessment_id = $1 AND aa.student_id IN (
-        SELECT student_id FROM assessment_attempts WHERE assessment_id = $1 AND status = 'completed'
-      )
-      GROUP BY aa.student_id
-    `, [assessmentId]);
-
-    const correctMap = {};
+      FROM generated_questions gq
+      LEFT JOIN student_answers sa ON sa.question_id = gq.id AND sa.attempt_id = gq.attempt_id
+      WHERE gq.attempt_id = ANY($1::int[])
+      GROUP BY gq.attempt_id
+    `, [attemptIds]);
+
+    const statsMap = {};
     detailedResult.rows.forEach(row => {
-      correctMap[row.student_id] = Number(row.correct_answers || 0);
+      statsMap[row.attempt_id] = {
+        total_questions: Number(row.total_questions || 0),
+        correct_answers: Number(row.correct_answers || 0),
+      };
     });
 
-    return result.rows.map(row => {
-      const timeDiff = row.started_at && row.completed_at 
-        ? Math.round((new Date(row.completed_at) - new Date(row.started_at)) / 1000) 
-        : 0;
-      const minutes = Math.floor(timeDiff / 60);
-      const seconds = timeDiff % 60;
+    const { rows: nameRows } = await db.query(
+      `SELECT id, name FROM users WHERE id = ANY($1::int[])`,
+      [counted.map(row => row.student_id)]
+    );
+    const nameMap = Object.fromEntries(nameRows.map(row => [row.id, row.name]));
 
-      const percentage = row.max_possible_score > 0 
-        ? Math.round((row.obtained_score / row.max_possible_score) * 100)
-        : 0;
+    return counted
+      .sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at))
+      .map(row => {
+        const timeDiff = row.started_at && row.completed_at 
+          ? Math.round((new Date(row.completed_at) - new Date(row.started_at)) / 1000) 
+          : 0;
+        const minutes = Math.floor(timeDiff / 60);
+        const seconds = timeDiff % 60;
 
-      return {
-        student_id: row.student_id,
-        name: row.name,
-        total_questions: Number(row.total_questions),
-        correct_answers: correctMap[row.student_id] || 0,
-        percentage,
-        time_used: `${minutes}m ${seconds}s`,
-        time_taken: timeDiff
-      };
-    });
+        return {
+          student_id: row.student_id,
+          name: nameMap[row.student_id],
+          total_questions: statsMap[row.attempt_id]?.total_questions || 0,
+          correct_answers: statsMap[row.attempt_id]?.correct_answers || 0,
+          percentage: Math.round(Number(row.percentage)),
+          time_used: `${minutes}m ${seconds}s`,
+          time_taken: timeDiff,
+          attempt_id: row.attempt_id,
+          attempts_count: row.attempts_count,
+          grade_aggregation: row.grade_aggregation
+        };
+      });
   } catch (error) {
     console.error("Error fetching students:", error);
     return [];
@@ -110,22 +110,19 @@
     const check = await db.query(`SELECT 1 FROM assessments WHERE id = $1 AND instructor_id = $2`, [assessmentId, instructorId]);
     if (check.rows.length === 0) throw new Error("Access denied");
 
-    // Get latest attempt
-    const attempt = await db.query(`
-      SELECT id FROM assessment_attempts 
-      WHERE assessment_id = $1 AND student_id = $2 AND status = 'completed' 
-      ORDER BY completed_at DESC LIMIT 1
-    `, [assessmentId, studentId]);
+    // Get the attempt that counts under the grade aggregation
+    const [counted] = await getCountedAttempts({ assessmentId, studentId });
 
-    if (attempt.rows.length === 0) return [];
+    if (!counted) return [];
 
-    const attemptId = attempt.rows[0].id;
+    const attemptId = counted.attempt_id;
 
     // Get all questions
     const result = await db.query(`
       SELECT 
-        gq.question_order, gq.question_text, gq.question_type, gq.options,
-        gq.correct_answer, sa.student_answer, sa.score, gq.positive_marks, gq.negative_marks
+        gq.id AS question_id, gq.question_order, gq.question_text, gq.question_type, gq.options,
+        gq.correct_answer, sa.student_answer, sa.score, gq.positive_marks, gq.negative_marks,
+        sa.grading_rationale, sa.graded_by, gq.learning_objective, gq.cognitive_level, gq.difficulty
       FROM generated_questions gq
       LEFT JOIN student_answers sa ON sa.question_id = gq.id AND sa.attempt_id = $1
       WHERE gq.attempt_id = $1
@@ -142,16 +139,26 @@
         .replace(/[^a-z0-9]/g, '');
     };
 
+    const citations = await getCitationsForQuestions(result.rows.map(q => q.question_id));
+
     return result.rows.map(q => {
       const studentClean = clean(q.student_answer);
       const correctClean = clean(q.correct_answer);
 
-      const isCorrect = studentClean === correctClean;
+      // Partial-credit and numeric types cannot be string compared, so their stored score is the grade
+      const usesStoredScore = STORED_SCORE_TYPES.includes(q.question_type);
+      const isCorrect = usesStoredScore
+        ? q.score !== null && Number(q.score) >= Number(q.positive_marks)
+        : studentClean === correctClean;
 
       return {
         ...q,
         is_correct: isCorrect,
-        score: isCorrect ? q.positive_marks : (q.score || -Math.abs(q.negative_marks || 0))
+        // Manually graded and partial-credit answers keep their stored score
+        score: q.graded_by === "manual" || usesStoredScore
+          ? Number(q.score || 0)
+          : (isCorrect ? q.positive_marks : (q.score || -Math.abs(q.negative_marks || 0))),
+        citations: citations[q.question_id] || []
       };
     });
 
@@ -159,4 +166,153 @@
     console.error("Analytics model error:", error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Class performance per learning objective and Bloom's level, over the attempt that counts
+ * for each student
+ * @returns {Promise<Object|null>} null when the instructor does not own the assessment
+ */
+export const getObjectiveAnalyticsModel = async (assessmentId, instructorId) => {
+  const check = await db.query(`SELECT 1 FROM assessments WHERE id = $1 AND instructor_id = $2`, [assessmentId, instructorId]);
+  if (check.rows.length === 0) return null;
+
+  const counted = await getCountedAttempts({ assessmentId, instructorId });
+  const { objectives, cognitive_levels } = await getObjectiveBreakdown(counted.map(row => row.attempt_id));
+
+  return {
+    assessment_id: assessmentId,
+    students: counted.length,
+    objectives,
+    cognitive_levels,
+  };
+};
+
+// How far (in difficulty weight points) an attempt's average may sit from the assessment mean before it is flagged
+const FAIRNESS_TOLERANCE = 0.25;
+
+const round2 = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Difficulty spread across every student attempt of an assessment: the difficulty mix and
+ * average difficulty (easy 1, medium 2, hard 3) of each attempt, attempts that sit far from
+ * the mean, each block's observed mix against its target, and how often each level was
+ * answered correctly
+ * @returns {Promise<Object|null>} null when the instructor does not own the assessment
+ */
+export const getDifficultyFairnessModel = async (assessmentId, instructorId) => {
+  const check = await db.query(`SELECT 1 FROM assessments WHERE id = $1 AND instructor_id = $2`, [assessmentId, instructorId]);
+  if (check.rows.length === 0) return null;
+
+  const { rows } = await db.query(`
+    SELECT aa.id AS attempt_id, aa.student_id, u.name, aa.status,
+           gq.block_id, gq.difficulty, gq.positive_marks, sa.score AS answer_score
+    FROM assessment_attempts aa
+    JOIN users u ON u.id = aa.student_id
+    JOIN generated_questions gq ON gq.attempt_id = aa.id
+    LEFT JOIN student_answers sa ON sa.question_id = gq.id AND sa.attempt_id = aa.id
+    WHERE aa.assessment_id = $1 AND aa.is_physical_paper = FALSE
+    ORDER BY aa.id, gq.question_order
+  `, [assessmentId]);
+
+  const { rows: blocks } = await db.query(
+    `SELECT id, question_type, question_count, difficulty_distribution
+     FROM question_blocks WHERE assessment_id = $1 ORDER BY id`,
+    [assessmentId]
+  );
+
+  const emptyMix = () => Object.fromEntries(DIFFICULTY_LEVELS.map(level => [level, 0]));
+  const attempts = {};
+  const blockMix = {};
+  const outcomes = Object.fromEntries(DIFFICULTY_LEVELS.map(level => [level, { questions: 0, answered: 0, credit: 0 }]));
+
+  for (const row of rows) {
+    const attempt = attempts[row.attempt_id] ??= {
+      attempt_id: row.attempt_id,
+      student_id: row.student_id,
+      name: row.name,
+      status: row.status,
+      questions: 0,
+      ...emptyMix(),
+      untagged: 0,
+    };
+    attempt.questions++;
+    if (!DIFFICULTY_LEVELS.includes(row.difficulty)) {
+      attempt.untagged++;
+      continue;
+    }
+    attempt[row.difficulty]++;
+    if (row.block_id) {
+      const mix = blockMix[row.block_id] ??= { ...emptyMix(), attempts: new Set() };
+      mix[row.difficulty]++;
+      mix.attempts.add(row.attempt_id);
+    }
+
+    const outcome = outcomes[row.difficulty];
+    outcome.questions++;
+    if (row.status === "completed" && row.answer_score !== null) {
+      outcome.answered++;
+      outcome.credit += Math.min(Math.max(Number(row.answer_score) / Number(row.positive_marks || 1), 0), 1);
+    }
+  }
+
+  const attemptList = Object.values(attempts).map(attempt => {
+    const tagged = attempt.questions - attempt.untagged;
+    const weight = DIFFICULTY_LEVELS.reduce((sum, level) => sum + attempt[level] * DIFFICULTY_WEIGHTS[level], 0);
+    return { ...attempt, difficulty_index: tagged > 0 ? weight / tagged : null };
+  });
+
+  const indexes = attemptList.map(a => a.difficulty_index).filter(index => index !== null);
+  const mean = indexes.length > 0 ? indexes.reduce((sum, index) => sum + index, 0) / indexes.length : null;
+  const stdDev = indexes.length > 0
+    ? Math.sqrt(indexes.reduce((sum, index) => sum + (index - mean) ** 2, 0) / indexes.length)
+    : null;
+
+  const attemptCount = attemptList.length;
+  const taggedTotal = DIFFICULTY_LEVELS.reduce((sum, level) => sum + outcomes[level].questions, 0);
+
+  return {
+    assessment_id: assessmentId,
+    summary: {
+      attempts: attemptCount,
+      tagged_questions: taggedTotal,
+      untagged_questions: attemptList.reduce((sum, a) => sum + a.untagged, 0),
+      mean_difficulty_index: round2(mean),
+      std_dev: round2(stdDev),
+      min_difficulty_index: indexes.length > 0 ? round2(Math.min(...indexes)) : null,
+      max_difficulty_index: indexes.length > 0 ? round2(Math.max(...indexes)) : null,
+      spread: indexes.length > 0 ? round2(Math.max(...indexes) - Math.min(...indexes)) : null,
+      tolerance: FAIRNESS_TOLERANCE,
+      outliers: attemptList.filter(a => a.difficulty_index !== null && Math.abs(a.difficulty_index - mean) > FAIRNESS_TOLERANCE).length,
+    },
+    // Share of all tagged questions per level, and the average credit earned on completed attempts
+    difficulty_mix: Object.fromEntries(DIFFICULTY_LEVELS.map(level => [level, {
+      questions: outcomes[level].questions,
+      share: taggedTotal > 0 ? round2(outcomes[level].questions / taggedTotal) : 0,
+      success_rate: outcomes[level].answered > 0 ? round2(outcomes[level].credit / outcomes[level].answered) : null,
+    }])),
+    // Average questions per attempt at each level against the block's target
+    blocks: blocks.map(block => {
+      const observed = blockMix[block.id];
+      return {
+        block_id: block.id,
+        question_type: block.question_type,
+        question_count: block.question_count,
+        difficulty_distribution: block.difficulty_distribution,
+        target: difficultyTargets(block),
+        observed_per_attempt: Object.fromEntries(DIFFICULTY_LEVELS.map(level => [
+          level,
+          observed ? round2(observed[level] / observed.attempts.size) : 0,
+        ])),
+      };
+    }),
+    attempts: attemptList
+      .map(a => ({
+        ...a,
+        difficulty_index: round2(a.difficulty_index),
+        deviation: a.difficulty_index === null ? null : round2(a.difficulty_index - mean),
+        outlier: a.difficulty_index !== null && Math.abs(a.difficulty_index - mean) > FAIRNESS_TOLERANCE,
+      }))
+      .sort((a, b) => (b.difficulty_index ?? 0) - (a.difficulty_index ?? 0)),
+  };
+};
@@ -1,6 +1,68 @@
 import db from "../DB/db.js";
 import { findResourceById } from "./resourceModel.js";
-import { getCreationModel, mapLanguageCode, } from "../services/geminiService.js";
+import { getCreationModel, generateContent, mapLanguageCode } from "../services/geminiService.js";
+import { generateEmbedding } from "../services/embeddingGenerator.js";
+import { validateGeneratedQuestion, parseQuestionArray } from "../services/questionValidator.js";
+import { takeFromPool, clearQuestionPool } from "./questionPoolModel.js";
+import { DIFFICULTY_LEVELS, difficultyTargets, shuffleChoiceOptions } from "../services/questionFairness.js";
+import { storeQuestionTopics } from "./questionTopicModel.js";
+
+// Per-assessment settings accepted by createAssessment / updateAssessment
+const ASSESSMENT_SETTING_COLUMNS = [
+  "retrieval_top_k",
+  "retrieval_char_budget",
+  "question_source",
+  "opens_at",
+  "closes_at",
+  "timezone",
+  "late_start_cutoff_minutes",
+  "reminder_offsets_hours",
+  "max_attempts",
+  "attempt_cooldown_minutes",
+  "grade_aggregation",
+  "grace_period_seconds",
+  "late_submission_policy",
+  "late_penalty_percent",
+  "short_answer_grading",
+  "pool_variants",
+  "shuffle_options",
+  "topics",
+];
+
+// Question types a block (and the questions generated for it) can use
+export const QUESTION_TYPES = [
+  "multiple_choice", "short_answer", "true_false", "matching", "essay", "multiple_select", "numeric",
+];
+
+// How a multiple_select block credits a partly right selection
+export const PARTIAL_CREDIT_MODES = ["all_or_nothing", "partial", "right_minus_wrong"];
+
+// Bloom's taxonomy levels a block's questions can target, with what each asks of the student
+export const COGNITIVE_LEVELS = {
+  remember: "recall facts, terms and definitions from the content",
+  understand: "explain, summarise or interpret ideas in their own words",
+  apply: "use a concept or procedure in a new, concrete situation",
+  analyse: "break information into parts and work out how they relate",
+  evaluate: "judge or justify a claim, method or decision against criteria",
+  create: "combine ideas into a new plan, design or argument",
+};
+
+const QUESTION_TYPE_CHECK = `question_type IN (${QUESTION_TYPES.map(type => `'${type}'`).join(", ")})`;
+
+// Replace a table's question_type CHECK so existing databases accept newly added types
+const refreshQuestionTypeCheck = async (table) => {
+  await db.query(`
+    ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_question_type_check;
+    ALTER TABLE ${table} ADD CONSTRAINT ${table}_question_type_check CHECK (${QUESTION_TYPE_CHECK});
+  `);
+};
+
+const pickAssessmentSettings = (data = {}) =>
+  Object.fromEntries(
+    ASSESSMENT_SETTING_COLUMNS
+      .filter((column) => data[column] !== undefined)
+      .map((column) => [column, data[column]])
+  );
 
 const ensureAssessmentsTable = async () => {
   try {
@@ -23,6 +85,24 @@ const ensureAssessmentsTable = async () => {
           instructor_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
           is_published BOOLEAN DEFAULT FALSE,
           is_executed BOOLEAN DEFAULT FALSE,
+          retrieval_top_k INTEGER NOT NULL DEFAULT 6,
+          retrieval_char_budget INTEGER NOT NULL DEFAULT 12000,
+          question_source VARCHAR(10) NOT NULL DEFAULT 'live' CHECK (question_source IN ('live', 'bank')),
+          opens_at TIMESTAMP WITH TIME ZONE,
+          closes_at TIMESTAMP WITH TIME ZONE,
+          timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+          late_start_cutoff_minutes INTEGER NOT NULL DEFAULT 0,
+          reminder_offsets_hours INTEGER[] NOT NULL DEFAULT '{24,1}',
+          max_attempts INTEGER CHECK (max_attempts IS NULL OR max_attempts >= 1),
+          attempt_cooldown_minutes INTEGER NOT NULL DEFAULT 0,
+          grade_aggregation VARCHAR(10) NOT NULL DEFAULT 'latest' CHECK (grade_aggregation IN ('highest', 'latest', 'average')),
+          grace_period_seconds INTEGER NOT NULL DEFAULT 30,
+          late_submission_policy VARCHAR(10) NOT NULL DEFAULT 'reject' CHECK (late_submission_policy IN ('reject', 'penalize')),
+          late_penalty_percent INTEGER NOT NULL DEFAULT 0 CHECK (late_penalty_percent BETWEEN 0 AND 100),
+          short_answer_grading VARCHAR(10) NOT NULL DEFAULT 'keyword' CHECK (short_answer_grading IN ('keyword', 'ai')),
+          pool_variants INTEGER NOT NULL DEFAULT 3 CHECK (pool_variants BETWEEN 0 AND 10),
+          shuffle_options BOOLEAN NOT NULL DEFAULT TRUE,
+          topics TEXT[] NOT NULL DEFAULT '{}',
           created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
         )
@@ -44,6 +124,64 @@ const ensureAssessmentsTable = async () => {
 
       // Title should be nullable
       await db.query(`ALTER TABLE assessments ALTER COLUMN title DROP NOT NULL;`);
+
+      // Retrieval settings for question generation
+      await db.query(`
+        ALTER TABLE assessments
+          ADD COLUMN IF NOT EXISTS retrieval_top_k INTEGER NOT NULL DEFAULT 6,
+          ADD COLUMN IF NOT EXISTS retrieval_char_budget INTEGER NOT NULL DEFAULT 12000,
+          ADD COLUMN IF NOT EXISTS question_source VARCHAR(10) NOT NULL DEFAULT 'live' CHECK (question_source IN ('live', 'bank'));
+      `);
+
+      // Availability window
+      await db.query(`
+        ALTER TABLE assessments
+          ADD COLUMN IF NOT EXISTS opens_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS closes_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+          ADD COLUMN IF NOT EXISTS late_start_cutoff_minutes INTEGER NOT NULL DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS reminder_offsets_hours INTEGER[] NOT NULL DEFAULT '{24,1}';
+      `);
+
+      // Attempts policy (NULL max_attempts = unlimited)
+      await db.query(`
+        ALTER TABLE assessments
+          ADD COLUMN IF NOT EXISTS max_attempts INTEGER CHECK (max_attempts IS NULL OR max_attempts >= 1),
+          ADD COLUMN IF NOT EXISTS attempt_cooldown_minutes INTEGER NOT NULL DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS grade_aggregation VARCHAR(10) NOT NULL DEFAULT 'latest' CHECK (grade_aggregation IN ('highest', 'latest', 'average'));
+      `);
+
+      // Timer enforcement
+      await db.query(`
+        ALTER TABLE assessments
+          ADD COLUMN IF NOT EXISTS grace_period_seconds INTEGER NOT NULL DEFAULT 30,
+          ADD COLUMN IF NOT EXISTS late_submission_policy VARCHAR(10) NOT NULL DEFAULT 'reject' CHECK (late_submission_policy IN ('reject', 'penalize')),
+          ADD COLUMN IF NOT EXISTS late_penalty_percent INTEGER NOT NULL DEFAULT 0 CHECK (late_penalty_percent BETWEEN 0 AND 100);
+      `);
+
+      // Short answer grading mode
+      await db.query(`
+        ALTER TABLE assessments
+          ADD COLUMN IF NOT EXISTS short_answer_grading VARCHAR(10) NOT NULL DEFAULT 'keyword' CHECK (short_answer_grading IN ('keyword', 'ai'));
+      `);
+
+      // Pre-generated question pool size, in sets of each block's question_count (0 = no pool)
+      await db.query(`
+        ALTER TABLE assessments
+          ADD COLUMN IF NOT EXISTS pool_variants INTEGER NOT NULL DEFAULT 3 CHECK (pool_variants BETWEEN 0 AND 10);
+      `);
+
+      // Give each attempt its own option order for choice questions
+      await db.query(`
+        ALTER TABLE assessments
+          ADD COLUMN IF NOT EXISTS shuffle_options BOOLEAN NOT NULL DEFAULT TRUE;
+      `);
+
+      // Instructor-defined topics generated questions are tagged with (empty = named by the model)
+      await db.query(`
+        ALTER TABLE assessments
+          ADD COLUMN IF NOT EXISTS topics TEXT[] NOT NULL DEFAULT '{}';
+      `);
       console.log("assessments table schema is up to date");
     }
   } catch (error) {
@@ -67,12 +205,20 @@ const ensureQuestionBlocksTable = async () => {
         CREATE TABLE question_blocks (
           id SERIAL PRIMARY KEY,
           assessment_id INTEGER REFERENCES assessments(id) ON DELETE CASCADE,
-          question_type VARCHAR(50) NOT NULL CHECK (question_type IN ('multiple_choice', 'short_answer', 'true_false')),
+          question_type VARCHAR(50) NOT NULL CHECK (${QUESTION_TYPE_CHECK}),
           question_count INTEGER NOT NULL,
           duration_per_question INTEGER NOT NULL DEFAULT 120,
           num_options INTEGER,
+          num_first_side INTEGER,
+          num_second_side INTEGER,
+          partial_credit VARCHAR(20),
+          numeric_tolerance NUMERIC,
+          numeric_tolerance_type VARCHAR(10),
           positive_marks NUMERIC DEFAULT 1,
           negative_marks NUMERIC DEFAULT 0,
+          difficulty_distribution JSONB,
+          learning_objectives TEXT[] NOT NULL DEFAULT '{}',
+          cognitive_level VARCHAR(12),
           created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
           created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
         )
@@ -89,8 +235,16 @@ const ensureQuestionBlocksTable = async () => {
           ALTER TABLE question_blocks
             ADD COLUMN IF NOT EXISTS duration_per_question INTEGER NOT NULL DEFAULT 120,
             ADD COLUMN IF NOT EXISTS num_options INTEGER,
+            ADD COLUMN IF NOT EXISTS num_first_side INTEGER,
+            ADD COLUMN IF NOT EXISTS num_second_side INTEGER,
+            ADD COLUMN IF NOT EXISTS partial_credit VARCHAR(20),
+            ADD COLUMN IF NOT EXISTS numeric_tolerance NUMERIC,
+            ADD COLUMN IF NOT EXISTS numeric_tolerance_type VARCHAR(10),
             ADD COLUMN IF NOT EXISTS positive_marks NUMERIC DEFAULT 1,
-            ADD COLUMN IF NOT EXISTS negative_marks NUMERIC DEFAULT 0;
+            ADD COLUMN IF NOT EXISTS negative_marks NUMERIC DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS difficulty_distribution JSONB,
+            ADD COLUMN IF NOT EXISTS learning_objectives TEXT[] NOT NULL DEFAULT '{}',
+            ADD COLUMN IF NOT EXISTS cognitive_level VARCHAR(12);
           ALTER TABLE question_blocks
             ALTER COLUMN positive_marks TYPE NUMERIC USING (COALESCE(positive_marks, 1)::NUMERIC),
             ALTER COLUMN negative_marks TYPE NUMERIC USING (COALESCE(negative_marks, 0)::NUMERIC);
@@ -104,6 +258,7 @@ const ensureQuestionBlocksTable = async () => {
       `);
       console.log("✅ question_blocks table updated with new columns and types");
     }
+    await refreshQuestionTypeCheck("question_blocks");
   } catch (error) {
     console.error("❌ Error creating/updating question_blocks table:", error);
     throw error;
@@ -221,13 +376,19 @@ const ensureGeneratedQuestionsTable = async () => {
           id SERIAL PRIMARY KEY,
           attempt_id INTEGER REFERENCES assessment_attempts(id) ON DELETE CASCADE,
           question_order INTEGER NOT NULL,
-          question_type VARCHAR(50) NOT NULL CHECK (question_type IN ('multiple_choice', 'short_answer', 'true_false')),
+          question_type VARCHAR(50) NOT NULL CHECK (${QUESTION_TYPE_CHECK}),
           question_text TEXT NOT NULL,
           options JSONB,
           correct_answer TEXT,
           positive_marks NUMERIC DEFAULT 1,
           negative_marks NUMERIC DEFAULT 0,
           duration_per_question INTEGER NOT NULL DEFAULT 180,
+          context_chunk_ids INTEGER[] DEFAULT '{}',
+          source_chunk_ids INTEGER[] DEFAULT '{}',
+          difficulty VARCHAR(10),
+          block_id INTEGER REFERENCES question_blocks(id) ON DELETE SET NULL,
+          learning_objective TEXT,
+          cognitive_level VARCHAR(12),
           created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
         )
       `);
@@ -243,7 +404,13 @@ const ensureGeneratedQuestionsTable = async () => {
           ALTER TABLE generated_questions
             ADD COLUMN IF NOT EXISTS positive_marks NUMERIC DEFAULT 1,
             ADD COLUMN IF NOT EXISTS negative_marks NUMERIC DEFAULT 0,
-            ADD COLUMN IF NOT EXISTS duration_per_question INTEGER NOT NULL DEFAULT 180;
+            ADD COLUMN IF NOT EXISTS duration_per_question INTEGER NOT NULL DEFAULT 180,
+            ADD COLUMN IF NOT EXISTS context_chunk_ids INTEGER[] DEFAULT '{}',
+            ADD COLUMN IF NOT EXISTS source_chunk_ids INTEGER[] DEFAULT '{}',
+            ADD COLUMN IF NOT EXISTS difficulty VARCHAR(10),
+            ADD COLUMN IF NOT EXISTS block_id INTEGER REFERENCES question_blocks(id) ON DELETE SET NULL,
+            ADD COLUMN IF NOT EXISTS learning_objective TEXT,
+            ADD COLUMN IF NOT EXISTS cognitive_level VARCHAR(12);
           ALTER TABLE generated_questions
             ALTER COLUMN positive_marks TYPE NUMERIC USING (COALESCE(positive_marks, 1)::NUMERIC),
             ALTER COLUMN negative_marks TYPE NUMERIC USING (COALESCE(negative_marks, 0)::NUMERIC);
@@ -257,6 +424,7 @@ const ensureGeneratedQuestionsTable = async () => {
       `);
       console.log("✅ generated_questions table updated with new columns and types");
     }
+    await refreshQuestionTypeCheck("generated_questions");
   } catch (error) {
     console.error("❌ Error creating/updating generated_questions table:", error);
     throw error;
@@ -284,12 +452,21 @@ const ensureAssessmentAttemptsTable = async () => {
           language VARCHAR(10),
           status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
           completed_at TIMESTAMP WITH TIME ZONE,
-          score NUMERIC DEFAULT 0
+          score NUMERIC DEFAULT 0,
+          is_physical_paper BOOLEAN DEFAULT FALSE,
+          auto_submitted BOOLEAN DEFAULT FALSE,
+          deadline_at TIMESTAMP WITH TIME ZONE,
+          submitted_late BOOLEAN DEFAULT FALSE,
+          late_penalty_applied NUMERIC DEFAULT 0,
+          last_saved_at TIMESTAMP WITH TIME ZONE,
+          generation_status VARCHAR(20) NOT NULL DEFAULT 'ready'
         )
       `);
       await db.query(`
         CREATE INDEX idx_assessment_attempts_student_id ON assessment_attempts(student_id);
         CREATE INDEX idx_assessment_attempts_assessment_id ON assessment_attempts(assessment_id);
+        CREATE UNIQUE INDEX idx_assessment_attempts_one_in_progress ON assessment_attempts(student_id, assessment_id)
+          WHERE status = 'in_progress' AND is_physical_paper IS NOT TRUE;
       `);
       console.log("✅ assessment_attempts table created");
     } else {
@@ -306,6 +483,42 @@ const ensureAssessmentAttemptsTable = async () => {
         END;
         $$;
       `);
+      await db.query(`
+        ALTER TABLE assessment_attempts
+          ADD COLUMN IF NOT EXISTS is_physical_paper BOOLEAN DEFAULT FALSE,
+          ADD COLUMN IF NOT EXISTS auto_submitted BOOLEAN DEFAULT FALSE,
+          ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS submitted_late BOOLEAN DEFAULT FALSE,
+          ADD COLUMN IF NOT EXISTS late_penalty_applied NUMERIC DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS last_saved_at TIMESTAMP WITH TIME ZONE,
+          ADD COLUMN IF NOT EXISTS generation_status VARCHAR(20) NOT NULL DEFAULT 'ready';
+      `);
+      // Give attempts started before timers were stored a deadline from their question durations
+      await db.query(`
+        UPDATE assessment_attempts aa
+        SET deadline_at = aa.started_at + make_interval(secs => q.total_seconds)
+        FROM (
+          SELECT attempt_id, SUM(COALESCE(duration_per_question, 120)) AS total_seconds
+          FROM generated_questions
+          GROUP BY attempt_id
+        ) q
+        WHERE q.attempt_id = aa.id
+          AND aa.deadline_at IS NULL
+          AND aa.status = 'in_progress'
+          AND COALESCE(aa.is_physical_paper, FALSE) = FALSE;
+      `);
+      // One in-progress online attempt per student and assessment, so concurrent starts cannot both insert
+      await db.query(`
+        DO $$
+        BEGIN
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_assessment_attempts_one_in_progress ON assessment_attempts(student_id, assessment_id)
+            WHERE status = 'in_progress' AND is_physical_paper IS NOT TRUE;
+        EXCEPTION
+          WHEN unique_violation THEN
+            RAISE NOTICE 'Unique in-progress attempt index skipped: students have several attempts in progress';
+        END;
+        $$;
+      `);
       console.log("✅ assessment_attempts table updated with score as NUMERIC");
     }
   } catch (error) {
@@ -332,6 +545,8 @@ const ensureStudentAnswersTable = async () => {
           question_id INTEGER REFERENCES generated_questions(id) ON DELETE CASCADE,
           student_answer TEXT,
           score NUMERIC DEFAULT 0,
+          grading_rationale TEXT,
+          graded_by VARCHAR(20),
           created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
         )
       `);
@@ -358,6 +573,28 @@ const ensureStudentAnswersTable = async () => {
       `);
       console.log("✅ student_answers table updated with score column");
     }
+
+    await db.query(`
+      ALTER TABLE student_answers
+        ADD COLUMN IF NOT EXISTS grading_rationale TEXT,
+        ADD COLUMN IF NOT EXISTS graded_by VARCHAR(20);
+    `);
+
+    // One answer per question per attempt (required by the ON CONFLICT upserts)
+    await db.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM pg_indexes WHERE indexname = 'idx_student_answers_attempt_question'
+        ) THEN
+          DELETE FROM student_answers a
+          USING student_answers b
+          WHERE a.attempt_id = b.attempt_id AND a.question_id = b.question_id AND a.id < b.id;
+          CREATE UNIQUE INDEX idx_student_answers_attempt_question ON student_answers(attempt_id, question_id);
+        END IF;
+      END;
+      $$;
+    `);
   } catch (error) {
     console.error("❌ Error creating/updating student_answers table:", error);
     throw error;
@@ -366,14 +603,18 @@ const ensureStudentAnswersTable = async () => {
 
 const createAssessment = async (assessmentData) => {
   const { title, prompt, external_links, instructor_id, is_executed = false } = assessmentData;
+  const settings = pickAssessmentSettings(assessmentData);
+  const validExternalLinks = Array.isArray(external_links) ? external_links.filter(link => link && typeof link === "string" && link.trim() !== "") : [];
+
+  const columns = ["title", "prompt", "external_links", "instructor_id", "is_executed", ...Object.keys(settings)];
+  const values = [title || null, prompt, JSON.stringify(validExternalLinks), instructor_id, is_executed, ...Object.values(settings)];
   const query = `
-    INSERT INTO assessments (title, prompt, external_links, instructor_id, is_executed)
-    VALUES ($1, $2, $3, $4, $5)
+    INSERT INTO assessments (${columns.join(", ")})
+    VALUES (${columns.map((_, i) => `$${i + 1}`).join(", ")})
     RETURNING *
   `;
-  const validExternalLinks = Array.isArray(external_links) ? external_links.filter(link => link && typeof link === "string" && link.trim() !== "") : [];
   try {
-    const { rows } = await db.query(query, [title || null, prompt, JSON.stringify(validExternalLinks), instructor_id, is_executed]);
+    const { rows } = await db.query(query, values);
     console.log(`✅ Created assessment: ID=${rows[0].id}`);
     return rows[0];
   } catch (error) {
@@ -382,42 +623,150 @@ const createAssessment = async (assessmentData) => {
   }
 };
 
+/**
+ * Save an assessment's question blocks. Blocks sent with an id are updated in place, so their
+ * question_bank rows survive edits; blocks without one are inserted and missing ids are deleted.
+ */
 const storeQuestionBlocks = async (assessmentId, questionBlocks, instructorId) => {
+  const client = await db.connect();
   try {
-    await db.query("DELETE FROM question_blocks WHERE assessment_id = $1", [assessmentId]);
+    await client.query("BEGIN");
+    const { rows: existingBlocks } = await client.query(
+      "SELECT id, question_type FROM question_blocks WHERE assessment_id = $1 FOR UPDATE",
+      [assessmentId]
+    );
+    const existingById = new Map(existingBlocks.map(block => [block.id, block]));
+    const keptIds = new Set();
+
     for (const block of questionBlocks) {
-      const { question_type, question_count, duration_per_question, num_options, positive_marks, negative_marks } = block;
-      await db.query(
-        `
-        INSERT INTO question_blocks (
-          assessment_id, 
-          question_type, 
-          question_count, 
-          duration_per_question, 
-          num_options, 
-          positive_marks, 
-          negative_marks, 
-          created_by
-        )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        `,
-        [
-          assessmentId,
-          question_type,
-          question_count,
-          duration_per_question || 120,
-          num_options || null,
-          positive_marks !== undefined ? Number(positive_marks) : 1,
-          negative_marks !== undefined ? Number(negative_marks) : 0,
-          instructorId,
-        ]
-      );
+      const {
+        question_type, question_count, duration_per_question, num_options,
+        num_first_side, num_second_side, positive_marks, negative_marks,
+        partial_credit, numeric_tolerance, numeric_tolerance_type, difficulty_distribution,
+        learning_objectives, cognitive_level,
+      } = block;
+      const hasTolerance = question_type === "numeric" && numeric_tolerance !== undefined && numeric_tolerance !== null && numeric_tolerance !== "";
+      const values = [
+        question_type,
+        question_count,
+        duration_per_question || 120,
+        num_options || null,
+        positive_marks !== undefined ? Number(positive_marks) : 1,
+        negative_marks !== undefined ? Number(negative_marks) : 0,
+        question_type === "matching" ? num_first_side || null : null,
+        question_type === "matching" ? num_second_side || null : null,
+        question_type === "multiple_select" ? partial_credit || "right_minus_wrong" : null,
+        hasTolerance ? Number(numeric_tolerance) : null,
+        hasTolerance ? numeric_tolerance_type || "absolute" : null,
+        difficulty_distribution ? JSON.stringify(difficulty_distribution) : null,
+        (learning_objectives || []).map(objective => String(objective).trim()),
+        cognitive_level || null,
+      ];
+      // Ids of other assessments' blocks (or repeated ids) are treated as new blocks
+      const blockId = parseInt(block.id);
+      const existing = keptIds.has(blockId) ? null : existingById.get(blockId);
+
+      if (existing) {
+        keptIds.add(existing.id);
+        if (existing.question_type !== question_type) {
+          await client.query(
+            "DELETE FROM question_bank WHERE block_id = $1 AND question_type <> $2",
+            [existing.id, question_type]
+          );
+        }
+        await client.query(
+          `
+          UPDATE question_blocks
+          SET question_type = $1,
+              question_count = $2,
+              duration_per_question = $3,
+              num_options = $4,
+              positive_marks = $5,
+              negative_marks = $6,
+              num_first_side = $7,
+              num_second_side = $8,
+              partial_credit = $9,
+              numeric_tolerance = $10,
+              numeric_tolerance_type = $11,
+              difficulty_distribution = $12,
+              learning_objectives = $13,
+              cognitive_level = $14
+          WHERE id = $15
+          `,
+          [...values, existing.id]
+        );
+      } else {
+        await client.query(
+          `
+          INSERT INTO question_blocks (
+            question_type, 
+            question_count, 
+            duration_per_question, 
+            num_options, 
+            positive_marks, 
+            negative_marks, 
+            num_first_side,
+            num_second_side,
+            partial_credit,
+            numeric_tolerance,
+            numeric_tolerance_type,
+            difficulty_distribution,
+            learning_objectives,
+            cognitive_level,
+            assessment_id, 
+            created_by
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+          `,
+          [...values, assessmentId, instructorId]
+        );
+      }
     }
-    console.log(`✅ Stored ${questionBlocks.length} question blocks for assessment ${assessmentId}`);
+
+    // Blocks left out of the request are removed, with their bank questions
+    const removedIds = existingBlocks.filter(block => !keptIds.has(block.id)).map(block => block.id);
+    if (removedIds.length > 0) {
+      await client.query("DELETE FROM question_blocks WHERE id = ANY($1::int[])", [removedIds]);
+    }
+    await client.query("COMMIT");
   } catch (error) {
+    await client.query("ROLLBACK");
     console.error("❌ Error storing question blocks:", error);
     throw error;
+  } finally {
+    client.release();
+  }
+
+  // Pooled questions were generated for the old block settings
+  await clearQuestionPool(assessmentId);
+  console.log(`✅ Stored ${questionBlocks.length} question blocks for assessment ${assessmentId}`);
+};
+
+/**
+ * Work out whether an assessment's availability window allows starting an attempt now.
+ * @param {Object} assessment - Row with opens_at, closes_at and late_start_cutoff_minutes
+ * @param {Date} [now]
+ * @returns {{ status: 'open'|'upcoming'|'closed', can_start: boolean, reason: string|null }}
+ */
+const getAvailability = (assessment, now = new Date()) => {
+  const opensAt = assessment.opens_at ? new Date(assessment.opens_at) : null;
+  const closesAt = assessment.closes_at ? new Date(assessment.closes_at) : null;
+  const cutoffMs = (assessment.late_start_cutoff_minutes || 0) * 60 * 1000;
+
+  if (opensAt && now < opensAt) {
+    return { status: "upcoming", can_start: false, reason: `This assessment opens at ${opensAt.toISOString()}` };
+  }
+  if (closesAt && now >= closesAt) {
+    return { status: "closed", can_start: false, reason: `This assessment closed at ${closesAt.toISOString()}` };
+  }
+  if (closesAt && cutoffMs > 0 && now >= new Date(closesAt.getTime() - cutoffMs)) {
+    return {
+      status: "open",
+      can_start: false,
+      reason: `New attempts cannot start within ${assessment.late_start_cutoff_minutes} minutes of the closing time (${closesAt.toISOString()})`,
+    };
   }
+  return { status: "open", can_start: true, reason: null };
 };
 
 const getAssessmentsByInstructor = async (instructorId) => {
@@ -431,8 +780,16 @@ const getAssessmentsByInstructor = async (instructorId) => {
                   'question_count', qb.question_count,
                   'duration_per_question', COALESCE(qb.duration_per_question, 180),
                   'num_options', qb.num_options,
+                  'num_first_side', qb.num_first_side,
+                  'num_second_side', qb.num_second_side,
+                  'partial_credit', qb.partial_credit,
+                  'numeric_tolerance', qb.numeric_tolerance,
+                  'numeric_tolerance_type', qb.numeric_tolerance_type,
                   'positive_marks', qb.positive_marks,
-                  'negative_marks', qb.negative_marks
+                  'negative_marks', qb.negative_marks,
+                  'difficulty_distribution', qb.difficulty_distribution,
+                  'learning_objectives', qb.learning_objectives,
+                  'cognitive_level', qb.cognitive_level
                 )
              ) FROM question_blocks qb WHERE qb.assessment_id = a.id),
              '[]'
@@ -458,6 +815,7 @@ const getAssessmentsByInstructor = async (instructorId) => {
       question_blocks: row.question_blocks || [],
       resources: row.resources || [],
       external_links: row.external_links || [],
+      availability: getAvailability(row).status,
     }));
   } catch (error) {
     console.error("❌ Error fetching assessments:", error);
@@ -479,12 +837,21 @@ const getAssessmentById = async (assessment_id, user_id, user_role) => {
                COALESCE(
                  ARRAY_AGG(
                    json_build_object(
+                     'id', qb.id,
                      'question_type', qb.question_type,
                      'question_count', qb.question_count,
                      'duration_per_question', COALESCE(qb.duration_per_question, 180),
                      'num_options', qb.num_options,
+                     'num_first_side', qb.num_first_side,
+                     'num_second_side', qb.num_second_side,
+                     'partial_credit', qb.partial_credit,
+                     'numeric_tolerance', qb.numeric_tolerance,
+                     'numeric_tolerance_type', qb.numeric_tolerance_type,
                      'positive_marks', qb.positive_marks,
-                     'negative_marks', qb.negative_marks
+                     'negative_marks', qb.negative_marks,
+                     'difficulty_distribution', qb.difficulty_distribution,
+                     'learning_objectives', qb.learning_objectives,
+                     'cognitive_level', qb.cognitive_level
                    )
                  ) FILTER (WHERE qb.id IS NOT NULL),
                  '{}'
@@ -516,8 +883,16 @@ const getAssessmentById = async (assessment_id, user_id, user_role) => {
                      'question_count', qb.question_count,
                      'duration_per_question', COALESCE(qb.duration_per_question, 180),
                      'num_options', qb.num_options,
+                     'num_first_side', qb.num_first_side,
+                     'num_second_side', qb.num_second_side,
+                     'partial_credit', qb.partial_credit,
+                     'numeric_tolerance', qb.numeric_tolerance,
+                     'numeric_tolerance_type', qb.numeric_tolerance_type,
                      'positive_marks', qb.positive_marks,
-                     'negative_marks', qb.negative_marks
+                     'negative_marks', qb.negative_marks,
+                     'difficulty_distribution', qb.difficulty_distribution,
+                     'learning_objectives', qb.learning_objectives,
+                     'cognitive_level', qb.cognitive_level
                    )
                  ) FILTER (WHERE qb.id IS NOT NULL),
                  '{}'
@@ -560,11 +935,16 @@ const getAssessmentById = async (assessment_id, user_id, user_role) => {
 
 const updateAssessment = async (assessmentId, updateData) => {
   const { title, prompt, external_links } = updateData;
+  const settings = pickAssessmentSettings(updateData);
+  const settingAssignments = Object.keys(settings).map((column, i) => `, ${column} = $${i + 5}`).join("");
+  // The old row is read in the same statement to tell whether any generation input changed
   const query = `
-    UPDATE assessments
-    SET title = $1, prompt = $2, external_links = $3, updated_at = NOW()
-    WHERE id = $4
-    RETURNING *
+    UPDATE assessments a
+    SET title = $1, prompt = $2, external_links = $3, updated_at = NOW()${settingAssignments}
+    FROM (SELECT id, title, prompt, external_links, topics FROM assessments WHERE id = $4 FOR UPDATE) old
+    WHERE a.id = old.id
+    RETURNING a.*, (a.title, a.prompt, a.external_links, a.topics)
+      IS DISTINCT FROM (old.title, old.prompt, old.external_links, old.topics) AS generation_inputs_changed
   `;
   const validExternalLinks = Array.isArray(external_links) 
     ? external_links.filter(link => link && typeof link === "string" && link.trim() !== "") 
@@ -579,11 +959,15 @@ const updateAssessment = async (assessmentId, updateData) => {
       title || null,           // ← Perfect: empty string → null (DB-safe)
       prompt,                  // ← Can be null or string
       JSON.stringify(validExternalLinks),
-      assessmentId
+      assessmentId,
+      ...Object.values(settings),
     ]);
     if (rows.length === 0) throw new Error("Assessment not found");
-    console.log(`DEBUG: Model updateAssessment - Updated row:`, rows[0]);
-    return rows[0];
+    const { generation_inputs_changed, ...assessment } = rows[0];
+    // Pooled questions were generated from the old title, prompt, links or topics
+    if (generation_inputs_changed) await clearQuestionPool(assessmentId);
+    console.log(`DEBUG: Model updateAssessment - Updated row:`, assessment);
+    return assessment;
   } catch (error) {
     console.error("DEBUG: Model updateAssessment - Error:", error);
     throw error;
@@ -622,50 +1006,226 @@ const storeResourceChunk = async (resourceId, chunkText, embedding, metadata) =>
   }
 };
 
-const generateAssessmentQuestions = async (
-  assessmentId,
-  attemptId,
-  language,
-  assessment
-) => {
-  // STEP 1: Fetch instructor blocks
-  const { rows: blockRows } = await db.query(
-    `SELECT question_type, question_count, duration_per_question, num_options, positive_marks, negative_marks
-     FROM question_blocks
-     WHERE assessment_id = $1
-     ORDER BY id`,
-    [assessmentId]
-  );
+const MMR_LAMBDA = 0.7;
+const MIN_PARTIAL_CHUNK_CHARS = 500;
 
-  if (blockRows.length === 0) {
-    throw new Error(`No question blocks defined for assessment ${assessmentId}`);
+const dotProduct = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+/**
+ * Maximal marginal relevance: trade relevance to the query against similarity to chunks
+ * already picked. Neighbouring chunks of the same resource count as fully redundant, so
+ * one page of a long PDF cannot fill the whole context.
+ */
+const selectDiverseChunks = (candidates, topK) => {
+  const selected = [];
+  const remaining = [...candidates];
+
+  while (selected.length < topK && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((candidate, index) => {
+      const redundancy = selected.reduce((max, chosen) => {
+        const isNeighbour = chosen.resource_id === candidate.resource_id &&
+          Math.abs(chosen.chunk_index - candidate.chunk_index) <= 1;
+        return Math.max(max, isNeighbour ? 1 : dotProduct(chosen.vector, candidate.vector));
+      }, 0);
+      const score = MMR_LAMBDA * candidate.similarity - (1 - MMR_LAMBDA) * redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    selected.push(remaining.splice(bestIndex, 1)[0]);
   }
 
-  const questionTypes = [...new Set(blockRows.map(b => b.question_type))];
-  const typeCountsStr = blockRows.map(b => `${b.question_count} ${b.question_type}`).join(", ");
-  const langName = mapLanguageCode(language);
+  return selected;
+};
+
+const applyCharBudget = (chunks, charBudget) => {
+  const kept = [];
+  let used = 0;
+  for (const chunk of chunks) {
+    const remaining = charBudget - used;
+    if (chunk.chunk_text.length <= remaining) {
+      kept.push(chunk);
+      used += chunk.chunk_text.length;
+    } else if (remaining >= MIN_PARTIAL_CHUNK_CHARS || kept.length === 0) {
+      kept.push({ ...chunk, chunk_text: chunk.chunk_text.substring(0, remaining) });
+      break;
+    } else {
+      break;
+    }
+  }
+  return kept;
+};
 
-  // STEP 2: Fetch resource content from chunks
-  const { rows: chunkRows } = await db.query(`
-    SELECT r.name, rc.chunk_text
+/**
+ * Retrieve the resource chunks most relevant to an assessment's title/prompt.
+ * Falls back to document order when no query text or embeddings are available.
+ * @param {number} assessmentId
+ * @param {string} queryText - Text to embed and compare against chunk embeddings
+ * @param {Object} options
+ * @param {number} options.topK - Maximum number of chunks to return
+ * @param {number} options.charBudget - Maximum total characters of chunk text
+ * @returns {Promise<Array<{id: number, resource_id: number, resource_name: string, chunk_index: number, chunk_text: string}>>}
+ */
+const retrieveRelevantChunks = async (assessmentId, queryText, { topK, charBudget }) => {
+  let queryEmbedding = null;
+  if (queryText && queryText.trim()) {
+    try {
+      queryEmbedding = await generateEmbedding(queryText);
+    } catch (error) {
+      console.warn(`⚠️ Query embedding failed for assessment ${assessmentId}, using document order:`, error.message);
+    }
+  }
+
+  if (queryEmbedding) {
+    const { rows } = await db.query(`
+      SELECT rc.id, rc.resource_id, rc.chunk_index, rc.chunk_text, rc.embedding::text AS embedding,
+             r.name AS resource_name,
+             1 - (rc.embedding <=> $2::vector) AS similarity
+      FROM assessment_resources ar
+      JOIN resources r ON ar.resource_id = r.id
+      JOIN resource_chunks rc ON rc.resource_id = r.id
+      WHERE ar.assessment_id = $1 AND rc.embedding IS NOT NULL
+      ORDER BY rc.embedding <=> $2::vector
+      LIMIT $3
+    `, [assessmentId, `[${queryEmbedding.join(",")}]`, topK * 4]);
+
+    if (rows.length > 0) {
+      const candidates = rows.map(row => ({
+        ...row,
+        similarity: Number(row.similarity),
+        vector: JSON.parse(row.embedding),
+      }));
+      const diverse = selectDiverseChunks(candidates, topK)
+        .map(({ vector, embedding, ...chunk }) => chunk);
+      return applyCharBudget(diverse, charBudget);
+    }
+  }
+
+  const { rows } = await db.query(`
+    SELECT rc.id, rc.resource_id, rc.chunk_index, rc.chunk_text, r.name AS resource_name
     FROM assessment_resources ar
     JOIN resources r ON ar.resource_id = r.id
-    LEFT JOIN resource_chunks rc ON rc.resource_id = r.id
+    JOIN resource_chunks rc ON rc.resource_id = r.id
     WHERE ar.assessment_id = $1
     ORDER BY r.id, rc.chunk_index
-  `, [assessmentId]);
+    LIMIT $2
+  `, [assessmentId, topK]);
+  return applyCharBudget(rows, charBudget);
+};
 
-  const resourcesContent = chunkRows
-    .filter(row => row.chunk_text)
-    .map(row => `Resource "${row.name}":\n${row.chunk_text}`)
-    .join("\n\n---\n\n")
-    .substring(0, 5000) || "No resource content available";
+// Chunk ids cited by the model as numbers; "12", "#12" and "12, 15" are all accepted
+const normalizeChunkIds = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .flatMap(id => String(id ?? "").match(/\d+/g) || [])
+    .map(id => parseInt(id));
 
-  // STEP 3: Gemini client
-  const client = await getCreationModel();
+/**
+ * Return the subset of chunk ids that belong to resources linked to the assessment.
+ * @returns {Promise<Set<number>>}
+ */
+const findAssessmentChunkIds = async (assessmentId, chunkIds) => {
+  if (chunkIds.length === 0) return new Set();
+  const { rows } = await db.query(`
+    SELECT rc.id
+    FROM resource_chunks rc
+    JOIN assessment_resources ar ON ar.resource_id = rc.resource_id
+    WHERE ar.assessment_id = $1 AND rc.id = ANY($2::int[])
+  `, [assessmentId, [...new Set(chunkIds)]]);
+
+  const valid = new Set(rows.map(row => row.id));
+  const invalid = [...new Set(chunkIds)].filter(id => !valid.has(id));
+  if (invalid.length > 0) {
+    console.warn(`⚠️ Dropping citations to chunks outside assessment ${assessmentId}: ${invalid.join(", ")}`);
+  }
+  return valid;
+};
+
+/**
+ * Fetch the cited resource excerpts for a set of generated questions.
+ * @param {number[]} questionIds
+ * @returns {Promise<Object<number, Array<{chunk_id: number, resource_id: number, resource_name: string, chunk_index: number, excerpt: string}>>>}
+ */
+const getCitationsForQuestions = async (questionIds) => {
+  const ids = questionIds.filter(id => id !== null && id !== undefined);
+  if (ids.length === 0) return {};
+  const { rows } = await db.query(`
+    SELECT gq.id AS question_id, rc.id AS chunk_id, r.id AS resource_id, r.name AS resource_name,
+           rc.chunk_index, LEFT(rc.chunk_text, 500) AS excerpt
+    FROM generated_questions gq
+    JOIN resource_chunks rc ON rc.id = ANY(gq.source_chunk_ids)
+    JOIN resources r ON r.id = rc.resource_id
+    WHERE gq.id = ANY($1::int[])
+    ORDER BY gq.id, rc.id
+  `, [ids]);
+
+  return rows.reduce((map, { question_id, ...citation }) => {
+    (map[question_id] = map[question_id] || []).push(citation);
+    return map;
+  }, {});
+};
+
+const getQuestionBlocks = async (assessmentId) => {
+  const { rows } = await db.query(
+    `SELECT id, question_type, question_count, duration_per_question, num_options,
+            num_first_side, num_second_side, partial_credit, numeric_tolerance, numeric_tolerance_type,
+            positive_marks, negative_marks, difficulty_distribution, learning_objectives, cognitive_level
+     FROM question_blocks
+     WHERE assessment_id = $1
+     ORDER BY id`,
+    [assessmentId]
+  );
+  return rows;
+};
+
+// Rounds of generation (first request plus repairs) before an attempt start fails
+const MAX_GENERATION_ROUNDS = 3;
 
-  // STEP 4: Final Prompt
-  const questionPrompt = `
+// Blocks of one attempt generated at the same time
+const BLOCK_GENERATION_CONCURRENCY = 3;
+
+const describeBlock = (block, number, count, difficulties) => {
+  const details = {
+    multiple_choice: block.num_options ? ` with exactly ${block.num_options} options each` : "",
+    multiple_select: block.num_options ? ` with exactly ${block.num_options} options each` : "",
+    matching: block.num_first_side
+      ? ` (${block.num_first_side} left items, ${block.num_second_side || block.num_first_side} right items each)`
+      : "",
+  };
+  const mix = difficulties
+    ? `; difficulty: ${DIFFICULTY_LEVELS.map(level => `${difficulties[level]} ${level}`).join(", ")}`
+    : "";
+  const lines = [`Block ${number}: ${count} ${block.question_type}${details[block.question_type] || ""}${mix}`];
+  if (block.cognitive_level) {
+    lines.push(`  Cognitive level (Bloom's): ${block.cognitive_level}: every question must make the student ${COGNITIVE_LEVELS[block.cognitive_level]}`);
+  }
+  if (block.learning_objectives?.length > 0) {
+    lines.push("  Learning objectives (spread the questions across them):");
+    block.learning_objectives.forEach((objective, index) => lines.push(`    ${index + 1}. ${objective}`));
+  }
+  return lines.join("\n");
+};
+
+const buildQuestionPrompt = ({ assessment, langName, resourcesContent, topics, requests, feedback, existingTexts }) => {
+  const questionTypes = [...new Set(requests.map(r => r.block.question_type))];
+  const repairNotes = feedback.length > 0
+    ? `
+YOUR PREVIOUS REPLY HAD PROBLEMS. Fix them in the new questions:
+${feedback.slice(0, 20).map(line => `- ${line}`).join("\n")}
+`
+    : "";
+  const avoid = existingTexts.length > 0
+    ? `
+Do NOT repeat these questions, which are already accepted:
+${existingTexts.map(text => `- ${text}`).join("\n")}
+`
+    : "";
+
+  return `
 Generate questions in ${langName} language only. All text MUST be in ${langName}.
 
 CONTENT TO BASE QUESTIONS ON:
@@ -678,122 +1238,362 @@ ${resourcesContent}
 
 Generate questions STRICTLY based on the above content.
 
+QUESTIONS NEEDED:
+${requests.map(r => describeBlock(r.block, r.number, r.count, r.difficulties)).join("\n")}
+${repairNotes}${avoid}
 Generate ONLY a valid JSON array of questions. NO extra text.
 
 STRICT RULES:
 1. Question types exactly: ${questionTypes.join(", ")}
-2. Exact counts: ${typeCountsStr}
+2. Exact counts per block as listed above, including the difficulty counts where a block lists them
 3. EVERY question MUST have:
+   - block (the block number it belongs to)
    - question_type
    - question_text
-   - options (array for MCQ, ["true","false"] for true_false, null for short_answer)
+   - topics (${topics.length > 0
+    ? `1 to 3 topics the question tests, copied exactly from this list: ${topics.join("; ")}`
+    : "1 to 3 short topic names (1-4 words each) for the concepts the question tests, taken from the content; use the same name for the same concept in every question"})
+   - objective (for blocks that list learning objectives: the number of the objective the question assesses)
+   - difficulty ("easy": recall of a stated fact, "medium": applying or explaining an idea, "hard": analysing, comparing or multi-step reasoning)
+   - options (array for MCQ and multiple_select, ["true","false"] for true_false, {"left": [...], "right": [...]} for matching, null for short_answer, essay and numeric)
    - correct_answer
    - positive_marks
    - negative_marks
    - duration_per_question
+   - source_chunk_ids (array of the [Chunk N] numbers the question is based on, [] if none)
 4. short_answer correct_answer MUST be object:
    {
      "grading_type": "keyword_match",
-     "required_keywords": [lowercase strings],
-     "optional_keywords": [],
+     "required_keywords": [lowercase strings, or {"keyword": string, "weight": number, "synonyms": [strings]} for key terms with common synonyms],
+     "optional_keywords": [lowercase strings that deserve bonus credit],
      "min_required_match": number
    }
 5. MCQ correct_answer MUST be the FULL OPTION TEXT like "B. Oxygen"
 6. true_false correct_answer MUST be boolean true/false
-7. Use instructor marks & time exactly
-8. No missing fields
-9. Output ONLY JSON array [ ... ]
+7. matching options MUST list the items to match in "left" and their answers (plus any extra distractors) in "right";
+   correct_answer MUST be object {"pairs": {"<left item>": "<matching right item>", ...}} covering every left item
+8. essay correct_answer MUST be object:
+   {
+     "grading_type": "rubric",
+     "criteria": [{"criterion": string, "description": what a full-credit answer shows, "weight": number}],
+     "min_words": number,
+     "model_answer": a short exemplary answer
+   }
+9. multiple_select correct_answer MUST be an array with the FULL OPTION TEXT of every correct option (at least one, "select all that apply")
+10. numeric correct_answer MUST be object:
+   {
+     "value": number,
+     "tolerance": number (how far off an answer may be and still count),
+     "tolerance_type": "absolute" or "relative" (relative tolerance is a fraction of value, e.g. 0.01 for 1%),
+     "unit": string, or null when the answer has no unit
+   }
+11. Use instructor marks & time exactly
+12. No missing fields
+13. Output ONLY JSON array [ ... ]
 `;
+};
 
-  let questions = [];
+const requestQuestions = async (client, prompt, context) => {
+  const text = await generateContent(client, prompt, {
+    temperature: 0.0,
+    responseMimeType: "application/json",
+    context,
+  });
 
-  // STEP 5: Call Gemini
-  try {
-    const response = await client.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: questionPrompt }] }],
-      generationConfig: {
-        maxOutputTokens: 3000,
-        temperature: 0.0,
-        responseMimeType: "application/json"
-      }
-    });
+  return parseQuestionArray(text);
+};
 
-    let text = response.text || response.candidates?.[0]?.content?.parts?.[0]?.text || "";
+/**
+ * Retrieve the resource chunks most relevant to an assessment and format them for the
+ * generation prompt, along with the assessment's topic list
+ * @returns {Promise<{ resourcesContent: string, contextChunkIds: number[], topics: string[] }>}
+ */
+const retrieveGenerationContext = async (assessmentId, assessment) => {
+  const { rows: settingRows } = await db.query(
+    `SELECT retrieval_top_k, retrieval_char_budget, topics FROM assessments WHERE id = $1`,
+    [assessmentId]
+  );
+  const retrievalTopK = settingRows[0]?.retrieval_top_k || 6;
+  const retrievalCharBudget = settingRows[0]?.retrieval_char_budget || 12000;
 
-    text = text.trim().replace(/^```json\s*/i, '').replace(/\s*```$/i, '').trim();
+  const queryText = [assessment.title, assessment.prompt].filter(Boolean).join("\n");
+  const contextChunks = await retrieveRelevantChunks(assessmentId, queryText, {
+    topK: retrievalTopK,
+    charBudget: retrievalCharBudget,
+  });
 
-    const start = text.indexOf('[');
-    const end = text.lastIndexOf(']') + 1;
-    if (start === -1 || end === 0) throw new Error("No JSON array found");
+  return {
+    topics: settingRows[0]?.topics || [],
+    contextChunkIds: contextChunks.map(chunk => chunk.id),
+    resourcesContent: contextChunks
+      .map(chunk => `[Chunk ${chunk.id}] Resource "${chunk.resource_name}" (part ${chunk.chunk_index + 1}):\n${chunk.chunk_text}`)
+      .join("\n\n---\n\n") || "No resource content available",
+  };
+};
 
-    const jsonText = text.substring(start, end);
-    questions = JSON.parse(jsonText);
+/**
+ * Ask the creation model for questions covering the given blocks.
+ * Every question is checked against its block's type schema; invalid or missing questions
+ * are re-requested (up to MAX_GENERATION_ROUNDS in total) with the problems fed back to
+ * the model. Questions come back assigned to their block, with the instructor's type,
+ * marks and time forced and citations validated. Nothing is written to the database.
+ * @param {number} assessmentId
+ * @param {Array<Object>} blocks - question_blocks rows (question_count may be overridden)
+ * @param {string} language - Language code for the generated text
+ * @param {Object} assessment - Row with title, prompt and external_links
+ * @param {Object} [options]
+ * @param {number} [options.attemptId] - Attempt the generation is charged to in the usage ledger
+ * @param {number} [options.userId] - User the generation is charged to in the usage ledger
+ * @param {Object} [options.generationContext] - Resource excerpts from retrieveGenerationContext, to reuse across calls
+ * @returns {Promise<Array<Object>>} Exactly question_count questions per block, in block order
+ * @throws {Error} "Question generation incomplete: ..." when a block is still short after the last round,
+ *   or "LLM unavailable: ..." when the creation model cannot be reached
+ */
+const buildQuestionsForBlocks = async (assessmentId, blocks, language, assessment, { attemptId, userId, generationContext } = {}) => {
+  const langName = mapLanguageCode(language);
 
-    if (!Array.isArray(questions) || questions.length === 0) {
-      throw new Error("Empty questions array");
-    }
+  // STEP 1: Retrieve the most relevant resource chunks
+  const { resourcesContent, contextChunkIds, topics = [] } = generationContext
+    || await retrieveGenerationContext(assessmentId, assessment);
 
-  } catch (error) {
-    console.error("❌ Question generation failed:", error.message);
-    throw error;
-  }
+  // STEP 2: Creation model client
+  const client = await getCreationModel();
 
-  // STEP 6: Save to DB
-  await db.query(`DELETE FROM generated_questions WHERE attempt_id = $1`, [attemptId]);
+  // STEP 3: Request, validate and repair until every block is full
+  const accepted = blocks.map(() => []);
+  const targets = blocks.map(block => difficultyTargets(block));
+  const seenTexts = new Set();
+  let feedback = [];
 
-  let totalDuration = 0;
-  let questionIndex = 0;
+  for (let round = 1; round <= MAX_GENERATION_ROUNDS; round++) {
+    const requests = blocks
+      .map((block, index) => ({
+        block,
+        index,
+        number: index + 1,
+        count: block.question_count - accepted[index].length,
+        // Questions still needed per level, when the block has a difficulty target
+        difficulties: targets[index] && Object.fromEntries(DIFFICULTY_LEVELS.map(level => [
+          level,
+          targets[index][level] - accepted[index].filter(q => q.difficulty === level).length,
+        ])),
+      }))
+      .filter(r => r.count > 0);
+    if (requests.length === 0) break;
 
-  for (const block of blockRows) {
-    for (let i = 0; i < block.question_count && questionIndex < questions.length; i++) {
-      let q = questions[questionIndex];
+    const prompt = buildQuestionPrompt({
+      assessment,
+      langName,
+      resourcesContent,
+      topics,
+      requests,
+      feedback,
+      existingTexts: accepted.flat().map(q => q.question_text),
+    });
 
-      // FORCE INSTRUCTOR VALUES
-      q.question_type = block.question_type;
-      q.positive_marks = block.positive_marks;
-      q.negative_marks = block.negative_marks;
-      q.duration_per_question = block.duration_per_question;
+    let rawQuestions;
+    try {
+      rawQuestions = await requestQuestions(client, prompt, { assessmentId, attemptId, userId });
+    } catch (error) {
+      // The provider is down or out of quota; another round would only fail the same way
+      if (error.message.startsWith("LLM unavailable")) throw error;
+      console.warn(`⚠️ Question generation round ${round} failed: ${error.message}`);
+      feedback = [`The reply could not be used (${error.message}). Reply with a JSON array only.`];
+      continue;
+    }
 
-      if (!q.question_text) {
-        questionIndex++;
+    feedback = [];
+    for (const [position, raw] of rawQuestions.entries()) {
+      // Prefer the block the model named; otherwise the first open block of the same type
+      const named = requests.find(r =>
+        r.number === Number(raw?.block) && (!raw?.question_type || r.block.question_type === raw.question_type)
+      );
+      const target = (named && named.count > 0 ? named : null)
+        || requests.find(r => r.count > 0 && r.block.question_type === raw?.question_type);
+      const label = `Question ${position + 1}${raw?.question_text ? ` ("${String(raw.question_text).slice(0, 60)}")` : ""}`;
+
+      if (!target) {
+        feedback.push(`${label}: no block needs another ${raw?.question_type || "untyped"} question`);
         continue;
       }
 
-      // MCQ: STORE FULL TEXT
-      if (q.question_type === "multiple_choice" && q.options && q.correct_answer) {
-        const letter = String(q.correct_answer).trim().toUpperCase();
-        const key = Object.keys(q.options).find(k => k.trim().toUpperCase().startsWith(letter));
-        if (key) {
-          q.correct_answer = `${key}. ${q.options[key]}`;
-        }
+      const { question, errors } = validateGeneratedQuestion(raw, target.block, { topics });
+      if (!question) {
+        feedback.push(`${label} for block ${target.number}: ${errors.join("; ")}`);
+        continue;
       }
 
-      totalDuration += q.duration_per_question;
+      const textKey = question.question_text.toLowerCase();
+      if (seenTexts.has(textKey)) {
+        feedback.push(`${label}: duplicates an existing question`);
+        continue;
+      }
+      if (target.difficulties && target.difficulties[question.difficulty] <= 0) {
+        feedback.push(`${label}: block ${target.number} needs no more ${question.difficulty} questions`);
+        continue;
+      }
 
-      await db.query(
-        `INSERT INTO generated_questions (
-          attempt_id, question_order, question_type, question_text, options,
-          correct_answer, positive_marks, negative_marks, duration_per_question
-        )
-        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
-        [
-          attemptId,
-          questionIndex + 1,
-          q.question_type,
-          q.question_text.trim(),
-          q.options ? JSON.stringify(q.options) : null,
-          JSON.stringify(q.correct_answer),
-          q.positive_marks,
-          q.negative_marks,
-          q.duration_per_question
-        ]
-      );
+      seenTexts.add(textKey);
+      accepted[target.index].push(question);
+      target.count--;
+      if (target.difficulties) target.difficulties[question.difficulty]--;
+    }
 
-      questionIndex++;
+    const missing = requests.reduce((sum, r) => sum + r.count, 0);
+    if (missing > 0) {
+      console.warn(`⚠️ Round ${round}: ${missing} questions still missing for assessment ${assessmentId}${feedback.length ? ` (${feedback.length} rejected)` : ""}`);
     }
   }
 
+  const shortfalls = blocks
+    .map((block, index) => ({ block, number: index + 1, have: accepted[index].length }))
+    .filter(({ block, have }) => have < block.question_count);
+  if (shortfalls.length > 0) {
+    const details = shortfalls
+      .map(({ block, number, have }) => `block ${number} (${block.question_type}) has ${have} of ${block.question_count} valid questions`)
+      .join("; ");
+    const lastProblems = feedback.length > 0 ? `. Last problems: ${feedback.slice(0, 3).join(" | ")}` : "";
+    throw new Error(`Question generation incomplete after ${MAX_GENERATION_ROUNDS} attempts: ${details}${lastProblems}`);
+  }
+
+  // STEP 4: Keep only citations that point at this assessment's chunks
+  const validChunkIds = await findAssessmentChunkIds(
+    assessmentId,
+    accepted.flat().flatMap(q => normalizeChunkIds(q.source_chunk_ids))
+  );
+
+  return blocks.flatMap((block, index) =>
+    accepted[index].map(({ block: _blockNumber, ...q }) => ({
+      ...q,
+      block_id: block.id,
+      context_chunk_ids: contextChunkIds,
+      source_chunk_ids: normalizeChunkIds(q.source_chunk_ids).filter(id => validChunkIds.has(id)),
+    }))
+  );
+};
+
+const isOptionShuffleEnabled = async (assessmentId) => {
+  const { rows } = await db.query("SELECT shuffle_options FROM assessments WHERE id = $1", [assessmentId]);
+  return rows[0]?.shuffle_options !== false;
+};
+
+/**
+ * Store one question of an attempt. Nothing is stored once the attempt is no longer in progress.
+ * @returns {Promise<Object|null>} The stored row as the student sees it, or null if not stored
+ */
+const insertGeneratedQuestion = async (attemptId, questionOrder, q) => {
+  const { rows } = await db.query(
+    `INSERT INTO generated_questions (
+      attempt_id, question_order, question_type, question_text, options,
+      correct_answer, positive_marks, negative_marks, duration_per_question, context_chunk_ids,
+      source_chunk_ids, difficulty, block_id, learning_objective, cognitive_level
+    )
+    SELECT $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15
+    WHERE EXISTS (SELECT 1 FROM assessment_attempts WHERE id = $1 AND status = 'in_progress')
+    RETURNING id, question_order, question_type, question_text, options, correct_answer,
+              positive_marks, negative_marks, duration_per_question`,
+    [
+      attemptId,
+      questionOrder,
+      q.question_type,
+      q.question_text.trim(),
+      q.options ? JSON.stringify(q.options) : null,
+      JSON.stringify(q.correct_answer),
+      q.positive_marks,
+      q.negative_marks,
+      q.duration_per_question,
+      q.context_chunk_ids || [],
+      q.source_chunk_ids || [],
+      q.difficulty || null,
+      q.block_id || null,
+      q.learning_objective || null,
+      q.cognitive_level || null,
+    ]
+  );
+  if (rows[0]) await storeQuestionTopics(rows[0].id, q.topics);
+  return rows[0] || null;
+};
+
+/**
+ * Generate and store an attempt's questions block by block, up to
+ * BLOCK_GENERATION_CONCURRENCY blocks at a time. A block is served from the pre-generated
+ * question pool when the pool can cover it and generated live otherwise. Each block's
+ * questions are stored as soon as they are ready, in the question_order slots of that
+ * block, so the attempt can be shown while later blocks are still generating.
+ * @param {number} assessmentId
+ * @param {number} attemptId
+ * @param {string} language
+ * @param {Object} assessment - Row with title, prompt and external_links
+ * @param {Object} [options]
+ * @param {number} [options.userId] - User the generation is charged to in the usage ledger
+ * @param {Function} [options.onBlock] - Awaited with { block, index, questions } after each block is stored
+ * @returns {Promise<{ questions: Array<Object>, duration: number }>} Questions in block order
+ * @throws {Error} The first block failure, once blocks already in flight have finished
+ */
+const generateAssessmentQuestions = async (
+  assessmentId,
+  attemptId,
+  language,
+  assessment,
+  { userId = null, onBlock } = {}
+) => {
+  const blockRows = await getQuestionBlocks(assessmentId);
+
+  if (blockRows.length === 0) {
+    throw new Error(`No question blocks defined for assessment ${assessmentId}`);
+  }
+  const shuffleOptions = await isOptionShuffleEnabled(assessmentId);
+
+  // Retrieval is only needed once some block has to be generated live
+  let generationContext = null;
+  const getGenerationContext = async () =>
+    (generationContext ??= retrieveGenerationContext(assessmentId, assessment));
+
+  await db.query(`DELETE FROM generated_questions WHERE attempt_id = $1`, [attemptId]);
+
+  // Each block owns a fixed range of question_order, whatever order blocks finish in
+  const offsets = [];
+  blockRows.reduce((offset, block, index) => (offsets[index] = offset) + block.question_count, 0);
+
+  const results = [];
+  let nextBlock = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (!failure && nextBlock < blockRows.length) {
+      const index = nextBlock++;
+      const block = blockRows[index];
+      try {
+        const drawn = await takeFromPool(block, language)
+          || await buildQuestionsForBlocks(assessmentId, [block], language, assessment, {
+            attemptId,
+            userId,
+            generationContext: await getGenerationContext(),
+          });
+        if (failure) return;
+        const questions = shuffleOptions ? drawn.map(shuffleChoiceOptions) : drawn;
+
+        const stored = [];
+        for (const [position, q] of questions.entries()) {
+          const row = await insertGeneratedQuestion(attemptId, offsets[index] + position + 1, q);
+          if (row) stored.push(row);
+        }
+        results[index] = questions;
+        if (onBlock) await onBlock({ block, index, questions: stored });
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(BLOCK_GENERATION_CONCURRENCY, blockRows.length) }, worker)
+  );
+  if (failure) throw failure;
+
+  const questions = results.flat();
+  const totalDuration = questions.reduce((sum, q) => sum + q.duration_per_question, 0);
+
   return { questions, duration: totalDuration };
 };
 
@@ -889,6 +1689,8 @@ const clearLinksForAssessment = async (assessmentId) => {
       [assessmentId]
     );
     if (rowCount === 0) throw new Error("Assessment not found");
+    // Pooled questions may draw on the removed links
+    await clearQuestionPool(assessmentId);
     console.log(`✅ Cleared external links for assessment ${assessmentId}`);
     return true;
   } catch (error) {
@@ -924,11 +1726,18 @@ export {
   ensureStudentAnswersTable,
   createAssessment,
   storeQuestionBlocks,
+  getAvailability,
   getAssessmentsByInstructor,
   getAssessmentById,
   updateAssessment,
   deleteAssessment,
   storeResourceChunk,
+  retrieveRelevantChunks,
+  getCitationsForQuestions,
+  getQuestionBlocks,
+  buildQuestionsForBlocks,
+  insertGeneratedQuestion,
+  isOptionShuffleEnabled,
   generateAssessmentQuestions,
   enrollStudent,
   unenrollStudent,
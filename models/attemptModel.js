@@ -0,0 +1,538 @@
+import db from "../DB/db.js";
+import { scoreAnswer, gradeAnswersWithAI, needsAIGrading } from "../services/gradingService.js";
+
+/**
+ * Attempt Model
+ * Grading and lifecycle of assessment attempts
+ */
+
+// Answer types stored as JSON in student_answers.student_answer
+const JSON_ANSWER_TYPES = ["short_answer", "matching", "multiple_select", "numeric"];
+
+export const decodeSavedAnswer = (questionType, value) => {
+  if (value === null || value === undefined || !JSON_ANSWER_TYPES.includes(questionType)) return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+const encodeAnswer = (questionType, answer) =>
+  answer !== null && answer !== undefined
+    ? (JSON_ANSWER_TYPES.includes(questionType) ? JSON.stringify(answer) : answer)
+    : null;
+
+// Hours a late submission stays possible on a 'penalize' assessment that has no closes_at
+const PENALIZE_CUTOFF_HOURS = 24;
+
+// When an attempt can no longer be submitted: the deadline plus grace period, or for
+// 'penalize' assessments the window's close (late submissions are graded with the penalty)
+const SUBMISSION_CUTOFF_SQL = `
+  CASE WHEN a.late_submission_policy = 'penalize'
+    THEN COALESCE(a.closes_at, aa.deadline_at + make_interval(secs => a.grace_period_seconds, hours => ${PENALIZE_CUTOFF_HOURS}))
+    ELSE aa.deadline_at + make_interval(secs => a.grace_period_seconds)
+  END`;
+
+// Questions of an attempt paired with the answers to grade (submitted by the client, or saved so far)
+const loadAnswersToGrade = async (queryable, attemptId, submittedAnswers) => {
+  const { rows: questionRows } = await queryable.query(
+    `SELECT gq.id, gq.question_type, gq.question_text, gq.correct_answer, gq.positive_marks, gq.negative_marks,
+            a.short_answer_grading
+     FROM generated_questions gq
+     JOIN assessment_attempts aa ON aa.id = gq.attempt_id
+     JOIN assessments a ON a.id = aa.assessment_id
+     WHERE gq.attempt_id = $1 AND aa.status = 'in_progress'
+     ORDER BY gq.question_order`,
+    [attemptId]
+  );
+
+  const savedAnswers = {};
+  if (!submittedAnswers) {
+    const { rows } = await queryable.query(
+      `SELECT question_id, student_answer FROM student_answers WHERE attempt_id = $1`,
+      [attemptId]
+    );
+    rows.forEach(row => { savedAnswers[row.question_id] = row.student_answer; });
+  }
+
+  return questionRows.map(q => {
+    let studentAnswer;
+    if (submittedAnswers) {
+      const submittedAnswer = submittedAnswers.find((a) => a?.questionId === q.id);
+      studentAnswer = submittedAnswer ? submittedAnswer.answer : null;
+    } else {
+      studentAnswer = decodeSavedAnswer(q.question_type, savedAnswers[q.id] ?? null);
+    }
+    return { question: q, studentAnswer };
+  });
+};
+
+/**
+ * Grade an in-progress attempt and mark it completed.
+ * @param {number} attemptId
+ * @param {Array<{questionId: number, answer: *}>|null} submittedAnswers - Answers from the client,
+ *   or null to grade whatever is already saved in student_answers
+ * @param {Object} [options]
+ * @param {boolean} [options.autoSubmitted] - Closed by the server rather than submitted by the student
+ * @param {number} [options.latePenaltyPercent] - Percentage taken off the final score for a late submission
+ * @returns {Promise<{score: number, answers: Array<Object>}|null>} null if the attempt is no longer in progress
+ */
+export const gradeAttempt = async (attemptId, submittedAnswers = null, { autoSubmitted = false, latePenaltyPercent = 0 } = {}) => {
+  // Semantic grading calls the checking model, so it happens before the attempt row is locked
+  const aiGrades = await gradeAnswersWithAI(
+    (await loadAnswersToGrade(db, attemptId, submittedAnswers))
+      .filter(({ question }) => needsAIGrading(question)),
+    { attemptId }
+  );
+
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    // Lock the attempt so a student submit and the sweeper cannot both grade it
+    const { rows: attemptRows } = await client.query(
+      `SELECT id, status FROM assessment_attempts WHERE id = $1 FOR UPDATE`,
+      [attemptId]
+    );
+    if (attemptRows.length === 0 || attemptRows[0].status !== "in_progress") {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const toGrade = await loadAnswersToGrade(client, attemptId, submittedAnswers);
+
+    let totalScore = 0;
+    const evaluatedAnswers = [];
+
+    for (const { question: q, studentAnswer } of toGrade) {
+      // Only trust an AI grade for the exact answer text it was given
+      const aiGrade = aiGrades[q.id];
+      const { score, isCorrect, rationale, gradedBy } = scoreAnswer(
+        q,
+        studentAnswer,
+        aiGrade && aiGrade.answer === studentAnswer ? aiGrade : null
+      );
+      totalScore += score;
+
+      evaluatedAnswers.push({
+        questionId: q.id,
+        answer: studentAnswer,
+        correctAnswer: q.correct_answer,
+        score: score,
+        correct: isCorrect,
+        rationale,
+      });
+
+      await client.query(
+        `INSERT INTO student_answers (attempt_id, question_id, student_answer, score, grading_rationale, graded_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (attempt_id, question_id) DO UPDATE
+         SET student_answer = $3, score = $4, grading_rationale = $5, graded_by = $6`,
+        [
+          attemptId,
+          q.id,
+          encodeAnswer(q.question_type, studentAnswer),
+          score,
+          rationale,
+          gradedBy
+        ]
+      );
+    }
+
+    // Prevent negative total score
+    totalScore = Math.max(0, totalScore);
+
+    let latePenalty = 0;
+    if (latePenaltyPercent > 0) {
+      latePenalty = Math.round(totalScore * latePenaltyPercent) / 100;
+      totalScore -= latePenalty;
+    }
+
+    await client.query(
+      `UPDATE assessment_attempts
+       SET status = 'completed', completed_at = NOW(), score = $1, auto_submitted = $2,
+           submitted_late = $3, late_penalty_applied = $4
+       WHERE id = $5`,
+      [totalScore, autoSubmitted, latePenaltyPercent > 0, latePenalty, attemptId]
+    );
+
+    await client.query("COMMIT");
+    return { score: totalScore, latePenalty, answers: evaluatedAnswers };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error(`❌ Error grading attempt ${attemptId}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Auto-submit in-progress attempts whose assessment window has closed,
+ * grading the answers saved so far.
+ * @returns {Promise<number>} Number of attempts closed
+ */
+export const autoSubmitClosedWindowAttempts = async () => {
+  const { rows } = await db.query(`
+    SELECT aa.id
+    FROM assessment_attempts aa
+    JOIN assessments a ON a.id = aa.assessment_id
+    WHERE aa.status = 'in_progress'
+      AND a.closes_at IS NOT NULL
+      AND a.closes_at <= NOW()
+      AND COALESCE(aa.is_physical_paper, FALSE) = FALSE
+  `);
+
+  return closeAttempts(rows.map(row => row.id));
+};
+
+/**
+ * Auto-submit in-progress attempts whose timer (deadline_at plus the assessment's
+ * grace period) has run out, grading the answers saved so far. Attempts on 'penalize'
+ * assessments stay open for a late submission until the window closes (or
+ * PENALIZE_CUTOFF_HOURS past the deadline when it never does).
+ * @returns {Promise<number>} Number of attempts closed
+ */
+export const autoSubmitExpiredAttempts = async () => {
+  const { rows } = await db.query(`
+    SELECT aa.id
+    FROM assessment_attempts aa
+    JOIN assessments a ON a.id = aa.assessment_id
+    WHERE aa.status = 'in_progress'
+      AND aa.deadline_at IS NOT NULL
+      AND ${SUBMISSION_CUTOFF_SQL} <= NOW()
+      AND COALESCE(aa.is_physical_paper, FALSE) = FALSE
+  `);
+
+  return closeAttempts(rows.map(row => row.id));
+};
+
+/**
+ * Clean up attempts whose streamed question generation never finished (for example because
+ * the server restarted mid-generation). Attempts that never received a block are deleted so
+ * the student can start again; the rest keep their questions and answers and are marked
+ * generation_status 'failed'.
+ * @param {number} [staleMinutes]
+ * @returns {Promise<{discarded: number, failed: number}>} Number of attempts deleted and marked failed
+ */
+export const discardStalledGenerations = async (staleMinutes = 15) => {
+  const { rowCount: discarded } = await db.query(`
+    DELETE FROM assessment_attempts
+    WHERE status = 'in_progress'
+      AND generation_status = 'generating'
+      AND deadline_at IS NULL
+      AND started_at < NOW() - make_interval(mins => $1)
+  `, [staleMinutes]);
+  const { rowCount: failed } = await db.query(`
+    UPDATE assessment_attempts SET generation_status = 'failed'
+    WHERE status = 'in_progress'
+      AND generation_status = 'generating'
+      AND started_at < NOW() - make_interval(mins => $1)
+  `, [staleMinutes]);
+  return { discarded, failed };
+};
+
+const closeAttempts = async (attemptIds) => {
+  let closed = 0;
+  for (const id of attemptIds) {
+    try {
+      if (await gradeAttempt(id, null, { autoSubmitted: true })) closed++;
+    } catch (error) {
+      console.error(`❌ Auto-submit failed for attempt ${id}:`, error.message);
+    }
+  }
+  return closed;
+};
+
+/**
+ * The attempt that counts for each student and assessment under the assessment's
+ * grade_aggregation setting:
+ *   - highest: the completed attempt with the best percentage
+ *   - latest:  the most recently completed attempt
+ *   - average: score and percentage averaged over all completed attempts
+ *              (attempt_id, timings and totals come from the latest attempt)
+ * @param {Object} filters
+ * @param {number} [filters.studentId]
+ * @param {number} [filters.assessmentId]
+ * @param {number} [filters.instructorId] - Only assessments owned by this instructor
+ * @returns {Promise<Array<Object>>} One row per (student, assessment)
+ */
+export const getCountedAttempts = async ({ studentId, assessmentId, instructorId } = {}) => {
+  const conditions = ["aa.status = 'completed'", "aa.completed_at IS NOT NULL"];
+  const values = [];
+  if (studentId) {
+    values.push(studentId);
+    conditions.push(`aa.student_id = $${values.length}`);
+  }
+  if (assessmentId) {
+    values.push(assessmentId);
+    conditions.push(`aa.assessment_id = $${values.length}`);
+  }
+  if (instructorId) {
+    values.push(instructorId);
+    conditions.push(`a.instructor_id = $${values.length}`);
+  }
+
+  const { rows } = await db.query(`
+    WITH completed AS (
+      SELECT
+        aa.id AS attempt_id,
+        aa.student_id,
+        aa.assessment_id,
+        a.title,
+        a.created_at AS assessment_created_at,
+        a.grade_aggregation,
+        aa.attempt_number,
+        aa.score,
+        aa.started_at,
+        aa.completed_at,
+        (SELECT COALESCE(SUM(gq.positive_marks), 0)
+         FROM generated_questions gq WHERE gq.attempt_id = aa.id) AS total_marks
+      FROM assessment_attempts aa
+      JOIN assessments a ON a.id = aa.assessment_id
+      WHERE ${conditions.join(" AND ")}
+    ),
+    ranked AS (
+      SELECT
+        c.*,
+        CASE WHEN c.total_marks > 0 THEN c.score / c.total_marks * 100 ELSE 0 END AS attempt_percentage,
+        ROW_NUMBER() OVER (
+          PARTITION BY c.student_id, c.assessment_id
+          ORDER BY c.completed_at DESC, c.attempt_id DESC
+        ) AS latest_rank,
+        ROW_NUMBER() OVER (
+          PARTITION BY c.student_id, c.assessment_id
+          ORDER BY CASE WHEN c.total_marks > 0 THEN c.score / c.total_marks ELSE 0 END DESC,
+                   c.completed_at DESC, c.attempt_id DESC
+        ) AS best_rank,
+        COUNT(*) OVER (PARTITION BY c.student_id, c.assessment_id) AS attempts_count,
+        AVG(c.score) OVER (PARTITION BY c.student_id, c.assessment_id) AS average_score,
+        AVG(CASE WHEN c.total_marks > 0 THEN c.score / c.total_marks * 100 ELSE 0 END)
+          OVER (PARTITION BY c.student_id, c.assessment_id) AS average_percentage
+      FROM completed c
+    )
+    SELECT
+      attempt_id,
+      student_id,
+      assessment_id,
+      title,
+      assessment_created_at,
+      grade_aggregation,
+      attempt_number,
+      attempts_count::int AS attempts_count,
+      started_at,
+      completed_at,
+      total_marks,
+      CASE WHEN grade_aggregation = 'average' THEN ROUND(average_score::numeric, 2) ELSE score END AS score,
+      ROUND((CASE WHEN grade_aggregation = 'average' THEN average_percentage ELSE attempt_percentage END)::numeric, 2) AS percentage,
+      EXTRACT(EPOCH FROM (completed_at - started_at)) AS time_taken
+    FROM ranked
+    WHERE (grade_aggregation = 'highest' AND best_rank = 1)
+       OR (grade_aggregation <> 'highest' AND latest_rank = 1)
+    ORDER BY completed_at ASC
+  `, values);
+  return rows;
+};
+
+// Credit earned on a question as a share of its marks, unanswered counting as 0
+const QUESTION_CREDIT_SQL = "GREATEST(LEAST(COALESCE(sa.score, 0) / NULLIF(gq.positive_marks, 0), 1), 0)";
+
+/**
+ * Performance on the given attempts by learning objective and by cognitive level, weakest
+ * first. Questions generated without tags are left out.
+ * @param {Array<number>} attemptIds
+ * @returns {Promise<{ objectives: Array<Object>, cognitive_levels: Array<Object> }>}
+ *   objectives: { objective, cognitive_level, questions, students, average_score }
+ *   cognitive_levels: { cognitive_level, questions, students, average_score }
+ */
+export const getObjectiveBreakdown = async (attemptIds) => {
+  if (attemptIds.length === 0) return { objectives: [], cognitive_levels: [] };
+
+  // columns: [[expression, name], ...]; the first column is the tag that must be set
+  const breakdown = (columns) => db.query(`
+    SELECT ${columns.map(([expression, name]) => `${expression} AS ${name}`).join(", ")},
+           COUNT(*)::int AS questions,
+           COUNT(DISTINCT aa.student_id)::int AS students,
+           ROUND(AVG(${QUESTION_CREDIT_SQL}) * 100)::int AS average_score
+    FROM generated_questions gq
+    JOIN assessment_attempts aa ON aa.id = gq.attempt_id
+    LEFT JOIN student_answers sa ON sa.question_id = gq.id AND sa.attempt_id = gq.attempt_id
+    WHERE gq.attempt_id = ANY($1::int[]) AND ${columns[0][0]} IS NOT NULL
+    GROUP BY ${columns.map(([expression]) => expression).join(", ")}
+    ORDER BY average_score, ${columns[0][0]}
+  `, [attemptIds]);
+
+  const [objectives, levels] = await Promise.all([
+    breakdown([["gq.learning_objective", "objective"], ["gq.cognitive_level", "cognitive_level"]]),
+    breakdown([["gq.cognitive_level", "cognitive_level"]]),
+  ]);
+  return { objectives: objectives.rows, cognitive_levels: levels.rows };
+};
+
+/**
+ * Attempt history for one student on one assessment, used to enforce the attempts policy
+ * @returns {Promise<{attempts_used: number, last_attempt_number: number, last_completed_at: Date|null}>}
+ */
+export const getAttemptUsage = async (studentId, assessmentId) => {
+  const { rows } = await db.query(`
+    SELECT
+      COUNT(*)::int AS attempts_used,
+      COALESCE(MAX(attempt_number), 0)::int AS last_attempt_number,
+      MAX(completed_at) AS last_completed_at
+    FROM assessment_attempts
+    WHERE student_id = $1 AND assessment_id = $2
+      AND COALESCE(is_physical_paper, FALSE) = FALSE
+  `, [studentId, assessmentId]);
+  return rows[0];
+};
+
+/**
+ * Upsert partial answers for an in-progress attempt without grading them.
+ * Answers for questions outside the attempt, and entries that are not objects, are ignored.
+ * @param {number} attemptId
+ * @param {number} studentId
+ * @param {number} assessmentId
+ * @param {Array<{questionId: number, answer: *}>} answers
+ * @returns {Promise<{saved: number, savedAt: Date}|null>} null if the attempt is not open for this student
+ */
+export const saveAttemptAnswers = async (attemptId, studentId, assessmentId, answers) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows: attemptRows } = await client.query(
+      `SELECT aa.id
+       FROM assessment_attempts aa
+       JOIN assessments a ON a.id = aa.assessment_id
+       WHERE aa.id = $1 AND aa.student_id = $2 AND aa.assessment_id = $3 AND aa.status = 'in_progress'
+         AND (aa.deadline_at IS NULL OR NOW() <= aa.deadline_at + make_interval(secs => a.grace_period_seconds))
+       FOR UPDATE OF aa`,
+      [attemptId, studentId, assessmentId]
+    );
+    if (attemptRows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const { rows: questionRows } = await client.query(
+      `SELECT id, question_type FROM generated_questions WHERE attempt_id = $1`,
+      [attemptId]
+    );
+    const questionTypes = Object.fromEntries(questionRows.map(q => [q.id, q.question_type]));
+
+    let saved = 0;
+    for (const entry of answers) {
+      if (!entry || typeof entry !== "object") continue;
+      const { questionId, answer } = entry;
+      const questionType = questionTypes[parseInt(questionId)];
+      if (!questionType) continue;
+
+      await client.query(
+        `INSERT INTO student_answers (attempt_id, question_id, student_answer)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (attempt_id, question_id) DO UPDATE
+         SET student_answer = $3`,
+        [attemptId, parseInt(questionId), encodeAnswer(questionType, answer)]
+      );
+      saved++;
+    }
+
+    const { rows } = await client.query(
+      `UPDATE assessment_attempts SET last_saved_at = NOW() WHERE id = $1 RETURNING last_saved_at`,
+      [attemptId]
+    );
+
+    await client.query("COMMIT");
+    return { saved, savedAt: rows[0].last_saved_at };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error(`❌ Error saving answers for attempt ${attemptId}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Load a student's in-progress attempt with its questions (without answer keys), saved
+ * answers and remaining time
+ * @returns {Promise<Object|null>} null if there is no in-progress attempt
+ */
+export const getInProgressAttempt = async (studentId, assessmentId) => {
+  const { rows: attemptRows } = await db.query(
+    `SELECT aa.id, aa.attempt_number, aa.started_at, aa.deadline_at, aa.last_saved_at, aa.language,
+            aa.generation_status, a.grace_period_seconds,
+            GREATEST(0, EXTRACT(EPOCH FROM (aa.deadline_at - NOW())))::int AS remaining_seconds,
+            aa.deadline_at IS NOT NULL AND NOW() > ${SUBMISSION_CUTOFF_SQL} AS expired
+     FROM assessment_attempts aa
+     JOIN assessments a ON a.id = aa.assessment_id
+     WHERE aa.student_id = $1 AND aa.assessment_id = $2 AND aa.status = 'in_progress'
+       AND COALESCE(aa.is_physical_paper, FALSE) = FALSE
+     ORDER BY aa.started_at DESC
+     LIMIT 1`,
+    [studentId, assessmentId]
+  );
+  if (attemptRows.length === 0) return null;
+  const attempt = attemptRows[0];
+
+  const { rows: questionRows } = await db.query(
+    `SELECT id, question_type, question_text, options, positive_marks, negative_marks, duration_per_question
+     FROM generated_questions WHERE attempt_id = $1 ORDER BY question_order`,
+    [attempt.id]
+  );
+
+  const { rows: answerRows } = await db.query(
+    `SELECT question_id, student_answer FROM student_answers WHERE attempt_id = $1`,
+    [attempt.id]
+  );
+  const questionTypes = Object.fromEntries(questionRows.map(q => [q.id, q.question_type]));
+  const savedAnswers = answerRows.map(row => ({
+    questionId: row.question_id,
+    answer: decodeSavedAnswer(questionTypes[row.question_id], row.student_answer),
+  }));
+
+  return { ...attempt, questions: questionRows, savedAnswers };
+};
+
+/**
+ * Final attempt score from the sum of its answer scores: floored at 0, then the late penalty
+ * @returns {{ score: number, latePenalty: number }}
+ */
+export const applyLatePenalty = (rawScore, submittedLate, latePenaltyPercent) => {
+  let score = Math.max(0, Number(rawScore));
+  let latePenalty = 0;
+  if (submittedLate && latePenaltyPercent > 0) {
+    latePenalty = Math.round(score * latePenaltyPercent) / 100;
+    score -= latePenalty;
+  }
+  return { score, latePenalty };
+};
+
+/**
+ * Recompute a completed attempt's total from its stored answer scores,
+ * re-applying the late penalty if the attempt was submitted late.
+ * @param {Object} client - Connection inside the caller's transaction
+ * @param {number} attemptId
+ * @returns {Promise<number>} The new attempt score
+ */
+export const recomputeAttemptScore = async (client, attemptId) => {
+  const { rows } = await client.query(
+    `SELECT
+       GREATEST(0, COALESCE((SELECT SUM(sa.score) FROM student_answers sa WHERE sa.attempt_id = aa.id), 0)) AS raw_score,
+       aa.submitted_late,
+       a.late_penalty_percent
+     FROM assessment_attempts aa
+     JOIN assessments a ON a.id = aa.assessment_id
+     WHERE aa.id = $1`,
+    [attemptId]
+  );
+  const { raw_score, submitted_late, late_penalty_percent } = rows[0];
+  const { score, latePenalty } = applyLatePenalty(raw_score, submitted_late, late_penalty_percent);
+
+  await client.query(
+    `UPDATE assessment_attempts SET score = $1, late_penalty_applied = $2 WHERE id = $3`,
+    [score, latePenalty, attemptId]
+  );
+  return score;
+};
@@ -0,0 +1,235 @@
+import db from "../DB/db.js";
+import { applyScoreOverride } from "./gradeOverrideModel.js";
+
+/**
+ * Grade Appeal Model
+ * Student appeals against the score of a single answer
+ */
+
+const ensureGradeAppealsTable = async () => {
+  try {
+    const tableCheck = await db.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'grade_appeals'
+      )
+    `);
+    if (!tableCheck.rows[0].exists) {
+      console.log("Creating grade_appeals table...");
+      await db.query(`
+        CREATE TABLE grade_appeals (
+          id SERIAL PRIMARY KEY,
+          student_answer_id INTEGER REFERENCES student_answers(id) ON DELETE CASCADE,
+          attempt_id INTEGER REFERENCES assessment_attempts(id) ON DELETE CASCADE,
+          question_id INTEGER REFERENCES generated_questions(id) ON DELETE CASCADE,
+          assessment_id INTEGER REFERENCES assessments(id) ON DELETE CASCADE,
+          student_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          reason TEXT NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+          original_score NUMERIC,
+          new_score NUMERIC,
+          instructor_reply TEXT,
+          resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          resolved_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await db.query(`
+        CREATE INDEX idx_grade_appeals_assessment_status ON grade_appeals(assessment_id, status);
+        CREATE INDEX idx_grade_appeals_student_id ON grade_appeals(student_id);
+        CREATE UNIQUE INDEX idx_grade_appeals_one_pending ON grade_appeals(student_answer_id) WHERE status = 'pending';
+      `);
+      console.log("✅ grade_appeals table created");
+    }
+  } catch (error) {
+    console.error("❌ Error creating grade_appeals table:", error);
+    throw error;
+  }
+};
+
+// Appeal with everything needed for listings and notification emails
+const APPEAL_DETAILS_SELECT = `
+  SELECT
+    ga.*,
+    a.title AS assessment_title,
+    a.instructor_id,
+    gq.question_order,
+    gq.question_text,
+    gq.question_type,
+    gq.correct_answer,
+    gq.positive_marks,
+    gq.negative_marks,
+    sa.student_answer,
+    sa.score AS current_score,
+    s.name AS student_name,
+    s.email AS student_email,
+    i.name AS instructor_name,
+    i.email AS instructor_email
+  FROM grade_appeals ga
+  JOIN assessments a ON a.id = ga.assessment_id
+  JOIN generated_questions gq ON gq.id = ga.question_id
+  JOIN student_answers sa ON sa.id = ga.student_answer_id
+  JOIN users s ON s.id = ga.student_id
+  LEFT JOIN users i ON i.id = a.instructor_id
+`;
+
+export const getAppealById = async (appealId) => {
+  const { rows } = await db.query(`${APPEAL_DETAILS_SELECT} WHERE ga.id = $1`, [appealId]);
+  return rows[0] || null;
+};
+
+/**
+ * File an appeal against one of the student's graded answers
+ * @throws {Error} "Answer not found" / "Appeal already pending"
+ */
+export const createAppeal = async ({ studentId, questionId, reason }) => {
+  const { rows: answerRows } = await db.query(
+    `SELECT sa.id, sa.attempt_id, sa.score, aa.assessment_id
+     FROM student_answers sa
+     JOIN assessment_attempts aa ON aa.id = sa.attempt_id
+     WHERE sa.question_id = $1 AND aa.student_id = $2 AND aa.status = 'completed'`,
+    [questionId, studentId]
+  );
+  if (answerRows.length === 0) {
+    throw new Error("Answer not found");
+  }
+  const answer = answerRows[0];
+
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO grade_appeals (student_answer_id, attempt_id, question_id, assessment_id, student_id, reason, original_score)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [answer.id, answer.attempt_id, questionId, answer.assessment_id, studentId, reason, answer.score]
+    );
+    return getAppealById(rows[0].id);
+  } catch (error) {
+    if (error.code === "23505") {
+      throw new Error("Appeal already pending");
+    }
+    throw error;
+  }
+};
+
+export const getStudentAppeals = async (studentId, assessmentId = null) => {
+  const values = [studentId];
+  let filter = "";
+  if (assessmentId) {
+    values.push(assessmentId);
+    filter = "AND ga.assessment_id = $2";
+  }
+  const { rows } = await db.query(
+    `${APPEAL_DETAILS_SELECT} WHERE ga.student_id = $1 ${filter} ORDER BY ga.created_at DESC`,
+    values
+  );
+  return rows;
+};
+
+/**
+ * Appeals for an instructor's assessment, oldest first so the queue is worked in order
+ */
+export const getAppealQueue = async (assessmentId, instructorId, status = "pending") => {
+  const values = [assessmentId, instructorId];
+  let filter = "";
+  if (status) {
+    values.push(status);
+    filter = "AND ga.status = $3";
+  }
+  const { rows } = await db.query(
+    `${APPEAL_DETAILS_SELECT}
+     WHERE ga.assessment_id = $1 AND a.instructor_id = $2 ${filter}
+     ORDER BY ga.created_at ASC`,
+    values
+  );
+  return rows;
+};
+
+/**
+ * Record the instructor's decision. Only pending appeals can be resolved.
+ * @returns {Promise<Object|null>} The updated appeal, or null if it was not pending
+ */
+export const resolveAppeal = async (appealId, { status, reply, newScore = null, instructorId }) => {
+  const { rows } = await db.query(
+    `UPDATE grade_appeals
+     SET status = $1, instructor_reply = $2, new_score = $3, resolved_by = $4, resolved_at = NOW()
+     WHERE id = $5 AND status = 'pending'
+     RETURNING id`,
+    [status, reply || null, newScore, instructorId, appealId]
+  );
+  return rows.length > 0 ? getAppealById(rows[0].id) : null;
+};
+
+/**
+ * Accept a pending appeal and override the answer's score in one transaction, so two
+ * instructors accepting at once cannot both write an override
+ * @param {number} appealId
+ * @param {Object} params
+ * @param {number} params.newScore
+ * @param {string} [params.reply]
+ * @param {string} params.comment - Recorded in the grade history
+ * @param {number} params.instructorId - Must own the assessment
+ * @returns {Promise<{appeal: Object|null, override: Object|null}>} appeal is null when it was no
+ *   longer pending; override is null when the answer was not found (nothing is written)
+ */
+export const acceptAppealWithScore = async (appealId, { newScore, reply, comment, instructorId }) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `UPDATE grade_appeals
+       SET status = 'accepted', instructor_reply = $1, new_score = $2, resolved_by = $3, resolved_at = NOW()
+       WHERE id = $4 AND status = 'pending'
+       RETURNING id, assessment_id, question_id`,
+      [reply || null, newScore, instructorId, appealId]
+    );
+    if (rows.length === 0) {
+      await client.query("ROLLBACK");
+      return { appeal: null, override: null };
+    }
+
+    const override = await applyScoreOverride(client, {
+      assessmentId: rows[0].assessment_id,
+      questionId: rows[0].question_id,
+      score: newScore,
+      comment,
+      instructorId,
+    });
+    if (!override) {
+      await client.query("ROLLBACK");
+      return { appeal: rows[0], override: null };
+    }
+
+    await client.query("COMMIT");
+    return { appeal: await getAppealById(appealId), override };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Appeals on an attempt's answers keyed by question id (latest appeal per question)
+ */
+export const getAppealsForAttempt = async (attemptId) => {
+  const { rows } = await db.query(
+    `SELECT DISTINCT ON (question_id) id, question_id, status, reason, instructor_reply, new_score, created_at, resolved_at
+     FROM grade_appeals
+     WHERE attempt_id = $1
+     ORDER BY question_id, created_at DESC`,
+    [attemptId]
+  );
+  return Object.fromEntries(rows.map(row => [row.question_id, row]));
+};
+
+export const init = async () => {
+  try {
+    await ensureGradeAppealsTable();
+  } catch (error) {
+    console.error("❌ Error initializing grade appeals table:", error);
+    throw error;
+  }
+};
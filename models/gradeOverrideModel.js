@@ -0,0 +1,507 @@
+import db from "../DB/db.js";
+import { recomputeAttemptScore, applyLatePenalty, decodeSavedAnswer } from "./attemptModel.js";
+import { scoreAnswer, gradeAnswersWithAI, needsAIGrading } from "../services/gradingService.js";
+import { findOption } from "../services/questionValidator.js";
+
+/**
+ * Grade Override Model
+ * Instructor score changes on individual answers, with an append-only history
+ */
+
+const ensureGradeOverridesTable = async () => {
+  try {
+    const tableCheck = await db.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'grade_overrides'
+      )
+    `);
+    if (!tableCheck.rows[0].exists) {
+      console.log("Creating grade_overrides table...");
+      await db.query(`
+        CREATE TABLE grade_overrides (
+          id SERIAL PRIMARY KEY,
+          attempt_id INTEGER REFERENCES assessment_attempts(id) ON DELETE CASCADE,
+          question_id INTEGER REFERENCES generated_questions(id) ON DELETE CASCADE,
+          previous_score NUMERIC,
+          new_score NUMERIC NOT NULL,
+          previous_attempt_score NUMERIC,
+          new_attempt_score NUMERIC,
+          comment TEXT NOT NULL,
+          source VARCHAR(20) NOT NULL DEFAULT 'manual',
+          changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await db.query(`
+        CREATE INDEX idx_grade_overrides_attempt_id ON grade_overrides(attempt_id);
+      `);
+
+      // History rows can never be edited; deletes only happen through cascades
+      // (trigger depth > 1) when the attempt itself is removed
+      await db.query(`
+        CREATE OR REPLACE FUNCTION prevent_grade_override_changes() RETURNS trigger AS $$
+        BEGIN
+          IF TG_OP = 'DELETE' AND pg_trigger_depth() > 1 THEN
+            RETURN OLD;
+          END IF;
+          RAISE EXCEPTION 'grade_overrides is append-only';
+        END;
+        $$ LANGUAGE plpgsql;
+
+        CREATE TRIGGER grade_overrides_immutable
+          BEFORE UPDATE OR DELETE ON grade_overrides
+          FOR EACH ROW EXECUTE FUNCTION prevent_grade_override_changes();
+      `);
+      console.log("✅ grade_overrides table created");
+    }
+  } catch (error) {
+    console.error("❌ Error creating grade_overrides table:", error);
+    throw error;
+  }
+};
+
+/**
+ * Override the score of one answer and recompute the attempt total, inside the caller's
+ * transaction (the caller commits, or rolls back when null is returned)
+ * @param {Object} client - Pool client with an open transaction
+ * @param {Object} params
+ * @param {number} params.assessmentId
+ * @param {number} params.questionId - generated_questions id (unique to one attempt)
+ * @param {number} params.score - New marks for the answer
+ * @param {string} params.comment - Why the score was changed
+ * @param {number} params.instructorId - Must own the assessment
+ * @returns {Promise<Object|null>} The history entry, or null if the answer was not found
+ */
+export const applyScoreOverride = async (client, { assessmentId, questionId, score, comment, instructorId }) => {
+  const { rows: questionRows } = await client.query(
+    `SELECT gq.id, gq.attempt_id, gq.positive_marks, gq.negative_marks, aa.student_id, aa.score AS attempt_score
+     FROM generated_questions gq
+     JOIN assessment_attempts aa ON aa.id = gq.attempt_id
+     JOIN assessments a ON a.id = aa.assessment_id
+     WHERE gq.id = $1 AND a.id = $2 AND a.instructor_id = $3 AND aa.status = 'completed'
+     FOR UPDATE OF aa`,
+    [questionId, assessmentId, instructorId]
+  );
+  if (questionRows.length === 0) return null;
+  const question = questionRows[0];
+
+  const maxMarks = parseFloat(question.positive_marks || 1);
+  const minMarks = -Math.abs(parseFloat(question.negative_marks || 0));
+  if (score > maxMarks || score < minMarks) {
+    throw new Error(`Score must be between ${minMarks} and ${maxMarks}`);
+  }
+
+  const { rows: answerRows } = await client.query(
+    `SELECT score FROM student_answers WHERE attempt_id = $1 AND question_id = $2`,
+    [question.attempt_id, questionId]
+  );
+  const previousScore = answerRows.length > 0 ? answerRows[0].score : null;
+
+  await client.query(
+    `INSERT INTO student_answers (attempt_id, question_id, score, graded_by)
+     VALUES ($1, $2, $3, 'manual')
+     ON CONFLICT (attempt_id, question_id) DO UPDATE
+     SET score = $3, graded_by = 'manual'`,
+    [question.attempt_id, questionId, score]
+  );
+
+  const newAttemptScore = await recomputeAttemptScore(client, question.attempt_id);
+
+  const { rows } = await client.query(
+    `INSERT INTO grade_overrides
+       (attempt_id, question_id, previous_score, new_score, previous_attempt_score, new_attempt_score, comment, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [question.attempt_id, questionId, previousScore, score, question.attempt_score, newAttemptScore, comment, instructorId]
+  );
+  return { ...rows[0], student_id: question.student_id };
+};
+
+/**
+ * Override the score of one answer in its own transaction
+ * @returns {Promise<Object|null>} The history entry, or null if the answer was not found
+ */
+export const overrideAnswerScore = async (params) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const override = await applyScoreOverride(client, params);
+    await client.query(override ? "COMMIT" : "ROLLBACK");
+    return override;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Override history for a student's attempts on an assessment, newest first
+ */
+export const getOverrideHistory = async (assessmentId, studentId, instructorId) => {
+  const { rows } = await db.query(
+    `SELECT o.*, u.name AS changed_by_name, gq.question_order, gq.question_text
+     FROM grade_overrides o
+     JOIN assessment_attempts aa ON aa.id = o.attempt_id
+     JOIN assessments a ON a.id = aa.assessment_id
+     JOIN generated_questions gq ON gq.id = o.question_id
+     LEFT JOIN users u ON u.id = o.changed_by
+     WHERE a.id = $1 AND aa.student_id = $2 AND a.instructor_id = $3
+     ORDER BY o.changed_at DESC, o.id DESC`,
+    [assessmentId, studentId, instructorId]
+  );
+  return rows;
+};
+
+const resolveOption = (question, answer) => {
+  const option = findOption(question.options, answer);
+  if (!option) {
+    throw new Error(`Invalid correct answer: "${answer}" is not an option of question ${question.id}`);
+  }
+  return option;
+};
+
+/**
+ * Validate a corrected answer key against one question and encode it the way
+ * generated questions store it. MCQ keys may be given as a letter or the option text.
+ */
+const encodeCorrectedAnswer = (question, correctAnswer) => {
+  if (question.question_type === "multiple_choice") {
+    return JSON.stringify(resolveOption(question, correctAnswer));
+  }
+
+  if (question.question_type === "multiple_select") {
+    const answers = Array.isArray(correctAnswer) ? correctAnswer : correctAnswer?.answers;
+    if (!Array.isArray(answers) || answers.length === 0) {
+      throw new Error("Invalid correct answer: multiple select questions need an array of correct options");
+    }
+    const previous = JSON.parse(question.correct_answer || "{}");
+    return JSON.stringify({
+      answers: [...new Set(answers.map(answer => resolveOption(question, answer)))],
+      partial_credit: correctAnswer?.partial_credit || previous?.partial_credit || "right_minus_wrong",
+    });
+  }
+
+  if (question.question_type === "numeric") {
+    const previous = JSON.parse(question.correct_answer || "{}") || {};
+    const given = typeof correctAnswer === "object" ? correctAnswer : { value: correctAnswer };
+    const corrected = { ...previous, ...given, value: Number(given.value) };
+    if (!Number.isFinite(corrected.value) || !(Number(corrected.tolerance ?? 0) >= 0)) {
+      throw new Error("Invalid correct answer: numeric questions need a number and a non-negative tolerance");
+    }
+    return JSON.stringify(corrected);
+  }
+
+  if (question.question_type === "true_false") {
+    const value = String(correctAnswer).trim().toLowerCase();
+    if (value !== "true" && value !== "false") {
+      throw new Error("Invalid correct answer: true/false questions need true or false");
+    }
+    return JSON.stringify(value === "true");
+  }
+
+  if (question.question_type === "matching") {
+    const pairs = correctAnswer?.pairs ?? correctAnswer;
+    const left = question.options?.left || [];
+    const right = question.options?.right || [];
+    if (!pairs || typeof pairs !== "object" || Array.isArray(pairs)
+      || !left.every(item => right.includes(pairs[item]))) {
+      throw new Error(`Invalid correct answer: matching needs a right-side option for every left item of question ${question.id}`);
+    }
+    return JSON.stringify({ pairs: Object.fromEntries(left.map(item => [item, pairs[item]])) });
+  }
+
+  if (question.question_type === "essay") {
+    if (!correctAnswer || !Array.isArray(correctAnswer.criteria) || correctAnswer.criteria.length === 0) {
+      throw new Error("Invalid correct answer: essays need a rubric with criteria");
+    }
+    return JSON.stringify(correctAnswer);
+  }
+
+  const rule = typeof correctAnswer === "string" ? { required_keywords: [correctAnswer] } : correctAnswer;
+  if (!rule || !Array.isArray(rule.required_keywords) || rule.required_keywords.length === 0) {
+    throw new Error("Invalid correct answer: short answers need a rubric with required_keywords");
+  }
+  return JSON.stringify(rule);
+};
+
+// Option text without its letter, so it can be looked up in the same options in any order
+const optionText = (stored) => String(stored).replace(/^[A-Za-z][.)]\s*/, "");
+
+// A corrected key with MCQ and multiple select options named by their text instead of a letter
+const keyByOptionText = (question, correctAnswer) => {
+  if (question.question_type === "multiple_choice") {
+    return optionText(resolveOption(question, correctAnswer));
+  }
+  if (question.question_type === "multiple_select") {
+    const answers = Array.isArray(correctAnswer) ? correctAnswer : correctAnswer?.answers;
+    const texts = answers.map(answer => optionText(resolveOption(question, answer)));
+    return Array.isArray(correctAnswer) ? texts : { ...correctAnswer, answers: texts };
+  }
+  return correctAnswer;
+};
+
+// Option texts of a choice question in the order it lists them
+const optionOrder = (options) =>
+  Array.isArray(options) ? options.map(optionText) : Object.values(options || {}).map(String);
+
+/**
+ * With shuffled options a letter names a different option in each attempt, so a key
+ * matching several questions whose option orders differ must give the option text
+ */
+const assertKeyNamesOptions = (questions, correctAnswer) => {
+  const choice = questions.filter(q => q.question_type === "multiple_choice" || q.question_type === "multiple_select");
+  if (new Set(choice.map(q => JSON.stringify(optionOrder(q.options)))).size <= 1) return;
+
+  const given = Array.isArray(correctAnswer) ? correctAnswer
+    : Array.isArray(correctAnswer?.answers) ? correctAnswer.answers
+      : [correctAnswer];
+  const isLetter = (answer) => {
+    const value = String(answer ?? "").trim().toLowerCase();
+    return /^[a-z]$/.test(value)
+      && !choice.some(q => optionOrder(q.options).some(text => text.trim().toLowerCase() === value));
+  };
+  if (given.some(isLetter)) {
+    throw new Error("Invalid correct answer: the matched questions list their options in different orders, so give the option text instead of a letter");
+  }
+};
+
+// Generated questions of an assessment selected by id or by (case-insensitive) text, with their answers.
+// Printed paper attempts belong to the instructor, so they are never regraded.
+const findRegradeTargets = async (queryable, { assessmentId, instructorId, questionId, questionText }, lock = false) => {
+  const { rows } = await queryable.query(
+    `SELECT gq.id, gq.attempt_id, gq.question_order, gq.question_type, gq.question_text, gq.options,
+            gq.correct_answer, gq.positive_marks, gq.negative_marks, a.short_answer_grading,
+            aa.status AS attempt_status, aa.student_id, u.name AS student_name,
+            sa.student_answer, sa.score AS answer_score, sa.graded_by
+     FROM generated_questions gq
+     JOIN assessment_attempts aa ON aa.id = gq.attempt_id
+     JOIN assessments a ON a.id = aa.assessment_id
+     JOIN users u ON u.id = aa.student_id
+     LEFT JOIN student_answers sa ON sa.attempt_id = gq.attempt_id AND sa.question_id = gq.id
+     WHERE a.id = $1 AND a.instructor_id = $2
+       AND COALESCE(aa.is_physical_paper, FALSE) = FALSE
+       AND (gq.id = $3 OR ($3::int IS NULL AND LOWER(TRIM(gq.question_text)) = LOWER(TRIM($4))))
+     ORDER BY gq.attempt_id, gq.question_order
+     ${lock ? "FOR UPDATE OF aa" : ""}`,
+    [assessmentId, instructorId, questionId ?? null, questionText ?? null]
+  );
+  return rows;
+};
+
+// Score every completed answer against its corrected key and project the attempt totals
+const computeRegrade = async (queryable, targets, keys, aiGrades) => {
+  const changes = [];
+  const skipped = [];
+
+  for (const q of targets.filter(t => t.attempt_status === "completed")) {
+    if (q.graded_by === "manual") {
+      skipped.push({ attempt_id: q.attempt_id, question_id: q.id, student_id: q.student_id, reason: "manually graded" });
+      continue;
+    }
+    const studentAnswer = decodeSavedAnswer(q.question_type, q.student_answer ?? null);
+    const aiGrade = aiGrades[q.id];
+    const result = scoreAnswer(
+      { ...q, correct_answer: keys[q.id] },
+      studentAnswer,
+      aiGrade && aiGrade.answer === studentAnswer ? aiGrade : null
+    );
+    changes.push({
+      ...result,
+      attempt_id: q.attempt_id,
+      question_id: q.id,
+      question_order: q.question_order,
+      student_id: q.student_id,
+      student_name: q.student_name,
+      previous_score: q.answer_score === null ? null : Number(q.answer_score),
+    });
+  }
+
+  const attemptIds = [...new Set(changes.map(c => c.attempt_id))];
+  if (attemptIds.length === 0) return { changes, skipped, attempts: [] };
+
+  const { rows: attemptRows } = await queryable.query(
+    `SELECT aa.id, aa.student_id, aa.attempt_number, aa.score, aa.submitted_late, a.late_penalty_percent,
+            COALESCE((SELECT SUM(sa.score) FROM student_answers sa WHERE sa.attempt_id = aa.id), 0) AS raw_score
+     FROM assessment_attempts aa
+     JOIN assessments a ON a.id = aa.assessment_id
+     WHERE aa.id = ANY($1::int[])`,
+    [attemptIds]
+  );
+
+  const attempts = attemptRows.map(attempt => {
+    const answers = changes.filter(c => c.attempt_id === attempt.id);
+    const rawScore = answers.reduce(
+      (sum, c) => sum - (c.previous_score || 0) + c.score,
+      Number(attempt.raw_score)
+    );
+    const { score } = applyLatePenalty(rawScore, attempt.submitted_late, attempt.late_penalty_percent);
+    const previousScore = Number(attempt.score || 0);
+    return {
+      attempt_id: attempt.id,
+      attempt_number: attempt.attempt_number,
+      student_id: attempt.student_id,
+      student_name: answers[0].student_name,
+      previous_score: previousScore,
+      new_score: score,
+      delta: Math.round((score - previousScore) * 100) / 100,
+      answers: answers.map(c => ({
+        question_id: c.question_id,
+        question_order: c.question_order,
+        previous_score: c.previous_score,
+        new_score: c.score,
+        is_correct: c.isCorrect,
+      })),
+    };
+  });
+
+  return { changes, skipped, attempts };
+};
+
+const summarizeRegrade = (attempts) => ({
+  attempts_rescored: attempts.length,
+  attempts_changed: attempts.filter(a => a.delta !== 0).length,
+  total_delta: Math.round(attempts.reduce((sum, a) => sum + a.delta, 0) * 100) / 100,
+});
+
+/**
+ * Correct the answer key of a question (by generated question id) or of every question
+ * with the same text, and rescore the completed answers with the submit-time grading logic.
+ * Manually graded answers keep their score. Without `apply` nothing is written and the
+ * report shows the score deltas the correction would cause.
+ * @param {Object} params
+ * @param {number} params.assessmentId
+ * @param {number} params.instructorId - Must own the assessment
+ * @param {number} [params.questionId] - generated_questions id
+ * @param {string} [params.questionText] - Used when no questionId is given
+ * @param {*} params.correctAnswer - Option letter/text (or an array for multiple select; text only when the
+ *   matched questions order their options differently), true/false,
+ *   a number or { value, tolerance, tolerance_type, unit }, matching pairs, or a short-answer/essay rubric
+ * @param {string} [params.comment] - Recorded in the grade history when applied
+ * @param {boolean} [params.apply] - Commit the correction
+ * @returns {Promise<Object|null>} Regrade report, or null if no question matched
+ */
+export const regradeQuestions = async ({
+  assessmentId, instructorId, questionId, questionText, correctAnswer, comment, apply = false,
+}) => {
+  const selector = { assessmentId, instructorId, questionId, questionText };
+
+  const preview = await findRegradeTargets(db, selector);
+  if (preview.length === 0) return null;
+  assertKeyNamesOptions(preview, correctAnswer);
+
+  // Semantic grading calls the checking model, so it happens before any rows are locked
+  const aiGrades = await gradeAnswersWithAI(
+    preview
+      .filter(q => q.attempt_status === "completed" && q.graded_by !== "manual" && needsAIGrading(q))
+      .map(q => ({
+        question: { ...q, correct_answer: encodeCorrectedAnswer(q, correctAnswer) },
+        studentAnswer: decodeSavedAnswer(q.question_type, q.student_answer ?? null),
+      })),
+    { assessmentId, userId: instructorId }
+  );
+
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    const targets = apply ? await findRegradeTargets(client, selector, true) : preview;
+    assertKeyNamesOptions(targets, correctAnswer);
+    const keys = Object.fromEntries(targets.map(q => [q.id, encodeCorrectedAnswer(q, correctAnswer)]));
+    const { changes, skipped, attempts } = await computeRegrade(client, targets, keys, aiGrades);
+
+    const report = {
+      applied: apply,
+      matched_questions: targets.length,
+      in_progress_questions: targets.filter(q => q.attempt_status === "in_progress").length,
+      attempts,
+      skipped,
+      summary: summarizeRegrade(attempts),
+    };
+
+    if (!apply) {
+      await client.query("ROLLBACK");
+      return report;
+    }
+
+    // In-progress attempts get the corrected key too, so they grade correctly on submit
+    for (const q of targets) {
+      await client.query(
+        `UPDATE generated_questions SET correct_answer = $1 WHERE id = $2`,
+        [keys[q.id], q.id]
+      );
+    }
+
+    // Keep future bank draws consistent with the correction. Attempts may list the options
+    // in their own shuffled order, so each bank key is resolved against the bank row's options
+    const texts = [...new Set(targets.map(q => q.question_text.trim().toLowerCase()))];
+    const { rows: bankRows } = await client.query(
+      `SELECT id, question_type, options, correct_answer FROM question_bank
+       WHERE assessment_id = $1 AND LOWER(TRIM(question_text)) = ANY($2::text[])
+       FOR UPDATE`,
+      [assessmentId, texts]
+    );
+    const bankKey = keyByOptionText(targets[0], correctAnswer);
+    for (const bankRow of bankRows) {
+      let key;
+      try {
+        key = encodeCorrectedAnswer(bankRow, bankKey);
+      } catch (error) {
+        console.warn(`⚠️ Bank question ${bankRow.id} left unchanged: ${error.message}`);
+        continue;
+      }
+      await client.query(
+        `UPDATE question_bank SET correct_answer = $1, updated_at = NOW() WHERE id = $2`,
+        [key, bankRow.id]
+      );
+    }
+
+    const historyComment = comment || "Answer key corrected";
+    for (const attempt of attempts) {
+      for (const change of changes.filter(c => c.attempt_id === attempt.attempt_id)) {
+        await client.query(
+          `INSERT INTO student_answers (attempt_id, question_id, score, grading_rationale, graded_by)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (attempt_id, question_id) DO UPDATE
+           SET score = $3, grading_rationale = $4, graded_by = $5`,
+          [change.attempt_id, change.question_id, change.score, change.rationale, change.gradedBy]
+        );
+      }
+
+      const newAttemptScore = await recomputeAttemptScore(client, attempt.attempt_id);
+      attempt.new_score = newAttemptScore;
+      attempt.delta = Math.round((newAttemptScore - attempt.previous_score) * 100) / 100;
+
+      for (const answer of attempt.answers.filter(a => a.previous_score !== a.new_score)) {
+        await client.query(
+          `INSERT INTO grade_overrides
+             (attempt_id, question_id, previous_score, new_score, previous_attempt_score, new_attempt_score, comment, source, changed_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, 'regrade', $8)`,
+          [attempt.attempt_id, answer.question_id, answer.previous_score, answer.new_score,
+            attempt.previous_score, newAttemptScore, historyComment, instructorId]
+        );
+      }
+    }
+
+    await client.query("COMMIT");
+    report.summary = summarizeRegrade(attempts);
+    return report;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export const init = async () => {
+  try {
+    await ensureGradeOverridesTable();
+  } catch (error) {
+    console.error("❌ Error initializing grade overrides table:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,294 @@
+import db from "../DB/db.js";
+
+/**
+ * LLM Usage Model
+ * Ledger of every model call (task, assessment, user, tokens, latency) and the monthly
+ * token quotas charged against it. Usage is charged to the instructor who owns the
+ * assessment and to that instructor's institution.
+ *
+ * Default quotas come from the environment (unset = unlimited):
+ *   AI_INSTRUCTOR_MONTHLY_TOKEN_QUOTA, AI_INSTITUTION_MONTHLY_TOKEN_QUOTA
+ * users.ai_monthly_token_quota and institution_ai_quotas override them.
+ */
+
+const quotaFromEnv = (name) => {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : null;
+};
+
+const DEFAULT_INSTRUCTOR_QUOTA = quotaFromEnv("AI_INSTRUCTOR_MONTHLY_TOKEN_QUOTA");
+const DEFAULT_INSTITUTION_QUOTA = quotaFromEnv("AI_INSTITUTION_MONTHLY_TOKEN_QUOTA");
+
+const ensureLlmUsageTable = async () => {
+  try {
+    const tableCheck = await db.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'llm_usage'
+      )
+    `);
+    if (!tableCheck.rows[0].exists) {
+      console.log("Creating llm_usage table...");
+      await db.query(`
+        CREATE TABLE llm_usage (
+          id SERIAL PRIMARY KEY,
+          task VARCHAR(30) NOT NULL,
+          provider VARCHAR(20) NOT NULL,
+          model VARCHAR(100),
+          assessment_id INTEGER REFERENCES assessments(id) ON DELETE SET NULL,
+          attempt_id INTEGER,
+          user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          instructor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          institution VARCHAR(255),
+          input_tokens INTEGER NOT NULL DEFAULT 0,
+          output_tokens INTEGER NOT NULL DEFAULT 0,
+          latency_ms INTEGER NOT NULL DEFAULT 0,
+          success BOOLEAN NOT NULL,
+          error TEXT,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await db.query(`CREATE INDEX idx_llm_usage_instructor ON llm_usage(instructor_id, created_at);`);
+      await db.query(`CREATE INDEX idx_llm_usage_institution ON llm_usage(institution, created_at);`);
+      await db.query(`CREATE INDEX idx_llm_usage_created_at ON llm_usage(created_at);`);
+      console.log("✅ llm_usage table created");
+    }
+  } catch (error) {
+    console.error("❌ Error creating llm_usage table:", error);
+    throw error;
+  }
+};
+
+const ensureInstitutionQuotasTable = async () => {
+  try {
+    const tableCheck = await db.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'institution_ai_quotas'
+      )
+    `);
+    if (!tableCheck.rows[0].exists) {
+      console.log("Creating institution_ai_quotas table...");
+      await db.query(`
+        CREATE TABLE institution_ai_quotas (
+          institution VARCHAR(255) PRIMARY KEY,
+          monthly_token_quota INTEGER CHECK (monthly_token_quota >= 0),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log("✅ institution_ai_quotas table created");
+    }
+  } catch (error) {
+    console.error("❌ Error creating institution_ai_quotas table:", error);
+    throw error;
+  }
+};
+
+/**
+ * Write one ledger row. Assessment and user fall back to the attempt's when not given.
+ * @param {Object} entry
+ * @param {string} entry.task - creation, checking or recommendations
+ * @param {string} entry.provider
+ * @param {string} entry.model
+ * @param {Object} [entry.context] - { assessmentId, attemptId, userId } of the call
+ * @param {Object} [entry.usage] - { inputTokens, outputTokens }
+ * @param {number} entry.latencyMs
+ * @param {boolean} entry.success
+ * @param {string} [entry.error]
+ */
+export const recordLlmUsage = async ({ task, provider, model, context = {}, usage = {}, latencyMs, success, error = null }) => {
+  await db.query(`
+    INSERT INTO llm_usage (
+      task, provider, model, assessment_id, attempt_id, user_id, instructor_id, institution,
+      input_tokens, output_tokens, latency_ms, success, error
+    )
+    SELECT $1, $2, $3, ctx.assessment_id, $5::int, ctx.user_id, a.instructor_id, COALESCE(i.institution, u.institution),
+           $7, $8, $9, $10, $11
+    FROM (
+      SELECT COALESCE($4::int, aa.assessment_id) AS assessment_id, COALESCE($6::int, aa.student_id) AS user_id
+      FROM (SELECT 1) one
+      LEFT JOIN assessment_attempts aa ON aa.id = $5::int
+    ) ctx
+    LEFT JOIN assessments a ON a.id = ctx.assessment_id
+    LEFT JOIN users i ON i.id = a.instructor_id
+    LEFT JOIN users u ON u.id = ctx.user_id
+  `, [
+    task,
+    provider,
+    model,
+    context.assessmentId || null,
+    context.attemptId || null,
+    context.userId || null,
+    usage.inputTokens || 0,
+    usage.outputTokens || 0,
+    Math.round(latencyMs || 0),
+    success,
+    error ? String(error).slice(0, 1000) : null,
+  ]);
+};
+
+/**
+ * This month's token usage and limits for the instructor who owns an assessment and
+ * for their institution
+ * @param {number} assessmentId
+ * @returns {Promise<Object|null>} { allowed, exceeded, instructor, institution, resets_at }, or null if the assessment does not exist
+ */
+export const checkAiQuota = async (assessmentId) => {
+  const { rows } = await db.query(`
+    SELECT a.instructor_id,
+           u.institution,
+           COALESCE(u.ai_monthly_token_quota, $2::int) AS instructor_limit,
+           COALESCE(q.monthly_token_quota, $3::int) AS institution_limit,
+           (SELECT COALESCE(SUM(l.input_tokens + l.output_tokens), 0)
+            FROM llm_usage l
+            WHERE l.instructor_id = a.instructor_id AND l.created_at >= date_trunc('month', NOW())) AS instructor_used,
+           CASE WHEN u.institution IS NULL THEN 0 ELSE
+             (SELECT COALESCE(SUM(l.input_tokens + l.output_tokens), 0)
+              FROM llm_usage l
+              WHERE l.institution = u.institution AND l.created_at >= date_trunc('month', NOW()))
+           END AS institution_used,
+           date_trunc('month', NOW()) + INTERVAL '1 month' AS resets_at
+    FROM assessments a
+    JOIN users u ON u.id = a.instructor_id
+    LEFT JOIN institution_ai_quotas q ON q.institution = u.institution
+    WHERE a.id = $1
+  `, [assessmentId, DEFAULT_INSTRUCTOR_QUOTA, DEFAULT_INSTITUTION_QUOTA]);
+  if (rows.length === 0) return null;
+
+  const row = rows[0];
+  const instructor = {
+    id: row.instructor_id,
+    used: Number(row.instructor_used),
+    limit: row.instructor_limit === null ? null : Number(row.instructor_limit),
+  };
+  const institution = row.institution
+    ? {
+      name: row.institution,
+      used: Number(row.institution_used),
+      limit: row.institution_limit === null ? null : Number(row.institution_limit),
+    }
+    : null;
+
+  const over = (scope) => scope && scope.limit !== null && scope.used >= scope.limit;
+  const exceeded = over(instructor) ? "instructor" : over(institution) ? "institution" : null;
+
+  return { allowed: !exceeded, exceeded, instructor, institution, resets_at: row.resets_at };
+};
+
+/**
+ * Usage totals for one month, grouped by instructor, institution and task
+ * @param {Object} options
+ * @param {string} [options.month] - "YYYY-MM"; defaults to the current month
+ * @param {number} [options.instructorId] - Limit to one instructor
+ * @param {string} [options.institution] - Limit to one institution
+ */
+export const getUsageReport = async ({ month, instructorId, institution } = {}) => {
+  const values = [month ? `${month}-01` : null];
+  const conditions = [
+    `l.created_at >= COALESCE($1::date::timestamptz, date_trunc('month', NOW()))`,
+    `l.created_at < COALESCE($1::date::timestamptz, date_trunc('month', NOW())) + INTERVAL '1 month'`,
+  ];
+  if (instructorId) {
+    values.push(instructorId);
+    conditions.push(`l.instructor_id = $${values.length}`);
+  }
+  if (institution) {
+    values.push(institution);
+    conditions.push(`l.institution = $${values.length}`);
+  }
+  const where = conditions.join(" AND ");
+
+  const totals = `
+    COUNT(*)::int AS calls,
+    COUNT(*) FILTER (WHERE NOT l.success)::int AS failures,
+    COALESCE(SUM(l.input_tokens), 0)::bigint AS input_tokens,
+    COALESCE(SUM(l.output_tokens), 0)::bigint AS output_tokens,
+    COALESCE(ROUND(AVG(l.latency_ms)), 0)::int AS avg_latency_ms
+  `;
+
+  const [summary, byTask, byInstructor, byInstitution] = await Promise.all([
+    db.query(`SELECT ${totals} FROM llm_usage l WHERE ${where}`, values),
+    db.query(`
+      SELECT l.task, ${totals}
+      FROM llm_usage l WHERE ${where}
+      GROUP BY l.task ORDER BY l.task
+    `, values),
+    db.query(`
+      SELECT l.instructor_id, u.name AS instructor_name, u.email AS instructor_email,
+             COALESCE(u.ai_monthly_token_quota, $${values.length + 1}::int) AS monthly_token_quota,
+             ${totals}
+      FROM llm_usage l
+      LEFT JOIN users u ON u.id = l.instructor_id
+      WHERE ${where}
+      GROUP BY l.instructor_id, u.name, u.email, u.ai_monthly_token_quota
+      ORDER BY SUM(l.input_tokens + l.output_tokens) DESC
+    `, [...values, DEFAULT_INSTRUCTOR_QUOTA]),
+    db.query(`
+      SELECT l.institution, COALESCE(q.monthly_token_quota, $${values.length + 1}::int) AS monthly_token_quota, ${totals}
+      FROM llm_usage l
+      LEFT JOIN institution_ai_quotas q ON q.institution = l.institution
+      WHERE ${where}
+      GROUP BY l.institution, q.monthly_token_quota
+      ORDER BY SUM(l.input_tokens + l.output_tokens) DESC
+    `, [...values, DEFAULT_INSTITUTION_QUOTA]),
+  ]);
+
+  const withTotal = (row) => ({ ...row, total_tokens: Number(row.input_tokens) + Number(row.output_tokens) });
+
+  return {
+    month: month || new Date().toISOString().slice(0, 7),
+    summary: withTotal(summary.rows[0]),
+    by_task: byTask.rows.map(withTotal),
+    by_instructor: byInstructor.rows.map(withTotal),
+    by_institution: byInstitution.rows.map(withTotal),
+  };
+};
+
+/**
+ * Update an instructor's monthly token quota and/or institution. Fields left undefined
+ * are unchanged; null clears them.
+ * @returns {Promise<Object|null>} Updated user, or null if no such instructor
+ */
+export const updateInstructorAiSettings = async (instructorId, { monthlyTokenQuota, institution }) => {
+  const { rows } = await db.query(
+    `UPDATE users
+     SET ai_monthly_token_quota = CASE WHEN $2 THEN $3::int ELSE ai_monthly_token_quota END,
+         institution = CASE WHEN $4 THEN $5 ELSE institution END,
+         updated_at = NOW()
+     WHERE id = $1 AND role = 'instructor'
+     RETURNING id, name, email, institution, ai_monthly_token_quota`,
+    [instructorId, monthlyTokenQuota !== undefined, monthlyTokenQuota ?? null, institution !== undefined, institution ?? null]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Set or clear (null) an institution's monthly token quota
+ */
+export const setInstitutionQuota = async (institution, monthlyTokenQuota) => {
+  const { rows } = await db.query(
+    `INSERT INTO institution_ai_quotas (institution, monthly_token_quota, updated_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (institution) DO UPDATE SET monthly_token_quota = EXCLUDED.monthly_token_quota, updated_at = NOW()
+     RETURNING *`,
+    [institution, monthlyTokenQuota]
+  );
+  return rows[0];
+};
+
+export const init = async () => {
+  try {
+    await db.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS institution VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS ai_monthly_token_quota INTEGER CHECK (ai_monthly_token_quota >= 0);
+    `);
+    await ensureLlmUsageTable();
+    await ensureInstitutionQuotasTable();
+  } catch (error) {
+    console.error("❌ Error initializing LLM usage tables:", error);
+    throw error;
+  }
+};
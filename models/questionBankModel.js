@@ -0,0 +1,366 @@
+import db from "../DB/db.js";
+import {
+  getQuestionBlocks,
+  buildQuestionsForBlocks,
+  insertGeneratedQuestion,
+  isOptionShuffleEnabled,
+} from "./assessmentModel.js";
+import { difficultyTargets, pickByDifficulty, shuffle, shuffleChoiceOptions } from "../services/questionFairness.js";
+import { validateGeneratedQuestion } from "../services/questionValidator.js";
+
+/**
+ * Question Bank Model
+ * Instructor-reviewed questions per assessment block, drawn from when an
+ * assessment's question_source is 'bank'
+ */
+
+const ensureQuestionBankTable = async () => {
+  try {
+    const tableCheck = await db.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'question_bank'
+      )
+    `);
+    if (!tableCheck.rows[0].exists) {
+      console.log("Creating question_bank table...");
+      await db.query(`
+        CREATE TABLE question_bank (
+          id SERIAL PRIMARY KEY,
+          assessment_id INTEGER REFERENCES assessments(id) ON DELETE CASCADE,
+          block_id INTEGER REFERENCES question_blocks(id) ON DELETE CASCADE,
+          question_type VARCHAR(50) NOT NULL,
+          question_text TEXT NOT NULL,
+          options JSONB,
+          correct_answer TEXT,
+          source_chunk_ids INTEGER[] DEFAULT '{}',
+          status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+          position INTEGER NOT NULL DEFAULT 0,
+          language VARCHAR(10) DEFAULT 'en',
+          difficulty VARCHAR(10),
+          learning_objective TEXT,
+          cognitive_level VARCHAR(12),
+          topics TEXT[] NOT NULL DEFAULT '{}',
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          reviewed_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await db.query(`
+        CREATE INDEX idx_question_bank_assessment_id ON question_bank(assessment_id);
+        CREATE INDEX idx_question_bank_block_id ON question_bank(block_id);
+      `);
+      console.log("✅ question_bank table created");
+    } else {
+      await db.query(`
+        ALTER TABLE question_bank
+          ADD COLUMN IF NOT EXISTS difficulty VARCHAR(10),
+          ADD COLUMN IF NOT EXISTS learning_objective TEXT,
+          ADD COLUMN IF NOT EXISTS cognitive_level VARCHAR(12),
+          ADD COLUMN IF NOT EXISTS topics TEXT[] NOT NULL DEFAULT '{}';
+      `);
+    }
+  } catch (error) {
+    console.error("❌ Error creating question_bank table:", error);
+    throw error;
+  }
+};
+
+/**
+ * List bank questions for an assessment, optionally filtered by status or block
+ */
+export const getBankQuestions = async (assessmentId, { status, blockId } = {}) => {
+  const conditions = ["qb.assessment_id = $1"];
+  const values = [assessmentId];
+  if (status) {
+    values.push(status);
+    conditions.push(`qb.status = $${values.length}`);
+  }
+  if (blockId) {
+    values.push(blockId);
+    conditions.push(`qb.block_id = $${values.length}`);
+  }
+
+  const { rows } = await db.query(`
+    SELECT qb.*
+    FROM question_bank qb
+    WHERE ${conditions.join(" AND ")}
+    ORDER BY qb.block_id, qb.position, qb.id
+  `, values);
+  return rows;
+};
+
+export const getBankQuestionById = async (assessmentId, questionId) => {
+  const { rows } = await db.query(
+    "SELECT * FROM question_bank WHERE id = $1 AND assessment_id = $2",
+    [questionId, assessmentId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Per-block counts of approved/pending/rejected bank questions against what each block requires
+ */
+export const getBankCoverage = async (assessmentId) => {
+  const { rows } = await db.query(`
+    SELECT
+      b.id AS block_id,
+      b.question_type,
+      b.question_count AS required,
+      COUNT(qb.id) FILTER (WHERE qb.status = 'approved')::int AS approved,
+      COUNT(qb.id) FILTER (WHERE qb.status = 'pending')::int AS pending,
+      COUNT(qb.id) FILTER (WHERE qb.status = 'rejected')::int AS rejected
+    FROM question_blocks b
+    LEFT JOIN question_bank qb ON qb.block_id = b.id
+    WHERE b.assessment_id = $1
+    GROUP BY b.id, b.question_type, b.question_count
+    ORDER BY b.id
+  `, [assessmentId]);
+  return rows.map(row => ({ ...row, ready: row.approved >= row.required }));
+};
+
+/**
+ * Generate questions with the creation model and store them as pending bank entries
+ * @param {number} assessmentId
+ * @param {Object} assessment - Row with title, prompt and external_links
+ * @param {Object} options
+ * @param {number} [options.blockId] - Only generate for this block
+ * @param {number} [options.count] - Questions per block (defaults to the block's question_count)
+ * @param {string} [options.language]
+ * @param {number} options.userId - Instructor triggering the generation
+ */
+export const generateIntoBank = async (assessmentId, assessment, { blockId, count, language = "en", userId }) => {
+  const blocks = (await getQuestionBlocks(assessmentId))
+    .filter(block => !blockId || block.id === blockId)
+    .map(block => ({ ...block, question_count: count || block.question_count }));
+
+  if (blocks.length === 0) {
+    throw new Error(blockId ? "Question block not found" : `No question blocks defined for assessment ${assessmentId}`);
+  }
+
+  const questions = await buildQuestionsForBlocks(assessmentId, blocks, language, assessment, { userId });
+
+  const { rows: positionRows } = await db.query(
+    "SELECT COALESCE(MAX(position), 0) AS max_position FROM question_bank WHERE assessment_id = $1",
+    [assessmentId]
+  );
+  let position = Number(positionRows[0].max_position);
+
+  const inserted = [];
+  for (const q of questions) {
+    const { rows } = await db.query(`
+      INSERT INTO question_bank (
+        assessment_id, block_id, question_type, question_text, options,
+        correct_answer, source_chunk_ids, position, language, created_by, difficulty,
+        learning_objective, cognitive_level, topics
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *
+    `, [
+      assessmentId,
+      q.block_id,
+      q.question_type,
+      q.question_text.trim(),
+      q.options ? JSON.stringify(q.options) : null,
+      JSON.stringify(q.correct_answer),
+      q.source_chunk_ids || [],
+      ++position,
+      language,
+      userId,
+      q.difficulty || null,
+      q.learning_objective || null,
+      q.cognitive_level || null,
+      q.topics || [],
+    ]);
+    inserted.push(rows[0]);
+  }
+
+  console.log(`✅ Added ${inserted.length} pending questions to bank for assessment ${assessmentId}`);
+  return inserted;
+};
+
+/**
+ * Apply an edit to a bank question and validate the result against its block like a
+ * generated question (the objective and cognitive level are not editable, so they are kept).
+ * @param {Object} current - question_bank row
+ * @param {Object} edits - { question_text, options, correct_answer, difficulty, topics }, undefined keeps the stored value
+ * @param {string[]} [assessmentTopics] - The assessment's topic list
+ * @returns {Promise<{question: Object|null, errors: string[], contentChanged: boolean}>} contentChanged
+ *   is true when the text, options or answer key differ from the stored ones
+ */
+export const validateBankQuestionEdit = async (current, edits, assessmentTopics = []) => {
+  const block = (await getQuestionBlocks(current.assessment_id)).find(b => b.id === current.block_id)
+    || { question_type: current.question_type };
+
+  const storedAnswer = JSON.parse(current.correct_answer);
+  const pick = (field, stored) => (edits[field] !== undefined ? edits[field] : stored);
+  // Multiple select keys are stored as { answers, partial_credit }; the validator takes the answers
+  const answerInput = (answer) =>
+    current.question_type === "multiple_select" && Array.isArray(answer?.answers) ? answer.answers : answer;
+
+  const { question, errors } = validateGeneratedQuestion({
+    question_text: pick("question_text", current.question_text),
+    options: pick("options", current.options),
+    correct_answer: answerInput(pick("correct_answer", storedAnswer)),
+    difficulty: pick("difficulty", current.difficulty),
+    topics: pick("topics", current.topics),
+  }, { ...block, learning_objectives: [] }, { topics: assessmentTopics || [] });
+  if (!question) return { question: null, errors, contentChanged: false };
+
+  const contentChanged = question.question_text !== current.question_text
+    || JSON.stringify(question.options) !== JSON.stringify(current.options)
+    || JSON.stringify(question.correct_answer) !== JSON.stringify(storedAnswer);
+  return { question, errors, contentChanged };
+};
+
+/**
+ * Store an edited bank question (from validateBankQuestionEdit). When its content changed
+ * it goes back to pending so it is reviewed again before students can draw it.
+ */
+export const updateBankQuestion = async (assessmentId, questionId, question, { contentChanged = false } = {}) => {
+  const { rows } = await db.query(`
+    UPDATE question_bank
+    SET question_text = $1,
+        options = $2,
+        correct_answer = $3,
+        difficulty = $4,
+        topics = $5,
+        status = CASE WHEN $6 THEN 'pending' ELSE status END,
+        reviewed_by = CASE WHEN $6 THEN NULL ELSE reviewed_by END,
+        reviewed_at = CASE WHEN $6 THEN NULL ELSE reviewed_at END,
+        updated_at = NOW()
+    WHERE id = $7 AND assessment_id = $8
+    RETURNING *
+  `, [
+    question.question_text,
+    question.options !== null ? JSON.stringify(question.options) : null,
+    JSON.stringify(question.correct_answer),
+    question.difficulty,
+    question.topics,
+    contentChanged,
+    questionId,
+    assessmentId,
+  ]);
+  return rows[0] || null;
+};
+
+export const setBankQuestionStatus = async (assessmentId, questionId, status, reviewerId) => {
+  const { rows } = await db.query(`
+    UPDATE question_bank
+    SET status = $1, reviewed_by = $2, reviewed_at = NOW(), updated_at = NOW()
+    WHERE id = $3 AND assessment_id = $4
+    RETURNING *
+  `, [status, reviewerId, questionId, assessmentId]);
+  return rows[0] || null;
+};
+
+/**
+ * Set bank positions to follow the given id order. Ids not listed keep their relative order after them.
+ */
+export const reorderBankQuestions = async (assessmentId, questionIds) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      "SELECT id FROM question_bank WHERE assessment_id = $1 ORDER BY position, id",
+      [assessmentId]
+    );
+    const known = new Set(rows.map(row => row.id));
+    const unknown = questionIds.filter(id => !known.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Questions not in this assessment's bank: ${unknown.join(", ")}`);
+    }
+
+    const listed = new Set(questionIds);
+    const ordered = [...questionIds, ...rows.map(row => row.id).filter(id => !listed.has(id))];
+    for (const [index, id] of ordered.entries()) {
+      await client.query(
+        "UPDATE question_bank SET position = $1, updated_at = NOW() WHERE id = $2",
+        [index + 1, id]
+      );
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Copy approved bank questions into an attempt, block by block.
+ * When a block has more approved questions than it needs, a random subset is used
+ * (kept in bank order), matching the block's difficulty target when the approved
+ * questions allow it.
+ * @returns {Promise<{questions: Array<Object>, duration: number}>}
+ */
+export const drawQuestionsFromBank = async (assessmentId, attemptId) => {
+  const blocks = await getQuestionBlocks(assessmentId);
+  if (blocks.length === 0) {
+    throw new Error(`No question blocks defined for assessment ${assessmentId}`);
+  }
+
+  const drawn = [];
+  for (const [index, block] of blocks.entries()) {
+    const { rows } = await db.query(`
+      SELECT * FROM question_bank
+      WHERE block_id = $1 AND status = 'approved'
+      ORDER BY position, id
+    `, [block.id]);
+
+    if (rows.length < block.question_count) {
+      throw new Error(
+        `Not enough approved questions: block ${index + 1} (${block.question_type}) has ${rows.length} but needs ${block.question_count}`
+      );
+    }
+
+    const shuffled = shuffle(rows);
+    const targets = difficultyTargets(block);
+    const byDifficulty = targets && pickByDifficulty(shuffled, targets);
+    if (targets && !byDifficulty) {
+      console.warn(`⚠️ Block ${block.id} has too few approved questions per difficulty; drawing without the target`);
+    }
+    const picked = new Set((byDifficulty || shuffled.slice(0, block.question_count)).map(row => row.id));
+    for (const row of rows.filter(row => picked.has(row.id))) {
+      drawn.push({
+        ...row,
+        correct_answer: JSON.parse(row.correct_answer),
+        positive_marks: block.positive_marks,
+        negative_marks: block.negative_marks,
+        duration_per_question: block.duration_per_question,
+      });
+    }
+  }
+
+  await db.query(`DELETE FROM generated_questions WHERE attempt_id = $1`, [attemptId]);
+
+  const questions = await isOptionShuffleEnabled(assessmentId) ? drawn.map(shuffleChoiceOptions) : drawn;
+  let totalDuration = 0;
+  for (const [index, q] of questions.entries()) {
+    totalDuration += q.duration_per_question;
+    await insertGeneratedQuestion(attemptId, index + 1, q);
+  }
+
+  return { questions, duration: totalDuration };
+};
+
+export const setAssessmentPublished = async (assessmentId, isPublished) => {
+  const { rows } = await db.query(
+    "UPDATE assessments SET is_published = $1, updated_at = NOW() WHERE id = $2 RETURNING *",
+    [isPublished, assessmentId]
+  );
+  return rows[0] || null;
+};
+
+export const init = async () => {
+  try {
+    await ensureQuestionBankTable();
+  } catch (error) {
+    console.error("❌ Error initializing question bank table:", error);
+    throw error;
+  }
+};
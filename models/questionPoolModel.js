@@ -0,0 +1,222 @@
+import db from "../DB/db.js";
+import { difficultyTargets, pickByDifficulty } from "../services/questionFairness.js";
+
+/**
+ * Question Pool Model
+ * Validated questions generated ahead of time for live assessments, pool_variants times
+ * each block's question_count per language. Starting an attempt takes a block's questions
+ * from the pool (each pooled question is used once, matching the block's difficulty target)
+ * and only generates live when the pool cannot cover the block.
+ */
+
+// A block's pool is refilled once it drops below this share of its target
+const REFILL_THRESHOLD = 0.5;
+
+const ensureQuestionPoolTable = async () => {
+  try {
+    const tableCheck = await db.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'question_pool'
+      )
+    `);
+    if (!tableCheck.rows[0].exists) {
+      console.log("Creating question_pool table...");
+      await db.query(`
+        CREATE TABLE question_pool (
+          id SERIAL PRIMARY KEY,
+          assessment_id INTEGER REFERENCES assessments(id) ON DELETE CASCADE,
+          block_id INTEGER REFERENCES question_blocks(id) ON DELETE CASCADE,
+          language VARCHAR(10) NOT NULL DEFAULT 'en',
+          question_type VARCHAR(50) NOT NULL,
+          question_text TEXT NOT NULL,
+          options JSONB,
+          correct_answer TEXT,
+          context_chunk_ids INTEGER[] DEFAULT '{}',
+          source_chunk_ids INTEGER[] DEFAULT '{}',
+          difficulty VARCHAR(10),
+          learning_objective TEXT,
+          cognitive_level VARCHAR(12),
+          topics TEXT[] NOT NULL DEFAULT '{}',
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await db.query(`
+        CREATE INDEX idx_question_pool_block ON question_pool(block_id, language);
+        CREATE UNIQUE INDEX idx_question_pool_unique_text ON question_pool(block_id, language, md5(lower(question_text)));
+      `);
+      console.log("✅ question_pool table created");
+    } else {
+      await db.query(`
+        ALTER TABLE question_pool
+          ADD COLUMN IF NOT EXISTS difficulty VARCHAR(10),
+          ADD COLUMN IF NOT EXISTS learning_objective TEXT,
+          ADD COLUMN IF NOT EXISTS cognitive_level VARCHAR(12),
+          ADD COLUMN IF NOT EXISTS topics TEXT[] NOT NULL DEFAULT '{}';
+      `);
+    }
+  } catch (error) {
+    console.error("❌ Error creating question_pool table:", error);
+    throw error;
+  }
+};
+
+/**
+ * Blocks of published live assessments whose pool has run low, with how many questions
+ * would fill them. English is always pooled; other languages once students have used them.
+ * @param {number} [assessmentId] - Only this assessment
+ * @returns {Promise<Array<Object>>} { assessment_id, block_id, language, available, target, missing }
+ */
+export const getPoolShortfalls = async (assessmentId = null) => {
+  const { rows } = await db.query(`
+    WITH languages AS (
+      SELECT a.id AS assessment_id, 'en'::varchar AS language FROM assessments a
+      UNION
+      SELECT DISTINCT aa.assessment_id, aa.language FROM assessment_attempts aa WHERE aa.language IS NOT NULL
+    )
+    SELECT b.assessment_id, b.id AS block_id, l.language,
+           COUNT(p.id)::int AS available,
+           (b.question_count * a.pool_variants)::int AS target
+    FROM assessments a
+    JOIN question_blocks b ON b.assessment_id = a.id
+    JOIN languages l ON l.assessment_id = a.id
+    LEFT JOIN question_pool p ON p.block_id = b.id AND p.language = l.language
+    WHERE a.is_published = TRUE
+      AND a.question_source = 'live'
+      AND a.pool_variants > 0
+      AND (a.closes_at IS NULL OR a.closes_at > NOW())
+      AND ($1::int IS NULL OR a.id = $1)
+    GROUP BY b.assessment_id, b.id, l.language, b.question_count, a.pool_variants
+    HAVING COUNT(p.id) < b.question_count * a.pool_variants * $2
+    ORDER BY COUNT(p.id)::float / (b.question_count * a.pool_variants), b.id
+  `, [assessmentId, REFILL_THRESHOLD]);
+
+  return rows.map(row => ({ ...row, missing: row.target - row.available }));
+};
+
+/**
+ * Add generated questions to a block's pool, skipping ones whose text is already pooled
+ * @returns {Promise<number>} Number of questions added
+ */
+export const addToPool = async (assessmentId, blockId, language, questions) => {
+  let added = 0;
+  for (const q of questions) {
+    const { rowCount } = await db.query(`
+      INSERT INTO question_pool (
+        assessment_id, block_id, language, question_type, question_text, options,
+        correct_answer, context_chunk_ids, source_chunk_ids, difficulty, learning_objective, cognitive_level,
+        topics
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT (block_id, language, md5(lower(question_text))) DO NOTHING
+    `, [
+      assessmentId,
+      blockId,
+      language,
+      q.question_type,
+      q.question_text.trim(),
+      q.options ? JSON.stringify(q.options) : null,
+      JSON.stringify(q.correct_answer),
+      q.context_chunk_ids || [],
+      q.source_chunk_ids || [],
+      q.difficulty || null,
+      q.learning_objective || null,
+      q.cognitive_level || null,
+      q.topics || [],
+    ]);
+    added += rowCount;
+  }
+  return added;
+};
+
+/**
+ * Take a random set of pooled questions for one block, as many of each difficulty as the
+ * block's target asks for. Taken questions leave the pool; nothing is taken unless the pool
+ * can supply the whole block.
+ * @param {Object} block - question_blocks row
+ * @param {string} language
+ * @returns {Promise<Array<Object>|null>} Questions in generation shape with the block's marks and time, or null
+ */
+export const takeFromPool = async (block, language) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows: candidates } = await client.query(`
+      SELECT id, difficulty FROM question_pool
+      WHERE block_id = $1 AND language = $2 AND question_type = $3
+      ORDER BY random()
+      FOR UPDATE SKIP LOCKED
+    `, [block.id, language, block.question_type]);
+
+    const targets = difficultyTargets(block);
+    const picked = targets ? pickByDifficulty(candidates, targets) : candidates.slice(0, block.question_count);
+    if (!picked || picked.length < block.question_count) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const { rows } = await client.query(
+      "DELETE FROM question_pool WHERE id = ANY($1::int[]) RETURNING *",
+      [picked.map(row => row.id)]
+    );
+    await client.query("COMMIT");
+
+    return rows.map(row => ({
+      question_type: row.question_type,
+      question_text: row.question_text,
+      difficulty: row.difficulty,
+      learning_objective: row.learning_objective,
+      cognitive_level: row.cognitive_level,
+      topics: row.topics,
+      options: row.options,
+      correct_answer: JSON.parse(row.correct_answer),
+      positive_marks: block.positive_marks,
+      negative_marks: block.negative_marks,
+      duration_per_question: block.duration_per_question,
+      block_id: block.id,
+      context_chunk_ids: row.context_chunk_ids,
+      source_chunk_ids: row.source_chunk_ids,
+    }));
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Empty an assessment's pool, e.g. after its blocks change
+ */
+export const clearQuestionPool = async (assessmentId) => {
+  const { rowCount } = await db.query("DELETE FROM question_pool WHERE assessment_id = $1", [assessmentId]);
+  return rowCount;
+};
+
+/**
+ * Pooled question counts per block and language
+ */
+export const getPoolStatus = async (assessmentId) => {
+  const { rows } = await db.query(`
+    SELECT b.id AS block_id, b.question_type, b.question_count, p.language,
+           COUNT(p.id)::int AS available,
+           (b.question_count * a.pool_variants)::int AS target
+    FROM question_blocks b
+    JOIN assessments a ON a.id = b.assessment_id
+    LEFT JOIN question_pool p ON p.block_id = b.id
+    WHERE b.assessment_id = $1
+    GROUP BY b.id, b.question_type, b.question_count, p.language, a.pool_variants
+    ORDER BY b.id, p.language
+  `, [assessmentId]);
+  return rows;
+};
+
+export const init = async () => {
+  try {
+    await ensureQuestionPoolTable();
+  } catch (error) {
+    console.error("❌ Error initializing question pool table:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,134 @@
+import db from "../DB/db.js";
+
+/**
+ * Question Topic Model
+ * The topics each generated question tests (from the assessment's topic list, or named by
+ * the creation model from the resource content), and per-topic performance ranked into
+ * weak and strong areas with a confidence that grows with the number of questions seen.
+ */
+
+// Credit (share of marks) below which a topic counts as weak, and at or above which it counts as strong
+const WEAK_BELOW = 0.6;
+const STRONG_FROM = 0.8;
+
+// Questions on a topic needed for medium and high confidence
+const MEDIUM_CONFIDENCE_QUESTIONS = 5;
+const HIGH_CONFIDENCE_QUESTIONS = 15;
+
+// z for the 95% interval around a topic's average credit
+const INTERVAL_Z = 1.96;
+
+const ensureQuestionTopicsTable = async () => {
+  try {
+    const tableCheck = await db.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'question_topics'
+      )
+    `);
+    if (!tableCheck.rows[0].exists) {
+      console.log("Creating question_topics table...");
+      await db.query(`
+        CREATE TABLE question_topics (
+          question_id INTEGER NOT NULL REFERENCES generated_questions(id) ON DELETE CASCADE,
+          topic VARCHAR(100) NOT NULL,
+          PRIMARY KEY (question_id, topic)
+        )
+      `);
+      await db.query(`
+        CREATE INDEX idx_question_topics_topic ON question_topics(topic);
+      `);
+      console.log("✅ question_topics table created");
+    }
+  } catch (error) {
+    console.error("❌ Error creating question_topics table:", error);
+    throw error;
+  }
+};
+
+/**
+ * Tag a stored question with its topics
+ */
+export const storeQuestionTopics = async (questionId, topics = []) => {
+  if (topics.length === 0) return;
+  await db.query(
+    `INSERT INTO question_topics (question_id, topic)
+     SELECT $1, UNNEST($2::varchar[])
+     ON CONFLICT DO NOTHING`,
+    [questionId, topics]
+  );
+};
+
+// Wilson score interval for an average credit over n questions
+const creditInterval = (credit, n) => {
+  const z2 = INTERVAL_Z * INTERVAL_Z;
+  const denominator = 1 + z2 / n;
+  const center = (credit + z2 / (2 * n)) / denominator;
+  const halfWidth = (INTERVAL_Z * Math.sqrt((credit * (1 - credit)) / n + z2 / (4 * n * n))) / denominator;
+  return [Math.max(center - halfWidth, 0), Math.min(center + halfWidth, 1)];
+};
+
+const confidenceFor = (questions) =>
+  questions >= HIGH_CONFIDENCE_QUESTIONS ? "high" : questions >= MEDIUM_CONFIDENCE_QUESTIONS ? "medium" : "low";
+
+/**
+ * Average credit per topic over the given attempts' questions, unanswered questions counting
+ * as 0. Untagged questions are left out.
+ * @param {Array<number>} attemptIds
+ * @returns {Promise<Array<Object>>} { topic, questions, students, average_score, lower_bound, upper_bound, confidence }, weakest first
+ */
+export const getTopicPerformance = async (attemptIds) => {
+  if (attemptIds.length === 0) return [];
+
+  const { rows } = await db.query(`
+    SELECT qt.topic,
+           COUNT(*)::int AS questions,
+           COUNT(DISTINCT aa.student_id)::int AS students,
+           AVG(GREATEST(LEAST(COALESCE(sa.score, 0) / NULLIF(gq.positive_marks, 0), 1), 0))::float AS credit
+    FROM question_topics qt
+    JOIN generated_questions gq ON gq.id = qt.question_id
+    JOIN assessment_attempts aa ON aa.id = gq.attempt_id
+    LEFT JOIN student_answers sa ON sa.question_id = gq.id AND sa.attempt_id = gq.attempt_id
+    WHERE gq.attempt_id = ANY($1::int[])
+    GROUP BY qt.topic
+    ORDER BY credit, qt.topic
+  `, [attemptIds]);
+
+  return rows.map(({ credit, ...row }) => {
+    const [lower, upper] = creditInterval(credit || 0, row.questions);
+    return {
+      ...row,
+      average_score: Math.round((credit || 0) * 100),
+      lower_bound: Math.round(lower * 100),
+      upper_bound: Math.round(upper * 100),
+      confidence: confidenceFor(row.questions),
+    };
+  });
+};
+
+/**
+ * Split topic performance into weak and strong areas. Weak topics are ranked by the top of
+ * their interval (the ones that are weak even on a generous reading come first), strong
+ * topics by the bottom of theirs, so a topic seen on one or two questions ranks behind one
+ * with the same average over many.
+ * @param {Array<Object>} topics - From getTopicPerformance
+ * @returns {{ weak: Array<Object>, strong: Array<Object> }}
+ */
+export const rankTopics = (topics) => ({
+  weak: topics
+    .filter(topic => topic.average_score < WEAK_BELOW * 100)
+    .sort((a, b) => a.upper_bound - b.upper_bound || b.questions - a.questions),
+  strong: topics
+    .filter(topic => topic.average_score >= STRONG_FROM * 100)
+    .sort((a, b) => b.lower_bound - a.lower_bound || b.questions - a.questions),
+});
+
+export const init = async () => {
+  try {
+    await ensureQuestionTopicsTable();
+  } catch (error) {
+    console.error("❌ Error initializing question topics table:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,237 @@
+import db from "../DB/db.js";
+
+/**
+ * Reminder Model
+ * Persisted reminder jobs: one row per (assessment, student, offset before closes_at)
+ */
+
+// Retry a failed send this many times before giving up
+const MAX_SEND_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 10;
+// A reminder left in 'processing' this long belongs to a crashed run
+const STALE_PROCESSING_MINUTES = 15;
+
+const ensureAssessmentRemindersTable = async () => {
+  try {
+    const tableCheck = await db.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'assessment_reminders'
+      )
+    `);
+    if (!tableCheck.rows[0].exists) {
+      console.log("Creating assessment_reminders table...");
+      await db.query(`
+        CREATE TABLE assessment_reminders (
+          id SERIAL PRIMARY KEY,
+          assessment_id INTEGER REFERENCES assessments(id) ON DELETE CASCADE,
+          student_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          offset_hours INTEGER NOT NULL,
+          send_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+            CHECK (status IN ('scheduled', 'processing', 'sent', 'failed', 'skipped')),
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          sent_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (assessment_id, student_id, offset_hours)
+        )
+      `);
+      await db.query(`
+        CREATE INDEX idx_assessment_reminders_due ON assessment_reminders(status, send_at);
+      `);
+      console.log("✅ assessment_reminders table created");
+    }
+  } catch (error) {
+    console.error("❌ Error creating assessment_reminders table:", error);
+    throw error;
+  }
+};
+
+/**
+ * Create reminder rows for every enrolled student and configured offset of assessments
+ * that are still open, and move pending reminders when an assessment's closing time changes.
+ * Offsets whose send time has already passed are not scheduled; pending reminders for offsets
+ * removed from the assessment are deleted (so adding the offset back schedules them again).
+ * @returns {Promise<number>} Number of reminders newly scheduled
+ */
+export const scheduleReminders = async () => {
+  await db.query(`
+    DELETE FROM assessment_reminders r
+    USING assessments a
+    WHERE a.id = r.assessment_id
+      AND r.status = 'scheduled'
+      AND NOT (r.offset_hours = ANY(COALESCE(a.reminder_offsets_hours, '{}')))
+  `);
+
+  await db.query(`
+    UPDATE assessment_reminders r
+    SET send_at = a.closes_at - make_interval(hours => r.offset_hours), updated_at = NOW()
+    FROM assessments a
+    WHERE a.id = r.assessment_id
+      AND r.status = 'scheduled'
+      AND a.closes_at IS NOT NULL
+      AND r.send_at <> a.closes_at - make_interval(hours => r.offset_hours)
+  `);
+
+  const { rowCount } = await db.query(`
+    INSERT INTO assessment_reminders (assessment_id, student_id, offset_hours, send_at)
+    SELECT a.id, e.student_id, o.offset_hours, a.closes_at - make_interval(hours => o.offset_hours)
+    FROM assessments a
+    JOIN enrollments e ON e.assessment_id = a.id
+    CROSS JOIN LATERAL unnest(a.reminder_offsets_hours) AS o(offset_hours)
+    WHERE a.closes_at IS NOT NULL
+      AND a.closes_at > NOW()
+      AND a.closes_at - make_interval(hours => o.offset_hours) > NOW()
+    ON CONFLICT (assessment_id, student_id, offset_hours) DO NOTHING
+  `);
+  return rowCount;
+};
+
+/**
+ * Claim due reminders for sending. Rows are moved to 'processing' so concurrent
+ * runs never pick up the same reminder.
+ * @param {number} [limit]
+ */
+export const claimDueReminders = async (limit = 50) => {
+  await db.query(`
+    UPDATE assessment_reminders
+    SET status = 'scheduled', updated_at = NOW()
+    WHERE status = 'processing'
+      AND updated_at < NOW() - make_interval(mins => ${STALE_PROCESSING_MINUTES})
+  `);
+
+  const { rows } = await db.query(`
+    UPDATE assessment_reminders r
+    SET status = 'processing', attempts = r.attempts + 1, updated_at = NOW()
+    FROM (
+      SELECT id FROM assessment_reminders
+      WHERE status = 'scheduled' AND send_at <= NOW()
+      ORDER BY send_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    ) due
+    WHERE r.id = due.id
+    RETURNING r.*
+  `, [limit]);
+  if (rows.length === 0) return [];
+
+  // Everything needed to decide whether to send, read fresh at send time
+  const { rows: details } = await db.query(`
+    SELECT
+      r.id,
+      u.email,
+      u.name,
+      COALESCE(u.reminder_opt_out, FALSE) AS reminder_opt_out,
+      a.title,
+      a.closes_at,
+      a.timezone,
+      EXISTS (
+        SELECT 1 FROM assessment_attempts aa
+        WHERE aa.assessment_id = r.assessment_id
+          AND aa.student_id = r.student_id
+          AND aa.status = 'completed'
+      ) AS completed,
+      EXISTS (
+        SELECT 1 FROM enrollments e
+        WHERE e.assessment_id = r.assessment_id AND e.student_id = r.student_id
+      ) AS enrolled
+    FROM assessment_reminders r
+    JOIN users u ON u.id = r.student_id
+    JOIN assessments a ON a.id = r.assessment_id
+    WHERE r.id = ANY($1::int[])
+  `, [rows.map(row => row.id)]);
+
+  const byId = Object.fromEntries(details.map(row => [row.id, row]));
+  return rows.map(row => ({ ...row, ...byId[row.id] }));
+};
+
+export const markReminderSent = async (reminderId) => {
+  await db.query(`
+    UPDATE assessment_reminders
+    SET status = 'sent', sent_at = NOW(), last_error = NULL, updated_at = NOW()
+    WHERE id = $1
+  `, [reminderId]);
+};
+
+export const markReminderSkipped = async (reminderId, reason) => {
+  await db.query(`
+    UPDATE assessment_reminders
+    SET status = 'skipped', last_error = $2, updated_at = NOW()
+    WHERE id = $1
+  `, [reminderId, reason]);
+};
+
+/**
+ * Record a send failure. The reminder is retried later until MAX_SEND_ATTEMPTS is reached.
+ */
+export const markReminderFailed = async (reminderId, errorMessage) => {
+  await db.query(`
+    UPDATE assessment_reminders
+    SET status = CASE WHEN attempts >= $3 THEN 'failed' ELSE 'scheduled' END,
+        send_at = CASE WHEN attempts >= $3 THEN send_at ELSE NOW() + make_interval(mins => $4) END,
+        last_error = $2,
+        updated_at = NOW()
+    WHERE id = $1
+  `, [reminderId, errorMessage, MAX_SEND_ATTEMPTS, RETRY_DELAY_MINUTES]);
+};
+
+/**
+ * List reminders for the admin view
+ * @param {Object} filters
+ * @param {string} [filters.status]
+ * @param {number} [filters.assessmentId]
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ */
+export const getReminders = async ({ status, assessmentId, limit = 100, offset = 0 } = {}) => {
+  const conditions = [];
+  const values = [];
+  if (status) {
+    values.push(status);
+    conditions.push(`r.status = $${values.length}`);
+  }
+  if (assessmentId) {
+    values.push(assessmentId);
+    conditions.push(`r.assessment_id = $${values.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const { rows: countRows } = await db.query(`
+    SELECT status, COUNT(*)::int AS count
+    FROM assessment_reminders r
+    ${where}
+    GROUP BY status
+  `, values);
+
+  values.push(limit, offset);
+  const { rows } = await db.query(`
+    SELECT
+      r.id, r.assessment_id, a.title AS assessment_title, r.student_id,
+      u.name AS student_name, u.email AS student_email,
+      r.offset_hours, r.send_at, r.status, r.attempts, r.last_error, r.sent_at,
+      r.created_at, r.updated_at
+    FROM assessment_reminders r
+    JOIN assessments a ON a.id = r.assessment_id
+    JOIN users u ON u.id = r.student_id
+    ${where}
+    ORDER BY r.send_at DESC, r.id DESC
+    LIMIT $${values.length - 1} OFFSET $${values.length}
+  `, values);
+
+  const counts = { scheduled: 0, processing: 0, sent: 0, failed: 0, skipped: 0 };
+  countRows.forEach(row => { counts[row.status] = row.count; });
+
+  return { counts, reminders: rows };
+};
+
+export const init = async () => {
+  try {
+    await ensureAssessmentRemindersTable();
+  } catch (error) {
+    console.error("❌ Error initializing assessment reminders table:", error);
+    throw error;
+  }
+};
@@ -1,11 +1,16 @@
 import db from "../DB/db.js";
-import { getCreationModel, generateContent } from "../services/geminiService.js";
+import { getRecommendationModel, generateContent } from "../services/geminiService.js";
+import { getCountedAttempts, getObjectiveBreakdown } from "./attemptModel.js";
+import { getTopicPerformance, rankTopics } from "./questionTopicModel.js";
 
 /**
  * Student Analytics Model
  * Handles student progress tracking, performance analysis, and strengths/weaknesses
  */
 
+// Question types whose stored score is the grade (no single correct string to compare)
+const STORED_SCORE_TYPES = ['matching', 'essay', 'multiple_select', 'numeric'];
+
 /**
  * Get student's overall performance analytics
  * @param {number} studentId - Student ID
@@ -28,36 +33,18 @@ export const getStudentAnalytics = async (studentId) => {
       ORDER BY e.enrolled_at DESC
     `, [studentId]);
 
-    const completedAssessments = await db.query(`
-      SELECT 
-        a.id,
-        a.title,
-        aa.completed_at AS submitted_at,
-        aa.score AS obtained_score,
-        (SELECT COALESCE(SUM(gq.positive_marks), 0)
-         FROM generated_questions gq
-         JOIN assessment_attempts aa2 ON gq.attempt_id = aa2.id
-         WHERE aa2.assessment_id = a.id AND aa2.id = aa.id) AS total_marks,
-        CASE WHEN (SELECT COALESCE(SUM(gq.positive_marks), 0)
-          FROM generated_questions gq
-          JOIN assessment_attempts aa2 ON gq.attempt_id = aa2.id
-          WHERE aa2.assessment_id = a.id AND aa2.id = aa.id) > 0
-          THEN ROUND((aa.score / (SELECT COALESCE(SUM(gq.positive_marks), 0)
-            FROM generated_questions gq
-            JOIN assessment_attempts aa2 ON gq.attempt_id = aa2.id
-            WHERE aa2.assessment_id = a.id AND aa2.id = aa.id) * 100)::numeric, 2)
-          ELSE 0 END AS percentage,
-        EXTRACT(EPOCH FROM (aa.completed_at - aa.started_at)) AS time_taken
-      FROM assessment_attempts aa
-      JOIN assessments a ON aa.assessment_id = a.id
-      WHERE aa.student_id = $1 
-        AND aa.completed_at IS NOT NULL
-        AND aa.status = 'completed'
-      GROUP BY a.id, a.title, aa.completed_at, aa.started_at, aa.id, aa.score
-      ORDER BY aa.completed_at ASC
-    `, [studentId]);
-
-    const assessments = completedAssessments.rows;
+    // One row per assessment, scored by its grade aggregation setting
+    const completedAssessments = await getCountedAttempts({ studentId });
+    const assessments = completedAssessments.map(a => ({
+      id: a.assessment_id,
+      title: a.title,
+      submitted_at: a.completed_at,
+      obtained_score: a.score,
+      total_marks: a.total_marks,
+      percentage: Number(a.percentage),
+      time_taken: Number(a.time_taken),
+      attempts_count: a.attempts_count,
+    }));
     const enrolled = enrolledAssessments.rows;
 
     const totalEnrolled = enrolled.length;
@@ -74,7 +61,9 @@ export const getStudentAnalytics = async (studentId) => {
         strengths: [],
         weaknesses: [],
         recent_performance: [],
-        subject_breakdown: []
+        subject_breakdown: [],
+        objective_breakdown: [],
+        cognitive_level_breakdown: []
       };
     }
 
@@ -98,75 +87,11 @@ export const getStudentAnalytics = async (studentId) => {
       time_taken: a.time_taken
     }));
 
-    const questionAnalysis = await db.query(`
-      SELECT 
-        gq.question_type,
-        sa.score AS scored_marks,
-        gq.positive_marks,
-        CASE 
-          WHEN sa.score >= gq.positive_marks * 0.8 THEN 'strength'
-          WHEN sa.score <= gq.positive_marks * 0.6 THEN 'weakness'
-          ELSE 'average'
-        END as performance_category
-      FROM student_answers sa
-      JOIN generated_questions gq ON sa.question_id = gq.id
-      JOIN assessment_attempts aa ON sa.attempt_id = aa.id
-      WHERE aa.student_id = $1 
-        AND aa.completed_at IS NOT NULL
-        AND sa.score IS NOT NULL
-    `, [studentId]);
-
-    const strengths = [];
-    const weaknesses = [];
-    const subjectBreakdown = {};
-
-    questionAnalysis.rows.forEach(q => {
-      const topic = q.question_type || 'General';
-      const questionType = q.question_type || 'multiple_choice';
-
-      if (!subjectBreakdown[topic]) {
-        subjectBreakdown[topic] = {
-          total_questions: 0,
-          correct_answers: 0,
-          average_score: 0
-        };
-      }
-      subjectBreakdown[topic].total_questions++;
-      subjectBreakdown[topic].correct_answers += q.scored_marks || 0;
-
-      if (q.performance_category === 'strength') {
-        strengths.push({
-          topic,
-          question_type: questionType,
-          difficulty: 'medium',
-          score: q.scored_marks,
-          max_score: q.positive_marks
-        });
-      } else if (q.performance_category === 'weakness') {
-        weaknesses.push({
-          topic,
-          question_type: questionType,
-          difficulty: 'medium',
-          score: q.scored_marks,
-          max_score: q.positive_marks
-        });
-      }
-    });
-
-    Object.keys(subjectBreakdown).forEach(topic => {
-      const breakdown = subjectBreakdown[topic];
-      breakdown.average_score = breakdown.total_questions > 0 
-        ? Math.round((breakdown.correct_answers / breakdown.total_questions) * 100) 
-        : 0;
-    });
-
-    const topStrengths = strengths
-      .sort((a, b) => (b.score / b.max_score) - (a.score / a.max_score))
-      .slice(0, 3);
-
-    const topWeaknesses = weaknesses
-      .sort((a, b) => (a.score / a.max_score) - (b.score / b.max_score))
-      .slice(0, 3);
+    // Topics and learning objectives across the attempts that count
+    const attemptIds = completedAssessments.map(a => a.attempt_id);
+    const topics = await getTopicPerformance(attemptIds);
+    const { weak, strong } = rankTopics(topics);
+    const { objectives, cognitive_levels } = await getObjectiveBreakdown(attemptIds);
 
     return {
       total_assessments: totalEnrolled,
@@ -175,14 +100,17 @@ export const getStudentAnalytics = async (studentId) => {
       total_time_spent: totalTimeSpent,
       enrolled_assessments: enrolled,
       progress_trend: progressTrend,
-      strengths: topStrengths,
-      weaknesses: topWeaknesses,
+      strengths: strong.slice(0, 3),
+      weaknesses: weak.slice(0, 3),
       recent_performance: recentPerformance,
-      subject_breakdown: Object.entries(subjectBreakdown).map(([topic, data]) => ({
-        topic,
-        total_questions: data.total_questions,
-        average_score: data.average_score
-      }))
+      subject_breakdown: topics.map(topic => ({
+        topic: topic.topic,
+        total_questions: topic.questions,
+        average_score: topic.average_score,
+        confidence: topic.confidence
+      })),
+      objective_breakdown: objectives,
+      cognitive_level_breakdown: cognitive_levels
     };
   } catch (error) {
     console.error("❌ getStudentAnalytics error:", error);
@@ -257,35 +185,19 @@ export const getPerformanceOverTime = async (studentId, timeRange) => {
 //No AI
 export const getStudentAssessmentsList = async (studentId) => {
   try {
-    const query = `
-      SELECT 
-        a.id,
-        a.title,
-        aa.score AS obtained_score,
-        (SELECT COALESCE(SUM(gq.positive_marks), 0)
-         FROM generated_questions gq
-         JOIN assessment_attempts aa2 ON gq.attempt_id = aa2.id
-         WHERE aa2.assessment_id = a.id AND aa2.id = aa.id) AS total_marks,
-        CASE WHEN (SELECT COALESCE(SUM(gq.positive_marks), 0)
-          FROM generated_questions gq
-          JOIN assessment_attempts aa2 ON gq.attempt_id = aa2.id
-          WHERE aa2.assessment_id = a.id AND aa2.id = aa.id) > 0
-          THEN ROUND((aa.score / (SELECT COALESCE(SUM(gq.positive_marks), 0)
-            FROM generated_questions gq
-            JOIN assessment_attempts aa2 ON gq.attempt_id = aa2.id
-            WHERE aa2.assessment_id = a.id AND aa2.id = aa.id) * 100)::numeric, 2)
-          ELSE 0 END AS percentage,
-        aa.completed_at AS date
-      FROM assessment_attempts aa
-      JOIN assessments a ON aa.assessment_id = a.id
-      WHERE aa.student_id = $1 
-        AND aa.completed_at IS NOT NULL
-        AND aa.status = 'completed'
-      GROUP BY a.id, a.title, aa.completed_at, aa.id, aa.score
-      ORDER BY aa.completed_at DESC
-    `;
-    const result = await db.query(query, [studentId]);
-    return result.rows;
+    const attempts = await getCountedAttempts({ studentId });
+    return attempts
+      .map(a => ({
+        id: a.assessment_id,
+        title: a.title,
+        obtained_score: a.score,
+        total_marks: a.total_marks,
+        percentage: a.percentage,
+        date: a.completed_at,
+        attempts_count: a.attempts_count,
+        grade_aggregation: a.grade_aggregation,
+      }))
+      .reverse();
   } catch (error) {
     console.error("❌ Error getting student assessments list:", error);
     throw error;
@@ -307,39 +219,24 @@ export const getStudentAssessmentsList = async (studentId) => {
 //No AI
 export const getAssessmentAnalytics = async (studentId, assessmentId) => {
   try {
-    const attempt = await db.query(`
-      SELECT 
-        aa.id as attempt_id,
-        EXTRACT(EPOCH FROM (aa.completed_at - aa.started_at)) as time_taken,
-        a.title as assessment_title,
-        a.created_at as assessment_created_at,
-        aa.score as student_score,
-        (SELECT COALESCE(SUM(gq.positive_marks), 0)
-         FROM generated_questions gq
-         WHERE gq.attempt_id = aa.id) AS total_marks,
-        CASE WHEN (SELECT COALESCE(SUM(gq.positive_marks), 0)
-          FROM generated_questions gq
-          WHERE gq.attempt_id = aa.id) > 0
-          THEN ROUND((aa.score / (SELECT COALESCE(SUM(gq.positive_marks), 0)
-            FROM generated_questions gq
-            WHERE gq.attempt_id = aa.id) * 100)::numeric, 2)
-          ELSE 0 END AS percentage
-      FROM assessment_attempts aa
-      JOIN assessments a ON aa.assessment_id = a.id
-      WHERE aa.student_id = $1 
-        AND aa.assessment_id = $2
-        AND aa.completed_at IS NOT NULL
-        AND aa.status = 'completed'
-      GROUP BY aa.id, a.title, a.created_at, aa.completed_at, aa.started_at, aa.score
-      ORDER BY aa.completed_at DESC
-      LIMIT 1
-    `, [studentId, assessmentId]);
-
-    if (attempt.rows.length === 0) {
+    const [counted] = await getCountedAttempts({ studentId, assessmentId });
+
+    if (!counted) {
       throw new Error('No completed attempt found for this assessment');
     }
 
-    const { attempt_id, time_taken, assessment_title, assessment_created_at, student_score, total_marks, percentage } = attempt.rows[0];
+    // Question-level stats come from the counted attempt (the latest one when averaging)
+    const {
+      attempt_id,
+      time_taken,
+      title: assessment_title,
+      assessment_created_at,
+      score: student_score,
+      total_marks,
+      percentage,
+      attempts_count,
+      grade_aggregation,
+    } = counted;
 
     // FIXED QUERY — HANDLES SHORT ANSWER JSONB + OTHER TYPES
     const questionStats = await db.query(`
@@ -347,7 +244,7 @@ export const getAssessmentAnalytics = async (studentId, assessmentId) => {
         COUNT(DISTINCT gq.id) as total_questions,
         SUM(CASE 
           WHEN sa.student_answer IS NULL THEN 0
-          WHEN gq.question_type = 'short_answer' THEN
+          WHEN gq.question_type IN ('short_answer', 'matching', 'essay', 'multiple_select', 'numeric') THEN
             CASE WHEN sa.score > 0 THEN 1 ELSE 0 END
           ELSE
             CASE WHEN TRIM(LOWER(REGEXP_REPLACE(sa.student_answer, '[^a-zA-Z0-9]', '', 'g'))) = 
@@ -356,7 +253,7 @@ export const getAssessmentAnalytics = async (studentId, assessmentId) => {
         END) as correct_answers,
         SUM(CASE 
           WHEN sa.student_answer IS NULL THEN 0
-          WHEN gq.question_type = 'short_answer' THEN
+          WHEN gq.question_type IN ('short_answer', 'matching', 'essay', 'multiple_select', 'numeric') THEN
             CASE WHEN sa.score <= 0 AND sa.student_answer IS NOT NULL THEN 1 ELSE 0 END
           ELSE
             CASE WHEN TRIM(LOWER(REGEXP_REPLACE(sa.student_answer, '[^a-zA-Z0-9]', '', 'g'))) != 
@@ -365,7 +262,7 @@ export const getAssessmentAnalytics = async (studentId, assessmentId) => {
         END) as incorrect_answers,
         SUM(CASE 
           WHEN sa.student_answer IS NULL THEN 0
-          WHEN gq.question_type = 'short_answer' THEN
+          WHEN gq.question_type IN ('short_answer', 'matching', 'essay', 'multiple_select', 'numeric') THEN
             CASE WHEN sa.score < 0 THEN ABS(sa.score) ELSE 0 END
           ELSE
             CASE WHEN TRIM(LOWER(REGEXP_REPLACE(sa.student_answer, '[^a-zA-Z0-9]', '', 'g'))) != 
@@ -381,6 +278,9 @@ export const getAssessmentAnalytics = async (studentId, assessmentId) => {
       SELECT 
         gq.question_type,
         gq.question_text,
+        gq.learning_objective,
+        gq.cognitive_level,
+        (SELECT ARRAY_AGG(qt.topic ORDER BY qt.topic) FROM question_topics qt WHERE qt.question_id = gq.id) AS topics,
         (sa.score::NUMERIC / NULLIF(gq.positive_marks, 0)) as performance,
         sa.score as scored_marks,
         gq.positive_marks
@@ -397,6 +297,10 @@ export const getAssessmentAnalytics = async (studentId, assessmentId) => {
       WHERE attempt_id = $1
     `, [attempt_id]);
 
+    const { objectives, cognitive_levels } = await getObjectiveBreakdown([attempt_id]);
+    const topics = await getTopicPerformance([attempt_id]);
+    const { weak, strong } = rankTopics(topics);
+
     return {
       assessment_title,
       assessment_created_at,
@@ -408,9 +312,15 @@ export const getAssessmentAnalytics = async (studentId, assessmentId) => {
       negative_marks_applied: questionStats.rows[0].negative_marks_applied || 0,
       total_marks: total_marks,
       student_score: student_score,
+      attempts_count,
+      grade_aggregation,
       student_answers: studentAnswers.rows,
       weak_questions: weak_questions.rows,
-      weak_areas: [],
+      objective_breakdown: objectives,
+      cognitive_level_breakdown: cognitive_levels,
+      topic_breakdown: topics,
+      weak_areas: weak,
+      strong_areas: strong,
       recommendations: { weak_areas: [], study_plan: { daily_practice: [], weekly_review: [] } }
     };
   } catch (error) {
@@ -426,22 +336,9 @@ export const getAssessmentAnalytics = async (studentId, assessmentId) => {
  */
 export const getLearningRecommendations = async (studentId) => {
   try {
-    const weakAreas = await db.query(`
-      SELECT 
-        gq.question_type,
-        COUNT(*) as question_count,
-        AVG(sa.score * 1.0 / gq.positive_marks) as average_performance
-      FROM student_answers sa
-      JOIN generated_questions gq ON sa.question_id = gq.id
-      JOIN assessment_attempts aa ON sa.attempt_id = aa.id
-      WHERE aa.student_id = $1 
-        AND aa.completed_at IS NOT NULL
-        AND sa.score IS NOT NULL
-        AND sa.score <= gq.positive_marks * 0.6
-      GROUP BY gq.question_type
-      ORDER BY average_performance ASC
-      LIMIT 5
-    `, [studentId]);
+    // Weak topics over the attempts that count, most certain first
+    const counted = await getCountedAttempts({ studentId });
+    const weakTopics = rankTopics(await getTopicPerformance(counted.map(a => a.attempt_id))).weak.slice(0, 5);
 
     let recommendations = {
       weak_areas: [],
@@ -449,19 +346,33 @@ export const getLearningRecommendations = async (studentId) => {
       next_assessments: await getRecommendedAssessments(studentId)
     };
 
-    if (weakAreas.rows.length === 0) {
+    if (weakTopics.length === 0) {
       return recommendations;
     }
 
-    const client = await getCreationModel();
-    const prompt = `You are an educational AI assistant. Generate learning recommendations for a student with the following weak areas: ${JSON.stringify(weakAreas.rows)}. Respond ONLY with a valid JSON object in this exact format: { "weak_areas": [{ "topic": "string", "performance": number, "suggestion": "string" }], "study_plan": { "daily_practice": [{ "topic": "string", "focus": "string", "time_allocation": "string" }], "weekly_review": [{ "topic": "string", "activity": "string", "goal": "string" }] } }. Ensure the JSON is parseable and matches the structure exactly.`;
+    const weakAreaSummary = weakTopics.map(topic => ({
+      topic: topic.topic,
+      average_score: topic.average_score,
+      questions: topic.questions,
+      confidence: topic.confidence
+    }));
+    const client = await getRecommendationModel();
+    const prompt = `You are an educational AI assistant. Generate learning recommendations for a student with the following weak topics (average_score is a percentage over the questions answered on that topic; confidence is low when only a few questions were seen, so suggest confirming those with practice rather than reteaching them): ${JSON.stringify(weakAreaSummary)}. Respond ONLY with a valid JSON object in this exact format: { "weak_areas": [{ "topic": "string", "performance": number, "suggestion": "string" }], "study_plan": { "daily_practice": [{ "topic": "string", "focus": "string", "time_allocation": "string" }], "weekly_review": [{ "topic": "string", "activity": "string", "goal": "string" }] } }. Use the topic names exactly as given. Ensure the JSON is parseable and matches the structure exactly.`;
     let responseText = await generateContent(client, prompt, {
-      generationConfig: { maxOutputTokens: 1000, temperature: 0.5, response_mime_type: 'application/json' },
+      temperature: 0.5,
+      responseMimeType: 'application/json',
       thinkingConfig: { thinkingBudget: 0 },
+      context: { userId: studentId },
     });
 
     responseText = responseText.replace(/^```json\n/, '').replace(/\n```$/, '').trim();
 
+    // Keep the measured sample size and confidence next to whatever the model wrote
+    const withConfidence = (area) => {
+      const measured = weakTopics.find(topic => topic.topic.toLowerCase() === String(area.topic).toLowerCase());
+      return measured ? { ...area, questions: measured.questions, confidence: measured.confidence } : area;
+    };
+
     try {
       const aiRecommendations = JSON.parse(responseText);
       if (!aiRecommendations.weak_areas || !Array.isArray(aiRecommendations.weak_areas) ||
@@ -470,7 +381,7 @@ export const getLearningRecommendations = async (studentId) => {
         throw new Error('Invalid AI response structure');
       }
       recommendations = {
-        weak_areas: aiRecommendations.weak_areas,
+        weak_areas: aiRecommendations.weak_areas.map(withConfidence),
         study_plan: aiRecommendations.study_plan,
         next_assessments: await getRecommendedAssessments(studentId)
       };
@@ -478,17 +389,16 @@ export const getLearningRecommendations = async (studentId) => {
       console.error("❌ AI recommendation parsing error:", parseError);
       console.log("Debug: Raw response text:", responseText);
       console.log("Falling back to default recommendations");
+      const weakAreas = weakTopics.map(topic => ({
+        topic: topic.topic,
+        performance: topic.average_score,
+        questions: topic.questions,
+        confidence: topic.confidence,
+        suggestion: getSuggestionForTopic(topic)
+      }));
       recommendations = {
-        weak_areas: weakAreas.rows.map(area => ({
-          topic: area.question_type || 'General',
-          performance: Math.round(area.average_performance * 100),
-          suggestion: getSuggestionForArea(area.question_type, 'medium')
-        })),
-        study_plan: generateStudyPlan(weakAreas.rows.map(area => ({
-          topic: area.question_type || 'General',
-          performance: Math.round(area.average_performance * 100),
-          suggestion: getSuggestionForArea(area.question_type, 'medium')
-        }))),
+        weak_areas: weakAreas,
+        study_plan: generateStudyPlan(weakAreas),
         next_assessments: await getRecommendedAssessments(studentId)
       };
     }
@@ -501,43 +411,15 @@ export const getLearningRecommendations = async (studentId) => {
 };
 
 /**
- * Get suggestion for weak area (fallback if AI fails)
+ * Get suggestion for a weak topic (fallback if AI fails)
  */
-const getSuggestionForArea = (questionType, difficulty) => {
-  const suggestions = {
-    multiple_choice: {
-      easy: "Practice basic concepts and eliminate obvious wrong answers",
-      medium: "Focus on understanding key concepts and common distractors",
-      hard: "Deep dive into complex scenarios and edge cases"
-    },
-    true_false: {
-      easy: "Review fundamental facts and definitions",
-      medium: "Practice identifying subtle nuances in statements",
-      hard: "Focus on complex logical reasoning"
-    },
-    short_answer: {
-      easy: "Practice concise writing and key term identification",
-      medium: "Work on structured responses and evidence-based answers",
-      hard: "Develop analytical thinking and comprehensive explanations"
-    },
-    essay: {
-      easy: "Practice basic essay structure and organization",
-      medium: "Focus on argument development and evidence integration",
-      hard: "Work on critical analysis and synthesis of complex ideas"
-    },
-    match_the_column: {
-      easy: "Practice matching basic terms and definitions",
-      medium: "Focus on understanding relationships between concepts",
-      hard: "Work on complex matching with multiple possibilities"
-    },
-    general: {
-      easy: "Review basic concepts and practice simple questions",
-      medium: "Focus on core principles and standard problems",
-      hard: "Explore advanced topics and challenging scenarios"
-    }
-  };
-
-  return suggestions[questionType?.toLowerCase()]?.[difficulty] || suggestions.general[difficulty] || "Practice more questions in this area";
+const getSuggestionForTopic = (topic) => {
+  if (topic.confidence === "low") {
+    return `Only ${topic.questions} question${topic.questions === 1 ? "" : "s"} on ${topic.topic} so far: try a few more practice questions to confirm whether it needs work`;
+  }
+  return topic.average_score < 30
+    ? `Go back over ${topic.topic} in the course material before practising, starting with the core definitions`
+    : `Review ${topic.topic} and practise questions on it until you score above 80%`;
 };
 
 /**
@@ -602,18 +484,11 @@ const getRecommendedAssessments = async (studentId) => {
 //No AI
 export const getAssessmentQuestions = async (studentId, assessmentId) => {
   try {
-    const attemptQuery = `
-      SELECT id as attempt_id
-      FROM assessment_attempts
-      WHERE student_id = $1 AND assessment_id = $2 AND completed_at IS NOT NULL AND status = 'completed'
-      ORDER BY completed_at DESC
-      LIMIT 1
-    `;
-    const attemptRes = await db.query(attemptQuery, [studentId, assessmentId]);
-    if (attemptRes.rows.length === 0) {
+    const [counted] = await getCountedAttempts({ studentId, assessmentId });
+    if (!counted) {
       throw new Error('No completed attempt found for this assessment');
     }
-    const attemptId = attemptRes.rows[0].attempt_id;
+    const attemptId = counted.attempt_id;
 
     const questionsQuery = `
       SELECT 
@@ -627,7 +502,10 @@ export const getAssessmentQuestions = async (studentId, assessmentId) => {
         sa.student_answer,
         sa.score,
         sa.is_correct,
-        gq.negative_marks
+        sa.grading_rationale,
+        gq.negative_marks,
+        gq.learning_objective,
+        gq.cognitive_level
       FROM generated_questions gq
       LEFT JOIN student_answers sa ON sa.question_id = gq.id AND sa.attempt_id = $1
       WHERE gq.attempt_id = $1
@@ -638,16 +516,24 @@ export const getAssessmentQuestions = async (studentId, assessmentId) => {
    return questionsRes.rows.map(q => {
   let expected = "";
   if (q.question_type === 'short_answer' && typeof q.correct_answer === 'object') {
-    expected = q.correct_answer.required_keywords?.[0] || "";
+    const first = q.correct_answer.required_keywords?.[0];
+    expected = (typeof first === 'object' ? first?.keyword : first) || "";
   } else {
     expected = String(q.correct_answer).trim().toLowerCase();
   }
 
   const student = String(q.student_answer || "").trim().toLowerCase();
 
-  const isCorrect = student === expected;
+  // Partial-credit and numeric types cannot be string compared, so their stored score is the grade
+  const usesStoredScore = STORED_SCORE_TYPES.includes(q.question_type);
+
+  const isCorrect = usesStoredScore
+    ? q.score !== null && Number(q.score) >= Number(q.positive_marks)
+    : student === expected;
 
-  const score = isCorrect ? q.positive_marks : (q.student_answer ? -q.negative_marks : 0);
+  const score = usesStoredScore
+    ? Number(q.score || 0)
+    : (isCorrect ? q.positive_marks : (q.student_answer ? -q.negative_marks : 0));
 
   return {
     question_id: q.id,
@@ -660,7 +546,10 @@ export const getAssessmentQuestions = async (studentId, assessmentId) => {
     student_answer: q.student_answer,
     score: score,
     is_correct: isCorrect,
-    negative_marks: q.negative_marks
+    rationale: q.grading_rationale,
+    negative_marks: q.negative_marks,
+    learning_objective: q.learning_objective,
+    cognitive_level: q.cognitive_level
   };
 });
   } catch (error) {
@@ -402,4 +402,37 @@ export const getUserStats = async () => {
     console.error("❌ Error getting user stats:", error.message);
     throw error;
   }
-};
\ No newline at end of file
+};
+/**
+ * Update a user's notification preferences
+ */
+export const updateUserPreferences = async (userId, { reminder_opt_out }) => {
+  try {
+    const query = `
+      UPDATE users 
+      SET reminder_opt_out = $1, updated_at = NOW() 
+      WHERE id = $2 
+      RETURNING id, name, email, role, reminder_opt_out
+    `;
+    const result = await pool.query(query, [reminder_opt_out, userId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("❌ Error updating user preferences:", error.message);
+    throw error;
+  }
+};
+
+/**
+ * Add columns the users table needs for newer features
+ */
+export const init = async () => {
+  try {
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS reminder_opt_out BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+  } catch (error) {
+    console.error("❌ Error updating users table:", error.message);
+    throw error;
+  }
+};
@@ -0,0 +1,50 @@
+import express from "express";
+import {
+  listReminders,
+  getLlmStatsReport,
+  getLlmUsageReport,
+  updateInstructorQuota,
+  updateInstitutionQuota,
+} from "../controllers/adminController.js";
+import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(protect, authorizeRoles(["admin", "super_admin"]));
+
+/**
+ * @route   GET /api/admin/reminders
+ * @desc    List scheduled, sent and failed assessment reminders
+ * @access  Private (Admin, Super Admin)
+ */
+router.get("/reminders", listReminders);
+
+/**
+ * @route   GET /api/admin/llm/stats
+ * @desc    LLM call, failure and token counters with circuit breaker and key cooldown state
+ * @access  Private (Admin, Super Admin)
+ */
+router.get("/llm/stats", getLlmStatsReport);
+
+/**
+ * @route   GET /api/admin/llm/usage
+ * @desc    Monthly LLM calls and tokens by task, instructor and institution (?month=YYYY-MM)
+ * @access  Private (Admin, Super Admin)
+ */
+router.get("/llm/usage", getLlmUsageReport);
+
+/**
+ * @route   PUT /api/admin/llm/quotas/instructors/:instructorId
+ * @desc    Set an instructor's monthly token quota and/or institution
+ * @access  Private (Admin, Super Admin)
+ */
+router.put("/llm/quotas/instructors/:instructorId", updateInstructorQuota);
+
+/**
+ * @route   PUT /api/admin/llm/quotas/institutions/:institution
+ * @desc    Set an institution's monthly token quota
+ * @access  Private (Admin, Super Admin)
+ */
+router.put("/llm/quotas/institutions/:institution", updateInstitutionQuota);
+
+export default router;
@@ -0,0 +1,48 @@
+import express from "express";
+import {
+  fileAppeal,
+  listMyAppeals,
+  listAssessmentAppeals,
+  acceptAppeal,
+  rejectAppeal,
+} from "../controllers/gradeAppealController.js";
+import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/appeals
+ * @desc    Appeal the grade of one answer
+ * @access  Private (Student)
+ */
+router.post("/", protect, authorizeRoles(["student"]), fileAppeal);
+
+/**
+ * @route   GET /api/appeals/mine
+ * @desc    List the student's own appeals
+ * @access  Private (Student)
+ */
+router.get("/mine", protect, authorizeRoles(["student"]), listMyAppeals);
+
+/**
+ * @route   GET /api/appeals/assessment/:assessmentId
+ * @desc    Appeal queue for an assessment (?status=pending|accepted|rejected|all)
+ * @access  Private (Instructor)
+ */
+router.get("/assessment/:assessmentId", protect, authorizeRoles(["instructor"]), listAssessmentAppeals);
+
+/**
+ * @route   POST /api/appeals/:appealId/accept
+ * @desc    Accept an appeal and regrade the answer
+ * @access  Private (Instructor)
+ */
+router.post("/:appealId/accept", protect, authorizeRoles(["instructor"]), acceptAppeal);
+
+/**
+ * @route   POST /api/appeals/:appealId/reject
+ * @desc    Reject an appeal with a reply
+ * @access  Private (Instructor)
+ */
+router.post("/:appealId/reject", protect, authorizeRoles(["instructor"]), rejectAppeal);
+
+export default router;
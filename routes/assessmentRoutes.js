@@ -17,8 +17,22 @@ import {
   enrollStudentController,
   unenrollStudentController,
   getEnrolledStudentsController,
-  updateAssessmentData
+  updateAssessmentData,
+  parseAssessmentSettings,
+  validateQuestionBlocks,
 } from '../controllers/assessmentController.js';
+import {
+  listBankQuestions,
+  generateBankQuestions,
+  editBankQuestion,
+  approveBankQuestion,
+  rejectBankQuestion,
+  reorderBank,
+  publishAssessment,
+  unpublishAssessment,
+  getQuestionPool,
+} from '../controllers/questionBankController.js';
+import { requestPoolRefill } from '../services/questionPoolWorker.js';
 
 const router = express.Router();
 
@@ -91,18 +105,14 @@ const createAssessmentHandler = async (req, res) => {
     if (title && !title.trim()) return res.status(400).json({ success: false, message: 'Title must be valid' });
 
     // Validate question blocks
-    if (question_blocks.length > 0) {
-      for (const b of question_blocks) {
-        if (b.question_count < 1) return res.status(400).json({ success: false, message: 'Question count ≥ 1' });
-        if (b.duration_per_question < 30) return res.status(400).json({ success: false, message: 'Duration ≥ 30s' });
-        if (b.question_type === 'multiple_choice' && b.num_options < 2) return res.status(400).json({ success: false, message: 'MCQ needs ≥ 2 options' });
-        if (b.question_type === 'matching' && (b.num_first_side < 2 || b.num_second_side < 2)) {
-          return res.status(400).json({ success: false, message: 'Matching needs ≥ 2 per side' });
-        }
-      }
-    }
+    const blockError = validateQuestionBlocks(question_blocks);
+    if (blockError) return res.status(400).json({ success: false, message: blockError });
+
+    const { settings, error: settingsError } = parseAssessmentSettings(req.body);
+    if (settingsError) return res.status(400).json({ success: false, message: settingsError });
 
     const assessmentData = {
+      ...settings,
       title: title?.trim() || null,
       prompt: prompt.trim(),
       external_links: externalLinks.filter(l => l?.trim()),
@@ -206,7 +216,21 @@ router.delete('/:id/enroll/:studentId', protect, authorizeRoles('instructor', 'a
 router.get('/:id/enrolled-students', protect, authorizeRoles('instructor', 'admin', 'super_admin'), getEnrolledStudentsController);
 router.put('/:id/clear-links', protect, authorizeRoles('instructor', 'admin', 'super_admin'), async (req, res) => {
   const assessment = await clearLinksForAssessment(req.params.id);
+  requestPoolRefill();
   res.json({ success: true, data: assessment });
 });
 
+// QUESTION BANK (review before publish)
+router.get('/:id/questions', protect, authorizeRoles('instructor', 'admin', 'super_admin'), listBankQuestions);
+router.post('/:id/questions/generate', protect, authorizeRoles('instructor', 'admin', 'super_admin'), generateBankQuestions);
+router.put('/:id/questions/reorder', protect, authorizeRoles('instructor', 'admin', 'super_admin'), reorderBank);
+router.put('/:id/questions/:questionId', protect, authorizeRoles('instructor', 'admin', 'super_admin'), editBankQuestion);
+router.post('/:id/questions/:questionId/approve', protect, authorizeRoles('instructor', 'admin', 'super_admin'), approveBankQuestion);
+router.post('/:id/questions/:questionId/reject', protect, authorizeRoles('instructor', 'admin', 'super_admin'), rejectBankQuestion);
+router.post('/:id/publish', protect, authorizeRoles('instructor', 'admin', 'super_admin'), publishAssessment);
+router.post('/:id/unpublish', protect, authorizeRoles('instructor', 'admin', 'super_admin'), unpublishAssessment);
+
+// PRE-GENERATED QUESTION POOL (live assessments)
+router.get('/:id/question-pool', protect, authorizeRoles('instructor', 'admin', 'super_admin'), getQuestionPool);
+
 export default router;
\ No newline at end of file
@@ -10,6 +10,7 @@ import {
   removeUser,
   registerStudent,
   changePassword,
+  updatePreferences,
 } from "../controllers/authController.js";
 import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
 import verifyCaptcha from "../middleware/verifyCaptcha.js";
@@ -30,6 +31,8 @@ router.post("/change-password", changePassword);
 // Protected routes
 router.use(protect);
 
+router.put("/preferences", updatePreferences);
+
 router.post("/register-student", authorizeRoles("admin", "instructor", "super_admin"), registerStudent);
 router.get("/users", authorizeRoles("admin", "super_admin"), getUsers);
 router.put("/change-role", authorizeRoles("admin", "super_admin"), changeUserRole);
@@ -2,7 +2,13 @@ import express from "express";
 import {
   getInstructorExecutedAssessments,
   getAssessmentStudents,
-  getStudentAttemptQuestions
+  getStudentAttemptQuestions,
+  overrideStudentAnswerScore,
+  getStudentGradeHistory,
+  previewRegrade,
+  applyRegrade,
+  getDifficultyFairnessReport,
+  getObjectiveAnalytics
 } from "../controllers/InstructorAssessmentAnalyticsController.js";
 import { protect } from "../middleware/authMiddleware.js";
 
@@ -29,4 +35,46 @@ router.get("/assessment/:id/students", protect, getAssessmentStudents);
  */
 router.get("/assessment/:id/student/:studentId/questions", protect, getStudentAttemptQuestions);
 
+/**
+ * @route PUT /api/instructor-analytics/assessment/:id/questions/:questionId/score
+ * @desc Override the score of one answer (with a comment) and recompute the attempt total
+ * @access Private (Instructor)
+ */
+router.put("/assessment/:id/questions/:questionId/score", protect, overrideStudentAnswerScore);
+
+/**
+ * @route GET /api/instructor-analytics/assessment/:id/student/:studentId/grade-history
+ * @desc Get the history of grade changes for a student's attempts
+ * @access Private (Instructor)
+ */
+router.get("/assessment/:id/student/:studentId/grade-history", protect, getStudentGradeHistory);
+
+/**
+ * @route POST /api/instructor-analytics/assessment/:id/regrade/preview
+ * @desc Show per-student score deltas for a corrected answer key without saving
+ * @access Private (Instructor)
+ */
+router.post("/assessment/:id/regrade/preview", protect, previewRegrade);
+
+/**
+ * @route POST /api/instructor-analytics/assessment/:id/regrade
+ * @desc Correct the answer key of a question (by id or text) and regrade completed attempts
+ * @access Private (Instructor)
+ */
+router.post("/assessment/:id/regrade", protect, applyRegrade);
+
+/**
+ * @route GET /api/instructor-analytics/assessment/:id/fairness
+ * @desc Difficulty mix of every attempt, outliers and each block's observed mix against its target
+ * @access Private (Instructor)
+ */
+router.get("/assessment/:id/fairness", protect, getDifficultyFairnessReport);
+
+/**
+ * @route GET /api/instructor-analytics/assessment/:id/objectives
+ * @desc Class performance per learning objective and Bloom's cognitive level
+ * @access Private (Instructor)
+ */
+router.get("/assessment/:id/objectives", protect, getObjectiveAnalytics);
+
 export default router;
\ No newline at end of file
@@ -3,6 +3,8 @@ import { protect, authorizeRoles } from "../middleware/authMiddleware.js";
 import {
   startAssessmentForStudent,
   submitAssessmentForStudent,
+  autosaveAnswersForStudent,
+  resumeAssessmentForStudent,
   getSubmissionDetailsForStudent,
   getAssessmentForInstructorPrint,
 } from "../controllers/takingController.js";
@@ -14,6 +16,8 @@ const router = express.Router();
 router.get("/assessments", protect, authorizeRoles(["student"]), getStudentAssessmentsList);
 router.post("/assessments/:assessmentId/start", protect, authorizeRoles(["student"]), startAssessmentForStudent);
 router.post("/assessments/:assessmentId/submit", protect, authorizeRoles(["student"]), submitAssessmentForStudent);
+router.post("/assessments/:assessmentId/autosave", protect, authorizeRoles(["student"]), autosaveAnswersForStudent);
+router.get("/assessments/:assessmentId/resume", protect, authorizeRoles(["student"]), resumeAssessmentForStudent);
 router.get("/submissions/:submissionId", protect, authorizeRoles(["student", "instructor", "admin", "super_admin"]), getSubmissionDetailsForStudent);
 
 // Instructor print data (student cannot access)
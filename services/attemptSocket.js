@@ -0,0 +1,82 @@
+import { getUserFromToken } from "../middleware/authMiddleware.js";
+import { saveAttemptAnswers } from "../models/attemptModel.js";
+
+/**
+ * Attempt Socket Handlers
+ * Lets students autosave answers over the existing Socket.IO connection and receive
+ * questions of a streamed attempt start in their own room
+ */
+
+/**
+ * Room that receives a student's attempt events
+ * @param {number} studentId
+ */
+export const studentRoom = (studentId) => `student:${studentId}`;
+
+/**
+ * Send an event to every socket a student has joined to their room
+ * @param {import("socket.io").Server} io
+ */
+export const emitToStudent = (io, studentId, event, payload) => {
+  io?.to(studentRoom(studentId)).emit(event, payload);
+};
+
+// Authenticate once per socket; later events reuse the resolved user
+const getSocketUser = async (socket, token) => {
+  if (socket.data.user) return socket.data.user;
+  const user = await getUserFromToken(token || socket.handshake.auth?.token);
+  socket.data.user = user;
+  return user;
+};
+
+/**
+ * Register attempt events for a connected socket.
+ *
+ * Event "join-student-room": { token? } — joins the student's room for streamed attempt starts
+ * Event "autosave-answers": { token?, assessmentId, attemptId, answers: [{questionId, answer}] }
+ * Both are acknowledged with the same { success, message, data } shape as the REST endpoints.
+ */
+export const registerAttemptSocketHandlers = (socket) => {
+  socket.on("join-student-room", async (payload = {}, ack = () => {}) => {
+    let user;
+    try {
+      user = await getSocketUser(socket, payload.token);
+    } catch (error) {
+      return ack({ success: false, message: `Unauthorized: ${error.message}` });
+    }
+    if (user.role !== "student") {
+      return ack({ success: false, message: "Access denied: Insufficient permissions" });
+    }
+
+    socket.join(studentRoom(user.id));
+    ack({ success: true, message: "Joined student room", data: { room: studentRoom(user.id) } });
+  });
+
+  socket.on("autosave-answers", async (payload = {}, ack = () => {}) => {
+    try {
+      let user;
+      try {
+        user = await getSocketUser(socket, payload.token);
+      } catch (error) {
+        return ack({ success: false, message: `Unauthorized: ${error.message}` });
+      }
+      if (user.role !== "student") {
+        return ack({ success: false, message: "Access denied: Insufficient permissions" });
+      }
+
+      const { assessmentId, attemptId, answers } = payload;
+      if (!assessmentId || !attemptId || !Array.isArray(answers)) {
+        return ack({ success: false, message: "assessmentId, attemptId and an answers array are required" });
+      }
+
+      const result = await saveAttemptAnswers(parseInt(attemptId), user.id, parseInt(assessmentId), answers);
+      if (!result) {
+        return ack({ success: false, message: "Attempt is not in progress or its time is up" });
+      }
+      ack({ success: true, message: "Answers saved", data: result });
+    } catch (error) {
+      console.error("❌ Socket autosave error:", error.message);
+      ack({ success: false, message: "Failed to save answers" });
+    }
+  });
+};
@@ -0,0 +1,51 @@
+import {
+  autoSubmitClosedWindowAttempts,
+  autoSubmitExpiredAttempts,
+  discardStalledGenerations,
+} from "../models/attemptModel.js";
+
+/**
+ * Attempt Sweeper
+ * Periodically closes attempts that the server should finish on the student's behalf
+ */
+
+let sweepTimer = null;
+let sweeping = false;
+
+export const sweepAttempts = async () => {
+  // Skip a tick if the previous sweep is still running
+  if (sweeping) return;
+  sweeping = true;
+  try {
+    const expired = await autoSubmitExpiredAttempts();
+    if (expired > 0) {
+      console.log(`⏰ Auto-submitted ${expired} attempts after their time ran out`);
+    }
+    const closed = await autoSubmitClosedWindowAttempts();
+    if (closed > 0) {
+      console.log(`⏰ Auto-submitted ${closed} attempts after their assessment window closed`);
+    }
+    const stalled = await discardStalledGenerations();
+    if (stalled.discarded > 0) {
+      console.log(`🧹 Discarded ${stalled.discarded} attempts whose question generation never finished`);
+    }
+    if (stalled.failed > 0) {
+      console.log(`🧹 Marked generation failed for ${stalled.failed} partly generated attempts`);
+    }
+  } catch (error) {
+    console.error("❌ Attempt sweep failed:", error.message);
+  } finally {
+    sweeping = false;
+  }
+};
+
+export const startAttemptSweeper = (intervalMs = 60 * 1000) => {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweepAttempts, intervalMs);
+  sweepAttempts();
+};
+
+export const stopAttemptSweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
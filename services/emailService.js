@@ -12,6 +12,31 @@ const transporter = nodemailer.createTransport({
   },
 });
 
+/**
+ * Format a due date for emails in the assessment's timezone
+ */
+const formatDueDate = (dueDate, timeZone = "UTC") => {
+  if (!dueDate) return "No due date";
+  return new Date(dueDate).toLocaleString("en-US", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: timeZone || "UTC",
+    timeZoneName: "short",
+  });
+};
+
+// User-written text (appeal reasons, replies) goes into HTML emails
+const escapeHtml = (text = "") =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
 /**
  * Send email with template support
  */
@@ -333,7 +358,7 @@ export const sendRoleChangeEmail = async (email, name, oldRole, newRole) => {
 /**
  * Send assessment enrollment email to students
  */
-export const sendAssessmentEnrollmentEmail = async (email, name, assessmentTitle, dueDate) => {
+export const sendAssessmentEnrollmentEmail = async (email, name, assessmentTitle, dueDate, timeZone) => {
   const baseUrl = process.env.FRONTEND_URL || "https://gradewiseai.techmiresolutions.com";
   const dashboardUrl = `${baseUrl}/student/dashboard`;
 
@@ -366,14 +391,7 @@ export const sendAssessmentEnrollmentEmail = async (email, name, assessmentTitle
           
           <div class="assessment-info">
             <h3>${assessmentTitle}</h3>
-            <p><strong>Due Date:</strong> ${new Date(dueDate).toLocaleDateString("en-US", {
-              weekday: "long",
-              year: "numeric",
-              month: "long",
-              day: "numeric",
-              hour: "2-digit",
-              minute: "2-digit",
-            })}</p>
+            <p><strong>Due Date:</strong> ${formatDueDate(dueDate, timeZone)}</p>
           </div>
           
           <p>You can access this assessment from your student dashboard. Make sure to complete it before the due date!</p>
@@ -408,7 +426,7 @@ export const sendAssessmentEnrollmentEmail = async (email, name, assessmentTitle
 /**
  * Send assessment reminder email
  */
-export const sendAssessmentReminderEmail = async (email, name, assessmentTitle, dueDate, hoursRemaining) => {
+export const sendAssessmentReminderEmail = async (email, name, assessmentTitle, dueDate, hoursRemaining, timeZone) => {
   const baseUrl = process.env.FRONTEND_URL || "https://gradewiseai.techmiresolutions.com";
   const dashboardUrl = `${baseUrl}/dashboard`;
 
@@ -441,14 +459,7 @@ export const sendAssessmentReminderEmail = async (email, name, assessmentTitle,
           
           <div class="urgent">
             <h3>${assessmentTitle}</h3>
-            <p><strong>Due:</strong> ${new Date(dueDate).toLocaleDateString("en-US", {
-              weekday: "long",
-              year: "numeric",
-              month: "long",
-              day: "numeric",
-              hour: "2-digit",
-              minute: "2-digit",
-            })}</p>
+            <p><strong>Due:</strong> ${formatDueDate(dueDate, timeZone)}</p>
             <p><strong>Time Remaining:</strong> ${hoursRemaining} hours</p>
           </div>
           
@@ -481,6 +492,124 @@ export const sendAssessmentReminderEmail = async (email, name, assessmentTitle,
   return await sendEmail(email, subject, htmlContent);
 };
 
+/**
+ * Notify an instructor that a student appealed a grade
+ */
+export const sendGradeAppealSubmittedEmail = async (email, name, studentName, assessmentTitle, questionNumber, reason) => {
+  const baseUrl = process.env.FRONTEND_URL || "https://gradewiseai.techmiresolutions.com";
+  const dashboardUrl = `${baseUrl}/instructor/dashboard`;
+
+  const subject = `Grade Appeal: ${assessmentTitle}`;
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>New Grade Appeal</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #8b5cf6; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { background: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+        .button { display: inline-block; background: #8b5cf6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+        .appeal-info { background: white; padding: 20px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #8b5cf6; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>📨 New Grade Appeal</h1>
+        </div>
+        <div class="content">
+          <h2>Hi ${name},</h2>
+          <p>${studentName} has appealed the grade for one of their answers.</p>
+          
+          <div class="appeal-info">
+            <h3>${assessmentTitle}</h3>
+            <p><strong>Question:</strong> ${questionNumber}</p>
+            <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+          </div>
+          
+          <p>You can review the answer and accept or reject the appeal from your dashboard.</p>
+          
+          <div style="text-align: center;">
+            <a href="${dashboardUrl}" class="button">Review Appeals</a>
+          </div>
+          
+          <p>Best regards,<br>The Gradewise AI Team</p>
+        </div>
+        <div class="footer">
+          <p>© 2025 Gradewise AI. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return await sendEmail(email, subject, htmlContent);
+};
+
+/**
+ * Tell a student how their grade appeal was resolved
+ */
+export const sendGradeAppealResolvedEmail = async (email, name, assessmentTitle, questionNumber, accepted, reply, newScore) => {
+  const baseUrl = process.env.FRONTEND_URL || "https://gradewiseai.techmiresolutions.com";
+  const dashboardUrl = `${baseUrl}/student/dashboard`;
+  const color = accepted ? "#10b981" : "#ef4444";
+
+  const subject = `Grade Appeal ${accepted ? "Accepted" : "Rejected"}: ${assessmentTitle}`;
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Grade Appeal Update</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: ${color}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { background: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+        .button { display: inline-block; background: ${color}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 14px; }
+        .appeal-info { background: white; padding: 20px; border-radius: 6px; margin: 20px 0; border-left: 4px solid ${color}; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${accepted ? "✅ Appeal Accepted" : "❌ Appeal Rejected"}</h1>
+        </div>
+        <div class="content">
+          <h2>Hi ${name},</h2>
+          <p>Your instructor has reviewed your grade appeal.</p>
+          
+          <div class="appeal-info">
+            <h3>${assessmentTitle}</h3>
+            <p><strong>Question:</strong> ${questionNumber}</p>
+            ${accepted && newScore !== null && newScore !== undefined ? `<p><strong>New Score:</strong> ${newScore}</p>` : ""}
+            ${reply ? `<p><strong>Instructor's Reply:</strong> ${escapeHtml(reply)}</p>` : ""}
+          </div>
+          
+          <div style="text-align: center;">
+            <a href="${dashboardUrl}" class="button">View Submission</a>
+          </div>
+          
+          <p>Best regards,<br>The Gradewise AI Team</p>
+        </div>
+        <div class="footer">
+          <p>© 2025 Gradewise AI. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return await sendEmail(email, subject, htmlContent);
+};
+
 /**
  * Test email configuration
  */
@@ -1,7 +1,22 @@
-import { GoogleGenAI } from "@google/genai";
+import { getTaskConfig, getRetryPolicy, LLM_TASKS } from "./llmConfig.js";
+import { createGeminiClient, createOpenAICompatibleClient, createStubClient } from "./llmProviders.js";
+import { createKeyPool } from "./llmKeyPool.js";
+import { recordLlmUsage } from "../models/llmUsageModel.js";
+
+/* =========================
+   PROVIDER SELECTION
+   Each task (creation, checking, recommendations) gets its provider, model, token limit
+   and timeout from llmConfig. Gemini tasks use the Google API keys below.
+========================= */
+
+const stubTasks = LLM_TASKS.filter(task => getTaskConfig(task).provider === "stub");
+if (stubTasks.length > 0) {
+  console.warn(`🧪 Stub LLM provider for ${stubTasks.join(", ")}: AI features return canned fixture responses`);
+}
 
 /* =========================
    CREATION KEYS (MULTI-PROJECT)
+   Shared by Gemini creation and recommendations
 ========================= */
 
 const CREATION_KEYS = [
@@ -9,62 +24,61 @@ const CREATION_KEYS = [
   process.env.GEMINI_CREATION_API_KEY_2,
 ].filter(Boolean);
 
-if (CREATION_KEYS.length === 0) {
-  throw new Error("❌ No GEMINI_CREATION_API_KEYs found in .env");
-}
-
-let creationClients = [];
-let activeCreationIndex = 0;
+const usesCreationKeys = (task) => task === "creation" || task === "recommendations";
 
 /* =========================
-   CHECKING KEY (SINGLE)
+   API KEYS FOR A TASK
 ========================= */
 
-let checkingClient = null;
+function getTaskKeys(config) {
+  if (config.provider === "stub") return [null];
+  if (config.provider === "openai") return [config.apiKey];
 
-/* =========================
-   INITIALIZE CREATION CLIENTS
-========================= */
-
-function initCreationClients() {
-  if (creationClients.length === 0) {
-    creationClients = CREATION_KEYS.map(
-      (key) => new GoogleGenAI({ apiKey: key })
-    );
+  if (usesCreationKeys(config.task)) {
+    if (CREATION_KEYS.length === 0) {
+      throw new Error("❌ No GEMINI_CREATION_API_KEYs found in .env");
+    }
+    return CREATION_KEYS;
   }
-}
 
-/* =========================
-   GET ACTIVE CREATION CLIENT
-========================= */
+  const key = process.env.GEMINI_CHECKING_API_KEY;
+  if (!key) throw new Error("❌ Missing GEMINI_CHECKING_API_KEY");
+  return [key];
+}
 
-export const getCreationModel = async () => {
-  initCreationClients();
-  return creationClients[activeCreationIndex];
+const createProviderClient = (config, key) => {
+  if (config.provider === "stub") return createStubClient(config);
+  if (config.provider === "openai") return createOpenAICompatibleClient(config);
+  return createGeminiClient(config, key);
 };
 
 /* =========================
-   ROTATE KEY ON QUOTA EXCEEDED
+   KEY POOL PER TASK
 ========================= */
 
-function rotateCreationKey() {
-  activeCreationIndex = (activeCreationIndex + 1) % creationClients.length;
-  console.warn(`🔄 Switched Gemini creation key → index ${activeCreationIndex}`);
-}
+const pools = {};
 
-/* =========================
-   CHECKING MODEL
-========================= */
-
-export const getCheckingModel = async () => {
-  if (!checkingClient) {
-    const key = process.env.GEMINI_CHECKING_API_KEY;
-    if (!key) throw new Error("❌ Missing GEMINI_CHECKING_API_KEY");
-    checkingClient = new GoogleGenAI({ apiKey: key });
+function getPool(task) {
+  if (!pools[task]) {
+    const config = getTaskConfig(task);
+    const keys = getTaskKeys(config).map(key => ({ key, client: createProviderClient(config, key) }));
+    pools[task] = createKeyPool(config, keys, getRetryPolicy());
   }
-  return checkingClient;
+  return pools[task];
+}
+
+// The "model" handed to callers is the task's settings; generateContent picks the key
+const getTaskModel = async (task) => {
+  getPool(task);
+  return getTaskConfig(task);
 };
 
+export const getCreationModel = async () => getTaskModel("creation");
+
+export const getCheckingModel = async () => getTaskModel("checking");
+
+export const getRecommendationModel = async () => getTaskModel("recommendations");
+
 /* =========================
    LANGUAGE MAP
 ========================= */
@@ -79,43 +93,124 @@ export const mapLanguageCode = (lang) => {
   return map[lang] || "English";
 };
 
+/* =========================
+   FAILURE CLASSIFICATION
+========================= */
+
+const TRANSIENT_CODES = ["ECONNABORTED", "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ENOTFOUND", "EAI_AGAIN"];
+
+const classifyFailure = (error) => {
+  const status = Number(error.status) || 0;
+  const message = String(error.message || "");
+  const rateLimited = status === 429 || message.includes("RESOURCE_EXHAUSTED") || /\b429\b/.test(message);
+  const transient = !rateLimited && (
+    status >= 500
+    || TRANSIENT_CODES.includes(error.code)
+    || /timed out|UNAVAILABLE|fetch failed|socket hang up|^Empty \w+ response/i.test(message)
+  );
+  return { rateLimited, transient };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter
+const backoffDelay = (attempt, policy) =>
+  Math.round(Math.random() * Math.min(policy.backoffBaseMs * 2 ** attempt, policy.backoffMaxMs));
+
+// Ledger writes never hold up or fail the call they describe
+const logUsage = (client, context, startedAt, result) => {
+  recordLlmUsage({
+    task: client.task,
+    provider: client.provider,
+    model: client.model,
+    context,
+    latencyMs: Date.now() - startedAt,
+    ...result,
+  }).catch(error => console.error("❌ Failed to record LLM usage:", error.message));
+};
+
 /* =========================
    SAFE CONTENT GENERATOR
+   Model, token limit and timeout default to the task settings. Rate-limited keys cool
+   down and the next key is tried; timeouts and server errors back off and retry, all
+   within LLM_MAX_RETRIES. Errors starting "LLM unavailable" mean the provider could not
+   be reached at all. Every call is written to the usage ledger with options.context
+   ({ assessmentId, attemptId, userId }).
 ========================= */
 
 export const generateContent = async (client, prompt, options = {}) => {
-  try {
-    const response = await client.models.generateContent({
-      model: options.model || "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-      generationConfig: {
-        maxOutputTokens: options.maxOutputTokens || 1200,
-        temperature: options.temperature ?? 0.7,
-        topP: options.topP ?? 0.9,
-      },
-      thinkingConfig: options.thinkingConfig || { thinkingBudget: 0 },
-    });
-
-    const text =
-      response.text ||
-      response?.candidates?.[0]?.content?.parts?.[0]?.text;
-
-    if (!text) throw new Error("Empty Gemini response");
-
-    return text;
-  } catch (error) {
-    /* === QUOTA HANDLING === */
-    if (
-      error.message.includes("RESOURCE_EXHAUSTED") ||
-      error.message.includes("429")
-    ) {
-      console.warn("⚠️ Gemini quota exceeded, rotating key...");
-      rotateCreationKey();
-
-      const fallbackClient = await getCreationModel();
-      return generateContent(fallbackClient, prompt, options);
+  const pool = getPool(client.task);
+  const policy = getRetryPolicy();
+  const request = {
+    model: options.model || client.model,
+    maxOutputTokens: options.maxOutputTokens || client.maxOutputTokens,
+    temperature: options.temperature ?? 0.7,
+    topP: options.topP ?? 0.9,
+    responseMimeType: options.responseMimeType,
+    thinkingConfig: options.thinkingConfig,
+    timeoutMs: options.timeoutMs || client.timeoutMs,
+  };
+
+  let lastError = null;
+  for (let attempt = 0; attempt <= policy.maxRetries; attempt++) {
+    if (attempt > 0) pool.recordRetry();
+
+    if (!pool.allowRequest()) {
+      throw new Error(`LLM unavailable: ${client.task} circuit is open after repeated failures`);
+    }
+
+    const entry = pool.acquire();
+    if (!entry) {
+      pool.release();
+      const wait = pool.nextAvailableIn();
+      if (attempt === policy.maxRetries || wait > policy.backoffMaxMs) {
+        throw new Error(`LLM unavailable: every ${client.task} key is rate limited (next free in ${Math.ceil(wait / 1000)}s)`);
+      }
+      await sleep(wait);
+      continue;
     }
 
-    throw error;
+    const startedAt = Date.now();
+    let text;
+    let usage;
+    try {
+      ({ text, usage } = await entry.client.generate(prompt, request));
+      if (!text) throw new Error(`Empty ${client.provider} response`);
+
+      pool.recordSuccess(entry, usage);
+      logUsage(client, options.context, startedAt, { usage, success: true });
+      return text;
+    } catch (error) {
+      const failure = classifyFailure(error);
+      pool.recordFailure(entry, failure);
+      logUsage(client, options.context, startedAt, { usage, success: false, error: error.message });
+      if (!failure.rateLimited && !failure.transient) throw error;
+
+      lastError = error;
+      console.warn(`⚠️ ${client.task} LLM call failed (attempt ${attempt + 1}/${policy.maxRetries + 1}): ${error.message}`);
+      // A rate-limited key is already cooling down, so the next attempt goes to another key
+      if (!failure.rateLimited && attempt < policy.maxRetries) {
+        await sleep(backoffDelay(attempt, policy));
+      }
+    }
   }
-};
\ No newline at end of file
+
+  throw new Error(`LLM unavailable: ${client.task} failed after ${policy.maxRetries + 1} attempts (${lastError?.message})`);
+};
+
+/* =========================
+   TELEMETRY
+========================= */
+
+/**
+ * Counters, circuit state and key cooldowns for every task since the process started
+ */
+export const getLlmStats = () =>
+  LLM_TASKS.map(task => {
+    try {
+      return getPool(task).stats();
+    } catch (error) {
+      const { task: name, provider, model } = getTaskConfig(task);
+      return { task: name, provider, model, error: error.message };
+    }
+  });
@@ -0,0 +1,466 @@
+import { getCheckingModel, generateContent } from "./geminiService.js";
+
+/**
+ * Grading Service
+ * Scores a single student answer against a generated question
+ */
+
+// Parallel checking-model calls per attempt
+const AI_GRADING_CONCURRENCY = 4;
+
+// Weight of an optional keyword relative to a required keyword of weight 1
+const DEFAULT_OPTIONAL_WEIGHT = 0.5;
+
+const normalizeText = (text = "") =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^\w\s]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Misspellings tolerated: none for short words, more for longer ones
+const allowedTypos = (term) => (term.length <= 4 ? 0 : term.length <= 8 ? 1 : 2);
+
+const containsTerm = (answer, answerWords, term, fuzzy) => {
+  if (!term) return false;
+  if (answer.includes(term)) return true;
+  if (!fuzzy) return false;
+
+  const termWords = term.split(" ");
+  const maxTypos = allowedTypos(term);
+  if (maxTypos === 0) return false;
+
+  for (let i = 0; i + termWords.length <= answerWords.length; i++) {
+    const window = answerWords.slice(i, i + termWords.length).join(" ");
+    if (Math.abs(window.length - term.length) <= maxTypos && levenshtein(window, term) <= maxTypos) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Keywords may be plain strings or { keyword, weight, synonyms }
+const normalizeKeyword = (entry, defaultWeight) => {
+  if (typeof entry === "string") {
+    return { keyword: entry, weight: defaultWeight, terms: [normalizeText(entry)] };
+  }
+  const keyword = entry?.keyword ?? "";
+  const weight = Number(entry?.weight);
+  return {
+    keyword,
+    weight: Number.isFinite(weight) && weight > 0 ? weight : defaultWeight,
+    terms: [keyword, ...(entry?.synonyms || [])].map(normalizeText).filter(Boolean),
+  };
+};
+
+/**
+ * Score a short answer against a keyword_match rule.
+ *
+ * Rule format (plain strings and objects can be mixed):
+ *   required_keywords:  ["term" | { keyword, weight?, synonyms? }]
+ *   optional_keywords:  same shape; each match earns bonus credit (default weight 0.5)
+ *   min_required_match: how many required keywords earn full marks (default: all)
+ *   fuzzy:              tolerate small misspellings (default true)
+ *
+ * Credit is the matched required weight over the weight needed for full marks, plus
+ * optional bonus, capped at full marks.
+ * @returns {{ fraction: number, matched: string[], missing: string[], bonus: string[] }}
+ */
+export const evaluateShortAnswer = (studentAnswer, rule) => {
+  const empty = { fraction: 0, matched: [], missing: [], bonus: [] };
+  if (!studentAnswer || !rule) return empty;
+
+  const answer = normalizeText(studentAnswer);
+  const answerWords = answer.split(" ");
+  const fuzzy = rule.fuzzy !== false;
+
+  const required = (rule.required_keywords || []).map(k => normalizeKeyword(k, 1));
+  const optional = (rule.optional_keywords || []).map(k => normalizeKeyword(k, DEFAULT_OPTIONAL_WEIGHT));
+  const matches = (k) => k.terms.some(term => containsTerm(answer, answerWords, term, fuzzy));
+
+  const matchedRequired = required.filter(matches);
+  const matchedOptional = optional.filter(matches);
+
+  const totalWeight = required.reduce((sum, k) => sum + k.weight, 0);
+  const minMatch = Math.min(rule.min_required_match || required.length, required.length);
+  // Weight needed for full marks scales with the share of keywords that must match
+  const targetWeight = required.length > 0 ? totalWeight * (minMatch / required.length) : 0;
+
+  const earned = matchedRequired.reduce((sum, k) => sum + k.weight, 0)
+    + matchedOptional.reduce((sum, k) => sum + k.weight, 0);
+  const fraction = targetWeight > 0
+    ? Math.min(1, earned / targetWeight)
+    : (matchedOptional.length > 0 ? 1 : 0);
+
+  return {
+    fraction: Math.round(fraction * 100) / 100,
+    matched: matchedRequired.map(k => k.keyword),
+    missing: required.filter(k => !matchedRequired.includes(k)).map(k => k.keyword),
+    bonus: matchedOptional.map(k => k.keyword),
+  };
+};
+
+const describeKeywordResult = ({ matched, missing, bonus }) => {
+  const parts = [];
+  if (matched.length > 0) parts.push(`Matched: ${matched.join(", ")}`);
+  if (missing.length > 0) parts.push(`Missing: ${missing.join(", ")}`);
+  if (bonus.length > 0) parts.push(`Bonus: ${bonus.join(", ")}`);
+  return parts.length > 0 ? `${parts.join(". ")}.` : null;
+};
+
+const parseRule = (correctAnswer) =>
+  typeof correctAnswer === "string" ? JSON.parse(correctAnswer) : correctAnswer;
+
+// Student matching answers may be { left: right } or [{ left, right }]
+const toPairs = (value) => {
+  if (!value) return {};
+  const parsed = typeof value === "string" ? JSON.parse(value) : value;
+  const pairs = Array.isArray(parsed)
+    ? Object.fromEntries(parsed.map(p => [p?.left, p?.right]))
+    : (parsed.pairs ?? parsed);
+  return Object.fromEntries(
+    Object.entries(pairs || {}).map(([left, right]) => [normalizeText(left), normalizeText(right)])
+  );
+};
+
+/**
+ * Compare a student's matching answer with the answer key, pair by pair
+ * @returns {{ fraction: number, correct: number, total: number, answered: number }}
+ */
+export const evaluateMatchingAnswer = (studentAnswer, correctAnswer) => {
+  const key = toPairs(parseRule(correctAnswer));
+  let given = {};
+  try {
+    given = toPairs(studentAnswer);
+  } catch {
+    given = {};
+  }
+
+  const total = Object.keys(key).length;
+  const correct = Object.entries(key).filter(([left, right]) => given[left] === right).length;
+  return {
+    fraction: total > 0 ? Math.round((correct / total) * 100) / 100 : 0,
+    correct,
+    total,
+    answered: Object.values(given).filter(Boolean).length,
+  };
+};
+
+const parseSelection = (value) => {
+  if (value === null || value === undefined) return [];
+  if (typeof value === "string") {
+    try {
+      return parseSelection(JSON.parse(value));
+    } catch {
+      return [value];
+    }
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Score a "select all that apply" answer. Modes (stored on the answer key by the block):
+ *   all_or_nothing:    full marks only for exactly the right set
+ *   partial:           share of right options picked, nothing if any wrong option is picked
+ *   right_minus_wrong: (right picks − wrong picks) / right options, never below 0 (default)
+ * @returns {{ fraction: number, hits: number, wrong: number, total: number, answered: boolean }}
+ */
+export const evaluateMultipleSelect = (studentAnswer, correctAnswer) => {
+  const key = parseRule(correctAnswer) || {};
+  const mode = key.partial_credit || "right_minus_wrong";
+  const expected = new Set((Array.isArray(key) ? key : key.answers || []).map(normalizeText));
+  const selected = new Set(parseSelection(studentAnswer).map(normalizeText).filter(Boolean));
+
+  const total = expected.size;
+  const hits = [...selected].filter(option => expected.has(option)).length;
+  const wrong = selected.size - hits;
+
+  let fraction = 0;
+  if (total > 0) {
+    if (mode === "all_or_nothing") fraction = hits === total && wrong === 0 ? 1 : 0;
+    else if (mode === "partial") fraction = wrong > 0 ? 0 : hits / total;
+    else fraction = Math.max(0, (hits - wrong) / total);
+  }
+
+  return { fraction: Math.round(fraction * 100) / 100, hits, wrong, total, answered: selected.size > 0 };
+};
+
+const normalizeUnit = (unit) => String(unit || "").toLowerCase().replace(/\s+/g, "");
+
+// Numeric answers may be a number, a string like "9.81 m/s^2", or { value, unit }
+const parseNumericAnswer = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return { value, unit: "" };
+  if (typeof value === "object") return { value: Number(value.value), unit: normalizeUnit(value.unit) };
+
+  const match = String(value).replace(/(\d),(?=\d{3}\b)/g, "$1").trim().match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i);
+  return match ? { value: Number(match[1]), unit: normalizeUnit(match[2]) } : { value: NaN, unit: "" };
+};
+
+/**
+ * Check a numeric answer against { value, tolerance, tolerance_type, unit }.
+ * A unit is optional for the student, but a different unit is wrong.
+ * @returns {{ correct: boolean, answered: boolean, reason: string|null }}
+ */
+export const evaluateNumericAnswer = (studentAnswer, correctAnswer) => {
+  const key = parseRule(correctAnswer) || {};
+  const given = parseNumericAnswer(studentAnswer);
+  if (!given) return { correct: false, answered: false, reason: null };
+  if (!Number.isFinite(given.value)) {
+    return { correct: false, answered: true, reason: "The answer is not a number." };
+  }
+
+  const expectedUnit = normalizeUnit(key.unit);
+  if (given.unit && expectedUnit && given.unit !== expectedUnit) {
+    return { correct: false, answered: true, reason: `Expected the answer in ${key.unit}.` };
+  }
+
+  const expected = Number(key.value);
+  const tolerance = Math.abs(Number(key.tolerance) || 0);
+  const allowed = key.tolerance_type === "relative" ? tolerance * Math.abs(expected) : tolerance;
+  // Small epsilon so exact answers survive floating point noise
+  const correct = Math.abs(given.value - expected) <= allowed + 1e-9 * Math.max(1, Math.abs(expected));
+
+  return {
+    correct,
+    answered: true,
+    reason: correct ? null : `Expected ${expected}${key.unit ? ` ${key.unit}` : ""}${allowed > 0 ? ` (±${Math.round(allowed * 1e6) / 1e6})` : ""}.`,
+  };
+};
+
+/**
+ * Whether a question is graded by the checking model: essays always,
+ * short answers when the assessment opts into AI grading
+ */
+export const needsAIGrading = (question) =>
+  question.question_type === "essay"
+  || (question.question_type === "short_answer" && question.short_answer_grading === "ai");
+
+/**
+ * Grade one short answer semantically with the checking model
+ * @param {Object} question - generated_questions row (question_text, correct_answer)
+ * @param {string} studentAnswer
+ * @param {Object} [context] - { assessmentId, attemptId, userId } for the usage ledger
+ * @returns {Promise<{ fraction: number, rationale: string }>} fraction of full marks between 0 and 1
+ */
+export const gradeShortAnswerWithAI = async (question, studentAnswer, context = {}) => {
+  const client = await getCheckingModel();
+  const rule = parseRule(question.correct_answer);
+
+  const prompt = `You are grading a student's short answer against an instructor rubric.
+
+Question: ${question.question_text}
+
+Rubric (JSON): ${JSON.stringify(rule)}
+- "required_keywords" lists the ideas a full-credit answer must contain (as strings, or objects with "keyword", "weight" and "synonyms"). Accept synonyms, paraphrases and equivalent wording; heavier keywords count for more.
+- "min_required_match" is how many of those ideas are needed for full credit.
+- "optional_keywords" are extra ideas that can make up for missing ones, never beyond full credit.
+
+Student answer: ${JSON.stringify(String(studentAnswer))}
+
+Award partial credit in proportion to how many required ideas are correctly expressed. Do not reward answers that only repeat the question or contradict the rubric.
+
+Respond ONLY with JSON: {"score": <number from 0 to 1>, "rationale": "<one or two sentences explaining the grade to the student>"}`;
+
+  let text = await generateContent(client, prompt, { temperature: 0.1, context });
+  text = text.replace(/^```json\s*/i, "").replace(/```\s*$/, "").trim();
+
+  const parsed = JSON.parse(text);
+  const fraction = Number(parsed.score);
+  if (!Number.isFinite(fraction)) {
+    throw new Error("Checking model returned a non-numeric score");
+  }
+
+  return {
+    fraction: Math.min(1, Math.max(0, fraction)),
+    rationale: String(parsed.rationale || "").trim().slice(0, 2000),
+  };
+};
+
+/**
+ * Grade one essay against its rubric with the checking model
+ * @param {Object} question - generated_questions row (question_text, correct_answer)
+ * @param {string} studentAnswer
+ * @param {Object} [context] - { assessmentId, attemptId, userId } for the usage ledger
+ * @returns {Promise<{ fraction: number, rationale: string }>} fraction of full marks between 0 and 1
+ */
+export const gradeEssayWithAI = async (question, studentAnswer, context = {}) => {
+  const client = await getCheckingModel();
+  const rubric = parseRule(question.correct_answer) || {};
+  const criteria = Array.isArray(rubric.criteria) ? rubric.criteria : [];
+  const wordCount = String(studentAnswer).trim().split(/\s+/).filter(Boolean).length;
+
+  const prompt = `You are grading a student's essay against an instructor rubric.
+
+Question: ${question.question_text}
+
+Rubric criteria (JSON): ${JSON.stringify(criteria)}
+${rubric.min_words ? `Expected length: at least ${rubric.min_words} words (this essay has ${wordCount}).` : ""}
+${rubric.model_answer ? `Model answer for reference: ${JSON.stringify(rubric.model_answer)}` : ""}
+
+Student essay: ${JSON.stringify(String(studentAnswer))}
+
+Score every criterion from 0 to 1 by how well the essay meets its description. Judge the ideas, not the wording. Essays well under the expected length cannot earn full marks.
+
+Respond ONLY with JSON: {"criteria": [{"criterion": "<name>", "score": <number from 0 to 1>}], "score": <overall number from 0 to 1>, "rationale": "<two or three sentences of feedback for the student>"}`;
+
+  let text = await generateContent(client, prompt, { temperature: 0.1, context });
+  text = text.replace(/^```json\s*/i, "").replace(/```\s*$/, "").trim();
+
+  const parsed = JSON.parse(text);
+
+  // Prefer the weighted criterion scores over the model's overall number
+  let fraction = Number(parsed.score);
+  if (criteria.length > 0 && Array.isArray(parsed.criteria)) {
+    const scored = criteria.map(c => {
+      const match = parsed.criteria.find(p => normalizeText(p?.criterion) === normalizeText(c.criterion));
+      const weight = Number(c.weight) > 0 ? Number(c.weight) : 1;
+      return { weight, score: Math.min(1, Math.max(0, Number(match?.score) || 0)) };
+    });
+    const totalWeight = scored.reduce((sum, c) => sum + c.weight, 0);
+    fraction = scored.reduce((sum, c) => sum + c.weight * c.score, 0) / totalWeight;
+  }
+  if (!Number.isFinite(fraction)) {
+    throw new Error("Checking model returned a non-numeric score");
+  }
+
+  return {
+    fraction: Math.round(Math.min(1, Math.max(0, fraction)) * 100) / 100,
+    rationale: String(parsed.rationale || "").trim().slice(0, 2000),
+  };
+};
+
+/**
+ * Grade short answers and essays with the checking model. Failures are left out of the
+ * result: short answers fall back to keyword matching, essays wait for instructor review.
+ * @param {Array<{question: Object, studentAnswer: *}>} items
+ * @param {Object} [context] - { assessmentId, attemptId, userId } for the usage ledger
+ * @returns {Promise<Object>} Map of question id → { answer, fraction, rationale }
+ */
+export const gradeAnswersWithAI = async (items, context = {}) => {
+  const grades = {};
+  const answered = items.filter(({ studentAnswer }) =>
+    studentAnswer !== null && studentAnswer !== undefined && String(studentAnswer).trim() !== ""
+  );
+
+  for (let i = 0; i < answered.length; i += AI_GRADING_CONCURRENCY) {
+    await Promise.all(answered.slice(i, i + AI_GRADING_CONCURRENCY).map(async ({ question, studentAnswer }) => {
+      try {
+        const result = question.question_type === "essay"
+          ? await gradeEssayWithAI(question, studentAnswer, context)
+          : await gradeShortAnswerWithAI(question, studentAnswer, context);
+        grades[question.id] = { answer: studentAnswer, ...result };
+      } catch (error) {
+        console.warn(`⚠️ AI grading unavailable for ${question.question_type} question ${question.id}:`, error.message);
+      }
+    }));
+  }
+
+  return grades;
+};
+
+// Marks for a fraction of full credit; negative marks only for an answered question with no credit
+const partialScore = (question, fraction, answered) => {
+  const positive = parseFloat(question.positive_marks || 1);
+  return fraction > 0
+    ? Math.round(positive * fraction * 100) / 100
+    : (answered ? -Math.abs(parseFloat(question.negative_marks || 0)) : 0);
+};
+
+/**
+ * Score one answer
+ * @param {Object} question - generated_questions row (question_type, correct_answer, positive_marks, negative_marks)
+ * @param {*} studentAnswer - Submitted answer, null/undefined when unanswered
+ * @param {Object|null} [aiGrade] - Checking-model result for a short answer or essay ({ fraction, rationale })
+ * @returns {{ score: number, isCorrect: boolean, rationale: string|null, gradedBy: string }}
+ */
+export const scoreAnswer = (question, studentAnswer, aiGrade = null) => {
+  const answered = studentAnswer !== null && studentAnswer !== undefined;
+
+  // Semantic grading: partial credit, negative marks only for a wrong answer
+  if ((question.question_type === "short_answer" || question.question_type === "essay") && aiGrade) {
+    const score = partialScore(question, aiGrade.fraction, answered);
+    return { score, isCorrect: aiGrade.fraction >= 1, rationale: aiGrade.rationale || null, gradedBy: "ai" };
+  }
+
+  // Essays without a checking-model grade are left for the instructor
+  if (question.question_type === "essay") {
+    const written = answered && String(studentAnswer).trim() !== "";
+    return {
+      score: 0,
+      isCorrect: false,
+      rationale: written ? "Awaiting instructor review because AI grading was unavailable." : null,
+      gradedBy: written ? "pending" : "auto",
+    };
+  }
+
+  // Matching: marks per correct pair, negative marks only when no pair is right
+  if (question.question_type === "matching") {
+    const result = evaluateMatchingAnswer(studentAnswer, question.correct_answer);
+    const score = partialScore(question, result.fraction, result.answered > 0);
+    const rationale = result.answered > 0 ? `${result.correct} of ${result.total} pairs matched correctly.` : null;
+    return { score, isCorrect: result.fraction >= 1, rationale, gradedBy: "auto" };
+  }
+
+  // Select all that apply: partial credit per the block's mode
+  if (question.question_type === "multiple_select") {
+    const result = evaluateMultipleSelect(studentAnswer, question.correct_answer);
+    const score = partialScore(question, result.fraction, result.answered);
+    const rationale = result.answered
+      ? `${result.hits} of ${result.total} correct options selected${result.wrong > 0 ? `, ${result.wrong} incorrect` : ""}.`
+      : null;
+    return { score, isCorrect: result.fraction >= 1, rationale, gradedBy: "auto" };
+  }
+
+  // Numeric: right within tolerance or wrong
+  if (question.question_type === "numeric") {
+    const result = evaluateNumericAnswer(studentAnswer, question.correct_answer);
+    const score = partialScore(question, result.correct ? 1 : 0, result.answered);
+    return { score, isCorrect: result.correct, rationale: result.reason, gradedBy: "auto" };
+  }
+
+  // Keyword rubric: proportional marks, negative marks only when nothing matched
+  if (question.question_type === "short_answer") {
+    const result = evaluateShortAnswer(studentAnswer, parseRule(question.correct_answer));
+    const score = partialScore(question, result.fraction, answered);
+
+    let rationale = answered ? describeKeywordResult(result) : null;
+    if (answered && question.short_answer_grading === "ai") {
+      rationale = `Graded by keyword matching because AI grading was unavailable. ${rationale || ""}`.trim();
+    }
+
+    return { score, isCorrect: result.fraction >= 1, rationale, gradedBy: "auto" };
+  }
+
+  // TRUE/FALSE & MCQ: Smart string comparison
+  const clean = (val) => {
+    if (val === null || val === undefined) return "";
+    return String(val).trim().toLowerCase().replace(/\\"/g, '"');
+  };
+  const isCorrect = clean(question.correct_answer) === clean(studentAnswer);
+
+  const score = isCorrect
+    ? parseFloat(question.positive_marks || 1)                                    // Correct → +marks
+    : (answered                                                                   // Wrong & answered → -marks
+      ? -Math.abs(parseFloat(question.negative_marks || 0))
+      : 0);                                                                       // Unanswered → 0
+
+  return { score, isCorrect, rationale: null, gradedBy: "auto" };
+};
@@ -0,0 +1,114 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * LLM Configuration
+ * Central place where each AI task (creation, checking, recommendations) is mapped to a
+ * provider, model, token limit and timeout. Everything comes from the environment:
+ *
+ *   LLM_PROVIDER                      default provider for every task: gemini | openai | stub
+ *   LLM_<TASK>_PROVIDER               provider for one task (TASK = CREATION, CHECKING, RECOMMENDATIONS)
+ *   LLM_<TASK>_MODEL                  model name (defaults to the provider's default model)
+ *   LLM_<TASK>_MAX_TOKENS             output token limit
+ *   LLM_<TASK>_TIMEOUT_MS             request timeout
+ *   LLM_<TASK>_BASE_URL / _API_KEY    OpenAI-compatible endpoint for the task
+ *   OPENAI_BASE_URL / OPENAI_API_KEY  OpenAI-compatible endpoint shared by all tasks
+ *
+ * Retry policy, shared by all tasks:
+ *   LLM_MAX_RETRIES                   retries per request after the first call (default 3)
+ *   LLM_BACKOFF_BASE_MS / _MAX_MS     exponential backoff between retries (default 500 / 8000)
+ *   LLM_KEY_COOLDOWN_MS / _MAX_MS     cooldown of a rate-limited key, doubling per strike (default 30000 / 600000)
+ *   LLM_BREAKER_THRESHOLD             consecutive failures that open the circuit (default 5)
+ *   LLM_BREAKER_RESET_MS              how long the circuit stays open (default 60000)
+ */
+
+export const LLM_TASKS = ["creation", "checking", "recommendations"];
+
+export const LLM_PROVIDERS = ["gemini", "openai", "stub"];
+
+const PROVIDER_DEFAULTS = {
+  gemini: { model: "gemini-2.5-flash", timeoutMs: 60000 },
+  openai: { model: "gpt-4o-mini", timeoutMs: 120000 },
+  stub: { model: "stub", timeoutMs: 1000 },
+};
+
+const TASK_DEFAULTS = {
+  creation: { maxOutputTokens: 3000 },
+  checking: { maxOutputTokens: 800 },
+  recommendations: { maxOutputTokens: 1200 },
+};
+
+const envFor = (task, name) => process.env[`LLM_${task.toUpperCase()}_${name}`];
+
+const positiveInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const nonNegativeInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const resolveTaskConfig = (task) => {
+  const provider = (envFor(task, "PROVIDER") || process.env.LLM_PROVIDER || "gemini").toLowerCase();
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`❌ Unknown LLM provider "${provider}" for ${task} (expected ${LLM_PROVIDERS.join(", ")})`);
+  }
+
+  const defaults = PROVIDER_DEFAULTS[provider];
+  const config = {
+    task,
+    provider,
+    model: envFor(task, "MODEL") || defaults.model,
+    maxOutputTokens: positiveInt(envFor(task, "MAX_TOKENS"), TASK_DEFAULTS[task].maxOutputTokens),
+    timeoutMs: positiveInt(envFor(task, "TIMEOUT_MS"), defaults.timeoutMs),
+  };
+
+  if (provider === "openai") {
+    config.baseUrl = (envFor(task, "BASE_URL") || process.env.OPENAI_BASE_URL || "").replace(/\/+$/, "");
+    config.apiKey = envFor(task, "API_KEY") || process.env.OPENAI_API_KEY || null;
+    if (!config.baseUrl) {
+      throw new Error(`❌ LLM_${task.toUpperCase()}_BASE_URL or OPENAI_BASE_URL is required for the openai provider`);
+    }
+  }
+
+  return config;
+};
+
+const LLM_CONFIG = Object.fromEntries(LLM_TASKS.map(task => [task, resolveTaskConfig(task)]));
+
+/**
+ * Provider settings for one task
+ * @param {"creation"|"checking"|"recommendations"} task
+ */
+export const getTaskConfig = (task) => {
+  const config = LLM_CONFIG[task];
+  if (!config) throw new Error(`Unknown LLM task "${task}"`);
+  return config;
+};
+
+/**
+ * Every task's settings without secrets, for logging and admin views
+ */
+export const describeLlmConfig = () =>
+  LLM_TASKS.map(task => {
+    const { apiKey, ...config } = LLM_CONFIG[task];
+    return { ...config, hasApiKey: Boolean(apiKey) };
+  });
+
+const RETRY_POLICY = {
+  maxRetries: nonNegativeInt(process.env.LLM_MAX_RETRIES, 3),
+  backoffBaseMs: positiveInt(process.env.LLM_BACKOFF_BASE_MS, 500),
+  backoffMaxMs: positiveInt(process.env.LLM_BACKOFF_MAX_MS, 8000),
+  keyCooldownMs: positiveInt(process.env.LLM_KEY_COOLDOWN_MS, 30000),
+  maxKeyCooldownMs: positiveInt(process.env.LLM_KEY_COOLDOWN_MAX_MS, 600000),
+  breakerThreshold: positiveInt(process.env.LLM_BREAKER_THRESHOLD, 5),
+  breakerResetMs: positiveInt(process.env.LLM_BREAKER_RESET_MS, 60000),
+};
+
+/**
+ * Retry, cooldown and circuit breaker settings
+ */
+export const getRetryPolicy = () => RETRY_POLICY;
@@ -0,0 +1,157 @@
+/**
+ * LLM Key Pool
+ * Per-task pool of provider clients (one per API key) with key cooldowns after rate
+ * limits, a circuit breaker over consecutive failures, and call / failure / token counters.
+ * State lives in process memory and resets on restart.
+ */
+
+const now = () => Date.now();
+
+/**
+ * Create the pool for one task
+ * @param {Object} config - Task settings from llmConfig
+ * @param {Array<{ key: string|null, client: Object }>} keys - Provider client per API key
+ * @param {Object} policy - Retry policy from llmConfig
+ */
+export const createKeyPool = (config, keys, policy) => {
+  const entries = keys.map(({ key, client }, index) => ({
+    index,
+    hint: key ? `…${key.slice(-4)}` : null,
+    client,
+    cooldownUntil: 0,
+    strikes: 0,
+    calls: 0,
+    failures: 0,
+  }));
+
+  const breaker = { state: "closed", consecutiveFailures: 0, openedUntil: 0, trialInFlight: false };
+
+  const counters = {
+    calls: 0,
+    successes: 0,
+    failures: 0,
+    rateLimited: 0,
+    retries: 0,
+    rejected: 0,
+    circuitOpens: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+  };
+
+  let nextIndex = 0;
+
+  /**
+   * Whether a request may go out now. An open breaker lets a single trial call through
+   * once its reset time has passed (half-open); that call's result closes or re-opens it.
+   */
+  const allowRequest = () => {
+    if (breaker.state === "closed") return true;
+    if (breaker.state === "open" && now() >= breaker.openedUntil) {
+      breaker.state = "half_open";
+      breaker.trialInFlight = false;
+    }
+    if (breaker.state === "half_open" && !breaker.trialInFlight) {
+      breaker.trialInFlight = true;
+      return true;
+    }
+    counters.rejected++;
+    return false;
+  };
+
+  /**
+   * Next key that is not cooling down, round robin
+   * @returns {Object|null} Pool entry, or null when every key is cooling down
+   */
+  const acquire = () => {
+    for (let offset = 0; offset < entries.length; offset++) {
+      const entry = entries[(nextIndex + offset) % entries.length];
+      if (entry.cooldownUntil <= now()) {
+        nextIndex = (entry.index + 1) % entries.length;
+        entry.calls++;
+        counters.calls++;
+        return entry;
+      }
+    }
+    return null;
+  };
+
+  /** Milliseconds until the first key leaves its cooldown */
+  const nextAvailableIn = () => Math.max(0, Math.min(...entries.map(e => e.cooldownUntil)) - now());
+
+  const recordSuccess = (entry, usage = {}) => {
+    entry.strikes = 0;
+    counters.successes++;
+    counters.inputTokens += usage.inputTokens || 0;
+    counters.outputTokens += usage.outputTokens || 0;
+    breaker.state = "closed";
+    breaker.consecutiveFailures = 0;
+    breaker.trialInFlight = false;
+  };
+
+  /**
+   * @param {Object} entry - Key that made the call
+   * @param {Object} failure
+   * @param {boolean} failure.rateLimited - Provider refused for quota; the key cools down
+   * @param {boolean} failure.transient - Timeout, network or server error
+   * Other failures (bad requests) say nothing about provider health and skip the breaker.
+   */
+  const recordFailure = (entry, { rateLimited, transient }) => {
+    entry.failures++;
+    counters.failures++;
+
+    if (!rateLimited && !transient) {
+      if (breaker.state === "half_open") breaker.state = "closed";
+      breaker.trialInFlight = false;
+      return;
+    }
+
+    if (rateLimited) {
+      // Each consecutive rate limit doubles the key's cooldown
+      counters.rateLimited++;
+      const cooldown = Math.min(policy.keyCooldownMs * 2 ** entry.strikes, policy.maxKeyCooldownMs);
+      entry.strikes++;
+      entry.cooldownUntil = now() + cooldown;
+      console.warn(`🔄 ${config.task} key ${entry.index} rate limited, cooling down for ${Math.round(cooldown / 1000)}s`);
+    }
+
+    breaker.consecutiveFailures++;
+    if (breaker.state === "half_open" || breaker.consecutiveFailures >= policy.breakerThreshold) {
+      if (breaker.state !== "open") counters.circuitOpens++;
+      breaker.state = "open";
+      breaker.openedUntil = now() + policy.breakerResetMs;
+      breaker.trialInFlight = false;
+      console.warn(`⛔ ${config.task} circuit open for ${Math.round(policy.breakerResetMs / 1000)}s after ${breaker.consecutiveFailures} consecutive failures`);
+    }
+  };
+
+  /** Give back a half-open trial that never reached the provider */
+  const release = () => {
+    breaker.trialInFlight = false;
+  };
+
+  const recordRetry = () => {
+    counters.retries++;
+  };
+
+  const stats = () => ({
+    task: config.task,
+    provider: config.provider,
+    model: config.model,
+    circuit: {
+      state: breaker.state === "open" && now() >= breaker.openedUntil ? "half_open" : breaker.state,
+      consecutive_failures: breaker.consecutiveFailures,
+      open_until: breaker.state === "open" ? new Date(breaker.openedUntil).toISOString() : null,
+    },
+    counters: { ...counters },
+    keys: entries.map(e => ({
+      index: e.index,
+      hint: e.hint,
+      calls: e.calls,
+      failures: e.failures,
+      cooling_down: e.cooldownUntil > now(),
+      cooldown_until: e.cooldownUntil > now() ? new Date(e.cooldownUntil).toISOString() : null,
+    })),
+  });
+
+  return { allowRequest, acquire, nextAvailableIn, recordSuccess, recordFailure, recordRetry, release, stats };
+};
@@ -0,0 +1,102 @@
+import axios from "axios";
+import { GoogleGenAI } from "@google/genai";
+import { createStubClient } from "./stubLlmProvider.js";
+
+/**
+ * LLM Providers
+ * Every provider client carries its task settings (provider, task, model, maxOutputTokens,
+ * timeoutMs) and one method:
+ *   generate(prompt, { model, maxOutputTokens, temperature, topP, responseMimeType, thinkingConfig, timeoutMs })
+ *     → Promise<{ text: string, usage: { inputTokens, outputTokens } }>
+ */
+
+const withTimeout = (promise, timeoutMs, label) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Google Gemini through @google/genai
+ * @param {Object} config - Task settings from llmConfig
+ * @param {string} apiKey
+ */
+export const createGeminiClient = (config, apiKey) => {
+  const genAI = new GoogleGenAI({ apiKey });
+
+  return {
+    ...config,
+    generate: async (prompt, options) => {
+      const response = await withTimeout(
+        genAI.models.generateContent({
+          model: options.model,
+          contents: [{ role: "user", parts: [{ text: prompt }] }],
+          generationConfig: {
+            maxOutputTokens: options.maxOutputTokens,
+            temperature: options.temperature,
+            topP: options.topP,
+            ...(options.responseMimeType && { responseMimeType: options.responseMimeType }),
+          },
+          thinkingConfig: options.thinkingConfig || { thinkingBudget: 0 },
+        }),
+        options.timeoutMs,
+        `Gemini ${config.task} request`
+      );
+
+      return {
+        text: response.text || response?.candidates?.[0]?.content?.parts?.[0]?.text,
+        usage: {
+          inputTokens: response.usageMetadata?.promptTokenCount || 0,
+          outputTokens: response.usageMetadata?.candidatesTokenCount || 0,
+        },
+      };
+    },
+  };
+};
+
+/**
+ * Any server speaking the OpenAI chat completions API (OpenAI, vLLM, Ollama, LM Studio, ...)
+ * @param {Object} config - Task settings from llmConfig, with baseUrl and optional apiKey
+ */
+export const createOpenAICompatibleClient = (config) => ({
+  ...config,
+  generate: async (prompt, options) => {
+    try {
+      const { data } = await axios.post(
+        `${config.baseUrl}/chat/completions`,
+        {
+          model: options.model,
+          messages: [{ role: "user", content: prompt }],
+          max_tokens: options.maxOutputTokens,
+          temperature: options.temperature,
+          top_p: options.topP,
+          // No response_format: json_object mode rejects the bare arrays question generation asks for
+        },
+        {
+          headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+          timeout: options.timeoutMs,
+        }
+      );
+
+      return {
+        text: data?.choices?.[0]?.message?.content,
+        usage: {
+          inputTokens: data?.usage?.prompt_tokens || 0,
+          outputTokens: data?.usage?.completion_tokens || 0,
+        },
+      };
+    } catch (error) {
+      // Keep the HTTP status so quota handling can recognise 429s
+      const status = error.response?.status;
+      const detail = error.response?.data?.error?.message || error.message;
+      const wrapped = new Error(status ? `${status} ${detail}` : detail);
+      wrapped.status = status;
+      wrapped.code = error.code;
+      throw wrapped;
+    }
+  },
+});
+
+export { createStubClient };
@@ -0,0 +1,125 @@
+/**
+ * Question Fairness
+ * Keeps per-student attempts comparable: difficulty levels and per-block difficulty
+ * targets, difficulty-aware selection from pools and banks, and per-attempt option order
+ * for choice questions
+ */
+
+export const DIFFICULTY_LEVELS = ["easy", "medium", "hard"];
+
+// Numeric weight of each level, used for an attempt's average difficulty
+export const DIFFICULTY_WEIGHTS = { easy: 1, medium: 2, hard: 3 };
+
+/**
+ * Check a block's difficulty_distribution: percentages per level that add up to 100.
+ * null (or an empty value) means the block has no target.
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateDifficultyDistribution = (distribution) => {
+  if (distribution === undefined || distribution === null || distribution === "") return null;
+  if (typeof distribution !== "object" || Array.isArray(distribution)) {
+    return `Difficulty distribution must be an object of percentages by level (${DIFFICULTY_LEVELS.join(", ")})`;
+  }
+  const unknown = Object.keys(distribution).filter(level => !DIFFICULTY_LEVELS.includes(level));
+  if (unknown.length > 0) {
+    return `Unknown difficulty level: ${unknown.join(", ")}. Levels are: ${DIFFICULTY_LEVELS.join(", ")}`;
+  }
+  const values = Object.values(distribution).map(Number);
+  if (values.some(value => !Number.isInteger(value) || value < 0 || value > 100)) {
+    return "Difficulty percentages must be whole numbers between 0 and 100";
+  }
+  if (values.reduce((sum, value) => sum + value, 0) !== 100) {
+    return "Difficulty percentages must add up to 100";
+  }
+  return null;
+};
+
+/**
+ * Number of questions of each level a block should have, splitting count by the block's
+ * difficulty_distribution (largest remainder, so the counts always add up to count)
+ * @param {Object} block - question_blocks row
+ * @param {number} [count] - Defaults to the block's question_count
+ * @returns {Object|null} { easy, medium, hard }, or null when the block has no target
+ */
+export const difficultyTargets = (block, count = block.question_count) => {
+  const distribution = block.difficulty_distribution;
+  if (!distribution || Object.keys(distribution).length === 0) return null;
+
+  const shares = DIFFICULTY_LEVELS.map(level => {
+    const exact = (count * Number(distribution[level] || 0)) / 100;
+    return { level, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  let left = count - shares.reduce((sum, share) => sum + share.count, 0);
+  for (const share of [...shares].sort((a, b) => b.remainder - a.remainder)) {
+    if (left <= 0) break;
+    share.count++;
+    left--;
+  }
+  return Object.fromEntries(shares.map(share => [share.level, share.count]));
+};
+
+/**
+ * Pick questions from shuffled candidates so each level meets its target
+ * @param {Array<Object>} candidates - Rows with a difficulty, already in random order
+ * @param {Object} targets - From difficultyTargets
+ * @returns {Array<Object>|null} The picked rows, or null when some level is short
+ */
+export const pickByDifficulty = (candidates, targets) => {
+  const picked = [];
+  for (const level of DIFFICULTY_LEVELS) {
+    const matches = candidates.filter(row => row.difficulty === level).slice(0, targets[level] || 0);
+    if (matches.length < (targets[level] || 0)) return null;
+    picked.push(...matches);
+  }
+  return picked;
+};
+
+/**
+ * Unbiased (Fisher–Yates) shuffle
+ * @returns {Array} A shuffled copy
+ */
+export const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+/**
+ * Give a multiple choice or multiple select question a random option order. Options are
+ * re-lettered in their new order and the answer key is rewritten to match, so grading and
+ * letter-based answers keep working. Other question types are returned unchanged.
+ * @param {Object} q - Question in stored shape (options plus correct_answer)
+ * @returns {Object} A copy with shuffled options
+ */
+export const shuffleChoiceOptions = (q) => {
+  if (q.question_type !== "multiple_choice" && q.question_type !== "multiple_select") return q;
+  if (!q.options || typeof q.options !== "object") return q;
+
+  // { text, stored } per option; array options may carry their own "B. " prefix
+  const isArray = Array.isArray(q.options);
+  const entries = isArray
+    ? q.options.map(option => {
+      const prefixed = String(option).match(/^[A-Za-z][.)]\s*(.*)$/);
+      return { text: prefixed ? prefixed[1] : String(option), stored: String(option), prefixed: Boolean(prefixed) };
+    })
+    : Object.keys(q.options).map(k => ({ text: String(q.options[k]), stored: `${k}. ${q.options[k]}`, prefixed: true }));
+  if (entries.length < 2) return q;
+
+  const reordered = shuffle(entries).map((entry, index) => {
+    const letter = String.fromCharCode(65 + index);
+    return { ...entry, letter, restored: entry.prefixed ? `${letter}. ${entry.text}` : entry.text };
+  });
+  const remap = (answer) => reordered.find(entry => entry.stored === answer)?.restored ?? answer;
+
+  const options = isArray
+    ? reordered.map(entry => entry.restored)
+    : Object.fromEntries(reordered.map(entry => [entry.letter, entry.text]));
+  const correct_answer = q.question_type === "multiple_choice"
+    ? remap(q.correct_answer)
+    : { ...q.correct_answer, answers: (q.correct_answer?.answers || []).map(remap) };
+
+  return { ...q, options, correct_answer };
+};
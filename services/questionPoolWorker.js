@@ -0,0 +1,99 @@
+import db from "../DB/db.js";
+import { getQuestionBlocks, buildQuestionsForBlocks } from "../models/assessmentModel.js";
+import { getPoolShortfalls, addToPool } from "../models/questionPoolModel.js";
+import { checkAiQuota } from "../models/llmUsageModel.js";
+
+/**
+ * Question Pool Worker
+ * Keeps the question pools of published live assessments topped up in the background.
+ * Runs on an interval and whenever requestPoolRefill is called (after publishing or after
+ * an attempt start has drawn from a pool).
+ */
+
+// Questions requested from the creation model per call while filling a pool
+const POOL_BATCH_SIZE = 10;
+// Pool generation calls made per run, so one assessment cannot hold the worker for long
+const MAX_BATCHES_PER_RUN = 10;
+
+let poolTimer = null;
+let running = false;
+let rerun = false;
+
+const fillShortfall = async (shortfall, assessment, block) => {
+  const count = Math.min(shortfall.missing, POOL_BATCH_SIZE);
+  const questions = await buildQuestionsForBlocks(
+    shortfall.assessment_id,
+    [{ ...block, question_count: count }],
+    shortfall.language,
+    assessment
+  );
+  return addToPool(shortfall.assessment_id, block.id, shortfall.language, questions);
+};
+
+export const runPoolRefill = async () => {
+  // A refill requested mid-run is picked up as soon as the current run ends
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      rerun = false;
+      const shortfalls = (await getPoolShortfalls()).slice(0, MAX_BATCHES_PER_RUN);
+      const assessments = {};
+      const blocks = {};
+      let added = 0;
+
+      for (const shortfall of shortfalls) {
+        try {
+          const quota = await checkAiQuota(shortfall.assessment_id);
+          if (quota && !quota.allowed) continue;
+
+          if (!assessments[shortfall.assessment_id]) {
+            const { rows } = await db.query(
+              "SELECT id, title, prompt, external_links FROM assessments WHERE id = $1",
+              [shortfall.assessment_id]
+            );
+            assessments[shortfall.assessment_id] = rows[0];
+            for (const block of await getQuestionBlocks(shortfall.assessment_id)) blocks[block.id] = block;
+          }
+          const block = blocks[shortfall.block_id];
+          if (!assessments[shortfall.assessment_id] || !block) continue;
+
+          added += await fillShortfall(shortfall, assessments[shortfall.assessment_id], block);
+        } catch (error) {
+          console.error(`❌ Pool refill failed for block ${shortfall.block_id} (${shortfall.language}):`, error.message);
+          // Every other block would hit the same outage
+          if (error.message.startsWith("LLM unavailable")) break;
+        }
+      }
+
+      if (added > 0) {
+        console.log(`🧺 Added ${added} pre-generated questions to question pools`);
+      }
+    } while (rerun);
+  } catch (error) {
+    console.error("❌ Question pool run failed:", error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Top up pools soon without waiting for the next interval
+ */
+export const requestPoolRefill = () => {
+  setImmediate(runPoolRefill);
+};
+
+export const startQuestionPoolWorker = (intervalMs = 2 * 60 * 1000) => {
+  if (poolTimer) return;
+  poolTimer = setInterval(runPoolRefill, intervalMs);
+  runPoolRefill();
+};
+
+export const stopQuestionPoolWorker = () => {
+  clearInterval(poolTimer);
+  poolTimer = null;
+};
@@ -0,0 +1,279 @@
+import { DIFFICULTY_LEVELS } from "./questionFairness.js";
+
+/**
+ * Question Validator
+ * Checks questions returned by the creation model against the schema of their block's
+ * question type and normalizes them to the stored format
+ */
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+
+// Topics a question may carry, and the longest topic name stored
+const MAX_TOPICS = 3;
+const MAX_TOPIC_LENGTH = 100;
+
+/**
+ * Normalize a question's topics: 1 to MAX_TOPICS names, mapped onto the assessment's list
+ * when it has one, lowercased otherwise so the same concept groups together
+ * @returns {string[]} Empty when the topics are missing or not on the list
+ */
+const normalizeTopics = (given, allowed, errors) => {
+  const names = (Array.isArray(given) ? given : [given])
+    .filter(isNonEmptyString)
+    .map(name => name.trim().replace(/\s+/g, " "));
+  if (names.length === 0) {
+    errors.push(`topics must list 1 to ${MAX_TOPICS} topic names`);
+    return [];
+  }
+
+  if (allowed.length > 0) {
+    const mapped = names.map(name => allowed.find(topic => topic.toLowerCase() === name.toLowerCase()));
+    if (mapped.some(topic => !topic)) {
+      errors.push(`topics must come from the list: ${allowed.join("; ")}`);
+      return [];
+    }
+    return [...new Set(mapped)].slice(0, MAX_TOPICS);
+  }
+  return [...new Set(names.map(name => name.toLowerCase().slice(0, MAX_TOPIC_LENGTH)))].slice(0, MAX_TOPICS);
+};
+
+const optionCount = (options) =>
+  Array.isArray(options) ? options.length : (options && typeof options === "object" ? Object.keys(options).length : 0);
+
+/**
+ * Find an option by letter ("B"), stored text ("B. Oxygen") or bare text ("Oxygen").
+ * Options are either an array of full option texts or an object keyed by letter.
+ * @returns {string|null} The option as generated questions store it
+ */
+export const findOption = (options, answer) => {
+  const given = String(answer ?? "").trim().toLowerCase();
+  if (!given || !options) return null;
+
+  // [letter, bare text, stored text]; array options may carry their own "B. " prefix
+  const entries = Array.isArray(options)
+    ? options.map((option, index) => {
+      const prefixed = String(option).match(/^([A-Za-z])[.)]\s*(.*)$/);
+      return prefixed
+        ? [prefixed[1], prefixed[2], String(option)]
+        : [String.fromCharCode(65 + index), String(option), String(option)];
+    })
+    : Object.keys(options).map(k => [k.trim(), String(options[k]), `${k}. ${options[k]}`]);
+
+  const match = entries.find(([letter, text, stored]) =>
+    letter.toLowerCase() === given
+    || stored.trim().toLowerCase() === given
+    || text.trim().toLowerCase() === given
+  );
+  return match ? match[2] : null;
+};
+
+const checkOptions = (q, block, minimum, errors) => {
+  const count = optionCount(q.options);
+  if (count < minimum) {
+    errors.push(`options must list at least ${minimum} choices`);
+  } else if (block.num_options && count !== block.num_options) {
+    errors.push(`options must list exactly ${block.num_options} choices (got ${count})`);
+  }
+};
+
+// Matching pairs may come back as an object or as [{left, right}]; keep only pairs whose
+// items are listed in the options
+const normalizeMatching = (q) => {
+  const rawPairs = q.correct_answer?.pairs ?? q.correct_answer;
+  const pairs = Array.isArray(rawPairs)
+    ? Object.fromEntries(rawPairs.map(p => [p?.left, p?.right]))
+    : { ...(rawPairs && typeof rawPairs === "object" ? rawPairs : {}) };
+
+  const left = Array.isArray(q.options?.left) ? q.options.left : Object.keys(pairs);
+  const right = Array.isArray(q.options?.right) ? q.options.right : [...new Set(Object.values(pairs))];
+  const valid = Object.fromEntries(
+    Object.entries(pairs).filter(([l, r]) => l && r && left.includes(l) && right.includes(r))
+  );
+
+  return {
+    // Alphabetical right column so its order does not give away the pairing
+    options: { left: left.filter(item => item in valid), right: [...right].sort((a, b) => String(a).localeCompare(String(b))) },
+    correct_answer: { pairs: valid },
+  };
+};
+
+// Per-type checks: push problems onto errors and return the normalized { options, correct_answer }
+const TYPE_VALIDATORS = {
+  multiple_choice: (q, block, errors) => {
+    checkOptions(q, block, 2, errors);
+    const answer = findOption(q.options, q.correct_answer);
+    if (!answer) errors.push("correct_answer must be one of the options");
+    return { options: q.options, correct_answer: answer };
+  },
+
+  multiple_select: (q, block, errors) => {
+    checkOptions(q, block, 3, errors);
+    const given = Array.isArray(q.correct_answer) ? q.correct_answer : [q.correct_answer].filter(Boolean);
+    const answers = given.map(answer => findOption(q.options, answer));
+    if (answers.length === 0 || answers.some(answer => !answer)) {
+      errors.push("correct_answer must be a non-empty array of options");
+    }
+    return {
+      options: q.options,
+      correct_answer: { answers: [...new Set(answers)], partial_credit: block.partial_credit || "right_minus_wrong" },
+    };
+  },
+
+  true_false: (q, block, errors) => {
+    const value = String(q.correct_answer).trim().toLowerCase();
+    if (value !== "true" && value !== "false") errors.push("correct_answer must be true or false");
+    return { options: ["true", "false"], correct_answer: value === "true" };
+  },
+
+  short_answer: (q, block, errors) => {
+    const rule = q.correct_answer;
+    if (!rule || typeof rule !== "object" || !Array.isArray(rule.required_keywords) || rule.required_keywords.length === 0) {
+      errors.push("correct_answer must be an object with a non-empty required_keywords array");
+      return { options: null, correct_answer: rule };
+    }
+    const keywordOk = (k) => isNonEmptyString(k) || isNonEmptyString(k?.keyword);
+    if (!rule.required_keywords.every(keywordOk) || !(rule.optional_keywords || []).every(keywordOk)) {
+      errors.push("every keyword must be a string or an object with a keyword");
+    }
+    const minMatch = Number(rule.min_required_match);
+    return {
+      options: null,
+      correct_answer: {
+        ...rule,
+        grading_type: "keyword_match",
+        min_required_match: Number.isInteger(minMatch) && minMatch >= 1 && minMatch <= rule.required_keywords.length
+          ? minMatch
+          : rule.required_keywords.length,
+      },
+    };
+  },
+
+  essay: (q, block, errors) => {
+    const rubric = q.correct_answer;
+    if (!rubric || typeof rubric !== "object" || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+      errors.push("correct_answer must be an object with a non-empty criteria array");
+    } else if (!rubric.criteria.every(c => isNonEmptyString(c?.criterion))) {
+      errors.push("every criterion needs a criterion name");
+    }
+    return { options: null, correct_answer: { ...rubric, grading_type: "rubric" } };
+  },
+
+  matching: (q, block, errors) => {
+    const normalized = normalizeMatching(q);
+    const pairCount = Object.keys(normalized.correct_answer.pairs).length;
+    const expected = block.num_first_side || 2;
+    if (pairCount < expected || (block.num_first_side && pairCount !== block.num_first_side)) {
+      errors.push(`correct_answer must pair ${block.num_first_side ? "exactly" : "at least"} ${expected} left items with right items listed in options`);
+    }
+    if (block.num_second_side && normalized.options.right.length < block.num_second_side) {
+      errors.push(`options.right must list ${block.num_second_side} items`);
+    }
+    return normalized;
+  },
+
+  numeric: (q, block, errors) => {
+    const value = Number(q.correct_answer?.value ?? q.correct_answer);
+    if (!Number.isFinite(value)) errors.push("correct_answer.value must be a number");
+    const hasBlockTolerance = block.numeric_tolerance !== null && block.numeric_tolerance !== undefined;
+    return {
+      options: null,
+      correct_answer: {
+        value,
+        tolerance: hasBlockTolerance ? Number(block.numeric_tolerance) : Math.abs(Number(q.correct_answer?.tolerance) || 0),
+        tolerance_type: hasBlockTolerance
+          ? block.numeric_tolerance_type
+          : (q.correct_answer?.tolerance_type === "relative" ? "relative" : "absolute"),
+        unit: q.correct_answer?.unit || null,
+      },
+    };
+  },
+};
+
+/**
+ * Validate one generated question against the block it fills. The instructor's type,
+ * marks, time and cognitive level are forced onto the question, and its objective number
+ * is resolved to the objective's text.
+ * @param {Object} raw - Question object from the model
+ * @param {Object} block - question_blocks row
+ * @param {Object} [options]
+ * @param {string[]} [options.topics] - The assessment's topic list; empty lets the model name topics
+ * @returns {{ question: Object|null, errors: string[] }} question is null when invalid
+ */
+export const validateGeneratedQuestion = (raw, block, { topics = [] } = {}) => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { question: null, errors: ["question must be a JSON object"] };
+  }
+
+  const errors = [];
+  if (raw.question_type && raw.question_type !== block.question_type) {
+    errors.push(`question_type must be ${block.question_type}`);
+  }
+  if (!isNonEmptyString(raw.question_text)) {
+    errors.push("question_text is required");
+  }
+  const difficulty = String(raw.difficulty ?? "").trim().toLowerCase();
+  if (!DIFFICULTY_LEVELS.includes(difficulty)) {
+    errors.push(`difficulty must be one of: ${DIFFICULTY_LEVELS.join(", ")}`);
+  }
+  const questionTopics = normalizeTopics(raw.topics, topics, errors);
+  // Questions of a block with learning objectives name the one they assess by number
+  const objectives = block.learning_objectives || [];
+  const objective = Number(raw.objective);
+  if (objectives.length > 0 && !(Number.isInteger(objective) && objective >= 1 && objective <= objectives.length)) {
+    errors.push(`objective must be the number of one of the block's learning objectives (1-${objectives.length})`);
+  }
+
+  const validator = TYPE_VALIDATORS[block.question_type];
+  if (!validator) {
+    return { question: null, errors: [`unsupported question type ${block.question_type}`] };
+  }
+  const { options, correct_answer } = validator(raw, block, errors);
+
+  if (errors.length > 0) return { question: null, errors };
+
+  return {
+    question: {
+      ...raw,
+      question_type: block.question_type,
+      question_text: raw.question_text.trim(),
+      topics: questionTopics,
+      difficulty,
+      options,
+      correct_answer,
+      positive_marks: block.positive_marks,
+      negative_marks: block.negative_marks,
+      duration_per_question: block.duration_per_question,
+      learning_objective: objectives.length > 0 ? objectives[objective - 1] : null,
+      cognitive_level: block.cognitive_level || null,
+    },
+    errors,
+  };
+};
+
+/**
+ * Parse the model's reply into an array of question objects. Strips code fences and
+ * repairs trailing commas before giving up.
+ * @throws {Error} When no JSON array can be recovered
+ */
+export const parseQuestionArray = (text) => {
+  const cleaned = String(text || "").trim().replace(/^```json\s*/i, "").replace(/\s*```$/i, "").trim();
+
+  const start = cleaned.indexOf("[");
+  const end = cleaned.lastIndexOf("]") + 1;
+  if (start === -1 || end === 0) throw new Error("No JSON array found");
+
+  const jsonText = cleaned.substring(start, end);
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonText);
+  } catch (error) {
+    try {
+      parsed = JSON.parse(jsonText.replace(/,\s*([\]}])/g, "$1"));
+    } catch {
+      throw new Error(`Malformed JSON: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(parsed)) throw new Error("Reply is not a JSON array");
+  return parsed;
+};
@@ -0,0 +1,83 @@
+import {
+  scheduleReminders,
+  claimDueReminders,
+  markReminderSent,
+  markReminderSkipped,
+  markReminderFailed,
+} from "../models/reminderModel.js";
+import { sendAssessmentReminderEmail } from "./emailService.js";
+
+/**
+ * Reminder Scheduler
+ * Sends due assessment reminder emails. State lives in assessment_reminders,
+ * so a restart simply picks up where the last run stopped.
+ */
+
+let reminderTimer = null;
+let running = false;
+
+const skipReason = (reminder) => {
+  if (!reminder.email) return "Student no longer exists";
+  if (!reminder.enrolled) return "Student is no longer enrolled";
+  if (reminder.reminder_opt_out) return "Student opted out of reminders";
+  if (reminder.completed) return "Student already completed the assessment";
+  if (!reminder.closes_at || new Date(reminder.closes_at) <= new Date()) return "Assessment is already closed";
+  return null;
+};
+
+export const runReminders = async () => {
+  // Skip a tick if the previous run is still sending
+  if (running) return;
+  running = true;
+  try {
+    const scheduled = await scheduleReminders();
+    if (scheduled > 0) {
+      console.log(`📅 Scheduled ${scheduled} assessment reminders`);
+    }
+
+    const due = await claimDueReminders();
+    let sent = 0;
+    for (const reminder of due) {
+      const reason = skipReason(reminder);
+      if (reason) {
+        await markReminderSkipped(reminder.id, reason);
+        continue;
+      }
+
+      try {
+        const hoursRemaining = Math.max(1, Math.round((new Date(reminder.closes_at) - new Date()) / (60 * 60 * 1000)));
+        await sendAssessmentReminderEmail(
+          reminder.email,
+          reminder.name,
+          reminder.title,
+          reminder.closes_at,
+          hoursRemaining,
+          reminder.timezone
+        );
+        await markReminderSent(reminder.id);
+        sent++;
+      } catch (error) {
+        console.error(`❌ Reminder ${reminder.id} failed:`, error.message);
+        await markReminderFailed(reminder.id, error.message);
+      }
+    }
+    if (sent > 0) {
+      console.log(`📧 Sent ${sent} assessment reminders`);
+    }
+  } catch (error) {
+    console.error("❌ Reminder run failed:", error.message);
+  } finally {
+    running = false;
+  }
+};
+
+export const startReminderScheduler = (intervalMs = 5 * 60 * 1000) => {
+  if (reminderTimer) return;
+  reminderTimer = setInterval(runReminders, intervalMs);
+  runReminders();
+};
+
+export const stopReminderScheduler = () => {
+  clearInterval(reminderTimer);
+  reminderTimer = null;
+};
@@ -0,0 +1,162 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Stub LLM Provider
+ * Offline stand-in for the real providers (LLM_PROVIDER=stub or LLM_<TASK>_PROVIDER=stub). Replies are deterministic
+ * and built from the JSON fixtures in fixtures/llm (or LLM_FIXTURES_DIR), recognising
+ * the prompts the app sends: question generation, answer grading and recommendations.
+ */
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "../fixtures/llm");
+
+const fixtureCache = {};
+
+const loadFixture = (name) => {
+  if (!fixtureCache[name]) {
+    const dir = process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    fixtureCache[name] = JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), "utf8"));
+  }
+  return fixtureCache[name];
+};
+
+const fill = (template, values) =>
+  String(template).replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+
+const letter = (index) => String.fromCharCode(65 + index);
+
+const BLOCK_LINE = /^Block (\d+): (\d+) (\w+)(?: with exactly (\d+) options each)?(?: \((\d+) left items, (\d+) right items each\))?(?:; difficulty: (\d+) easy, (\d+) medium, (\d+) hard)?$/gm;
+
+const buildStubQuestion = (templates, type, values, block) => {
+  const template = templates[type];
+  if (!template) throw new Error(`No stub fixture for question type ${type}`);
+  const question_text = fill(template.question_text, values);
+
+  if (type === "multiple_choice" || type === "multiple_select") {
+    const options = template.options.slice(0, block.numOptions || 4).map((text, i) => `${letter(i)}. ${text}`);
+    const correct_answer = type === "multiple_choice"
+      ? options[template.correct_index] || options[0]
+      : template.correct_indexes.map(i => options[i]).filter(Boolean);
+    return { question_text, options, correct_answer };
+  }
+
+  if (type === "matching") {
+    const pairs = {};
+    const left = [];
+    const right = [];
+    for (let i = 1; i <= Math.max(block.numRight || 0, block.numLeft || 3); i++) {
+      const rightItem = fill(template.right, { ...values, i });
+      right.push(rightItem);
+      if (i <= (block.numLeft || 3)) {
+        const leftItem = fill(template.left, { ...values, i });
+        left.push(leftItem);
+        pairs[leftItem] = rightItem;
+      }
+    }
+    return { question_text, options: { left, right }, correct_answer: { pairs } };
+  }
+
+  return {
+    question_text,
+    options: type === "true_false" ? ["true", "false"] : null,
+    correct_answer: template.correct_answer,
+  };
+};
+
+// Schema-valid questions for every "Block N: count type" line of a generation prompt
+const stubQuestions = (prompt) => {
+  const templates = loadFixture("questions");
+  const title = (prompt.match(/^Title: "(.*)"$/m) || [])[1] || "the topic";
+  const chunkId = (prompt.match(/\[Chunk (\d+)\]/) || [])[1];
+  // The assessment's topic list when it has one, otherwise the title as the only topic
+  const topicList = (prompt.match(/copied exactly from this list: (.*)\)$/m) || [])[1];
+  const topics = topicList ? topicList.split("; ") : [title];
+  // Number past questions already accepted so repair rounds never repeat them
+  let n = (prompt.match(/already accepted:\n((?:- .*\n?)*)/) || ["", ""])[1].split("\n").filter(Boolean).length;
+
+  const questions = [];
+  for (const match of prompt.matchAll(BLOCK_LINE)) {
+    const [, blockNumber, count, type, numOptions, numLeft, numRight, easy, medium, hard] = match;
+    // Numbered learning objectives listed under the block line, answered round-robin
+    const details = prompt.slice(match.index + match[0].length).split(/\n(?!\s)/)[0];
+    const objectives = (details.match(/^ {4}\d+\. /gm) || []).length;
+    const block = { numOptions: Number(numOptions) || 0, numLeft: Number(numLeft) || 0, numRight: Number(numRight) || 0 };
+    // Requested difficulty mix in order, medium when the block has none
+    const difficulties = easy === undefined
+      ? []
+      : [["easy", easy], ["medium", medium], ["hard", hard]].flatMap(([level, k]) => Array(Number(k)).fill(level));
+    for (let i = 0; i < Number(count); i++) {
+      n++;
+      questions.push({
+        block: Number(blockNumber),
+        question_type: type,
+        difficulty: difficulties[i] || "medium",
+        topics: [topics[(n - 1) % topics.length]],
+        ...(objectives > 0 && { objective: (i % objectives) + 1 }),
+        ...buildStubQuestion(templates, type, { title, n, type }, block),
+        positive_marks: 1,
+        negative_marks: 0,
+        duration_per_question: 60,
+        source_chunk_ids: chunkId ? [Number(chunkId)] : [],
+      });
+    }
+  }
+  return questions;
+};
+
+const gradeWithFixture = (kind, answer) => {
+  const fixture = loadFixture("grading")[kind];
+  const rule = (fixture.rules || []).find(r => new RegExp(r.answer_matches, r.flags || "").test(answer));
+  return rule || fixture.default;
+};
+
+const readJsonAfter = (prompt, label) => {
+  const match = prompt.match(new RegExp(`^${label} (.*)$`, "m"));
+  if (!match) return "";
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    return match[1];
+  }
+};
+
+const stubReply = (prompt) => {
+  if (prompt.includes("QUESTIONS NEEDED:")) {
+    return JSON.stringify(stubQuestions(prompt));
+  }
+
+  if (prompt.startsWith("You are grading a student's essay")) {
+    const verdict = gradeWithFixture("essay", String(readJsonAfter(prompt, "Student essay:")));
+    const criteria = readJsonAfter(prompt, "Rubric criteria \\(JSON\\):");
+    return JSON.stringify({
+      criteria: (Array.isArray(criteria) ? criteria : []).map(c => ({ criterion: c.criterion, score: verdict.score })),
+      score: verdict.score,
+      rationale: verdict.rationale,
+    });
+  }
+
+  if (prompt.startsWith("You are grading a student's short answer")) {
+    const verdict = gradeWithFixture("short_answer", String(readJsonAfter(prompt, "Student answer:")));
+    return JSON.stringify({ score: verdict.score, rationale: verdict.rationale });
+  }
+
+  if (prompt.includes("Generate learning recommendations")) {
+    return JSON.stringify(loadFixture("recommendations"));
+  }
+
+  return "Stub response";
+};
+
+/**
+ * Stub provider client
+ * @param {Object} config - Task settings from llmConfig
+ */
+export const createStubClient = (config) => ({
+  ...config,
+  generate: async (prompt) => {
+    const text = stubReply(String(prompt).trim());
+    // Rough 4-characters-per-token estimate so usage counters move in development
+    return { text, usage: { inputTokens: Math.ceil(String(prompt).length / 4), outputTokens: Math.ceil(text.length / 4) } };
+  },
+});
@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  evaluateShortAnswer,
+  evaluateMatchingAnswer,
+  evaluateMultipleSelect,
+  evaluateNumericAnswer,
+  scoreAnswer,
+} from "../services/gradingService.js";
+
+const rubric = {
+  grading_type: "keyword_match",
+  required_keywords: ["concept", { keyword: "example", weight: 1, synonyms: ["instance"] }],
+  optional_keywords: ["because"],
+  min_required_match: 2,
+};
+
+test("short answers tolerate small misspellings and match synonyms", () => {
+  const result = evaluateShortAnswer("The concpt is shown by this instance", rubric);
+  assert.equal(result.fraction, 1);
+  assert.deepEqual(result.matched, ["concept", "example"]);
+  assert.deepEqual(result.missing, []);
+});
+
+test("short words must be spelled exactly and fuzzy matching can be turned off", () => {
+  assert.equal(evaluateShortAnswer("a tac", { required_keywords: ["cat"] }).fraction, 0);
+  assert.equal(evaluateShortAnswer("photosynthsis", { required_keywords: ["photosynthesis"], fuzzy: false }).fraction, 0);
+  assert.equal(evaluateShortAnswer("photosynthsis", { required_keywords: ["photosynthesis"] }).fraction, 1);
+});
+
+test("short answers earn partial credit by keyword weight, with optional bonus", () => {
+  const partial = evaluateShortAnswer("an example", rubric);
+  assert.equal(partial.fraction, 0.5);
+  assert.deepEqual(partial.missing, ["concept"]);
+
+  const bonus = evaluateShortAnswer("an example because", rubric);
+  assert.equal(bonus.fraction, 0.75);
+  assert.deepEqual(bonus.bonus, ["because"]);
+
+  const weighted = evaluateShortAnswer("mitochondria", {
+    required_keywords: [{ keyword: "mitochondria", weight: 3 }, "energy"],
+  });
+  assert.equal(weighted.fraction, 0.75);
+
+  const anyOne = evaluateShortAnswer("energy", { required_keywords: ["energy", "atp"], min_required_match: 1 });
+  assert.equal(anyOne.fraction, 1);
+});
+
+test("scoreAnswer applies marks and negative marks to choice questions", () => {
+  const mcq = { question_type: "multiple_choice", correct_answer: "B. Nitrogen", positive_marks: 2, negative_marks: 0.5 };
+  assert.equal(scoreAnswer(mcq, " b. nitrogen ").score, 2);
+  assert.equal(scoreAnswer(mcq, "A. Oxygen").score, -0.5);
+  assert.equal(scoreAnswer(mcq, null).score, 0);
+
+  const trueFalse = { question_type: "true_false", correct_answer: "true", positive_marks: 1 };
+  assert.equal(scoreAnswer(trueFalse, true).isCorrect, true);
+});
+
+test("scoreAnswer gives proportional marks for short answers", () => {
+  const shortAnswer = { question_type: "short_answer", correct_answer: JSON.stringify(rubric), positive_marks: 2, negative_marks: 1 };
+  const graded = scoreAnswer(shortAnswer, "just an example");
+  assert.equal(graded.score, 1);
+  assert.equal(graded.rationale, "Matched: example. Missing: concept.");
+
+  assert.equal(scoreAnswer(shortAnswer, "no idea").score, -1);
+  assert.equal(scoreAnswer(shortAnswer, null).score, 0);
+});
+
+test("matching answers earn credit per correct pair", () => {
+  const key = { pairs: { H2O: "Water", NaCl: "Salt" } };
+  assert.equal(evaluateMatchingAnswer({ h2o: "water", NaCl: "Sugar" }, key).fraction, 0.5);
+  assert.equal(evaluateMatchingAnswer([{ left: "H2O", right: "Water" }, { left: "NaCl", right: "Salt" }], key).fraction, 1);
+  assert.equal(evaluateMatchingAnswer("not json", JSON.stringify(key)).answered, 0);
+});
+
+test("scoreAnswer gives matching marks per pair and negative marks only when none is right", () => {
+  const matching = {
+    question_type: "matching",
+    correct_answer: JSON.stringify({ pairs: { H2O: "Water", NaCl: "Salt" } }),
+    positive_marks: 4,
+    negative_marks: 1,
+  };
+  const half = scoreAnswer(matching, { H2O: "Water", NaCl: "Water" });
+  assert.equal(half.score, 2);
+  assert.equal(half.rationale, "1 of 2 pairs matched correctly.");
+  assert.equal(scoreAnswer(matching, { H2O: "Salt", NaCl: "Water" }).score, -1);
+});
+
+test("scoreAnswer uses a checking-model grade and leaves ungraded essays pending", () => {
+  const essay = { question_type: "essay", correct_answer: "{}", positive_marks: 10 };
+  assert.deepEqual(scoreAnswer(essay, "A long essay", { fraction: 0.8, rationale: "Good" }), {
+    score: 8,
+    isCorrect: false,
+    rationale: "Good",
+    gradedBy: "ai",
+  });
+  assert.equal(scoreAnswer(essay, "A long essay").gradedBy, "pending");
+  assert.equal(scoreAnswer(essay, "").gradedBy, "auto");
+});
+
+test("multiple select scoring follows the block's partial credit mode", () => {
+  const key = (partial_credit) => ({ answers: ["A. Red", "B. Green", "C. Blue"], partial_credit });
+  const twoRightOneWrong = ["A. Red", "B. Green", "D. Black"];
+
+  assert.equal(evaluateMultipleSelect(twoRightOneWrong, key("right_minus_wrong")).fraction, 0.33);
+  assert.equal(evaluateMultipleSelect(twoRightOneWrong, key("partial")).fraction, 0);
+  assert.equal(evaluateMultipleSelect(["A. Red", "B. Green"], key("partial")).fraction, 0.67);
+  assert.equal(evaluateMultipleSelect(["A. Red", "B. Green"], key("all_or_nothing")).fraction, 0);
+  assert.equal(evaluateMultipleSelect(["C. Blue", "B. Green", "A. Red"], key("all_or_nothing")).fraction, 1);
+  // Keys stored as JSON text and answers saved as JSON text are parsed
+  assert.equal(evaluateMultipleSelect(JSON.stringify(["a. red"]), JSON.stringify(key("partial"))).fraction, 0.33);
+});
+
+test("multiple select never goes below zero and counts an empty selection as unanswered", () => {
+  const key = { answers: ["A. Red"], partial_credit: "right_minus_wrong" };
+  assert.equal(evaluateMultipleSelect(["B. Green", "C. Blue"], key).fraction, 0);
+  assert.equal(evaluateMultipleSelect([], key).answered, false);
+});
+
+test("numeric answers are checked within tolerance and unit", () => {
+  const key = { value: 9.81, tolerance: 0.05, tolerance_type: "absolute", unit: "m/s^2" };
+  assert.equal(evaluateNumericAnswer("9.8 m/s^2", key).correct, true);
+  assert.equal(evaluateNumericAnswer(9.78, key).correct, true);
+  assert.equal(evaluateNumericAnswer("9.7", key).correct, false);
+
+  const wrongUnit = evaluateNumericAnswer("9.81 km/h", key);
+  assert.equal(wrongUnit.correct, false);
+  assert.match(wrongUnit.reason, /Expected the answer in m\/s\^2/);
+
+  assert.equal(evaluateNumericAnswer("forty", key).reason, "The answer is not a number.");
+  assert.equal(evaluateNumericAnswer("", key).answered, false);
+});
+
+test("numeric answers accept relative tolerance, thousands separators and exact floats", () => {
+  assert.equal(evaluateNumericAnswer("1,020", { value: 1000, tolerance: 0.02, tolerance_type: "relative" }).correct, true);
+  assert.equal(evaluateNumericAnswer("1,030", { value: 1000, tolerance: 0.02, tolerance_type: "relative" }).correct, false);
+  assert.equal(evaluateNumericAnswer(0.1 + 0.2, JSON.stringify({ value: 0.3 })).correct, true);
+});
+
+test("scoreAnswer gives partial marks for multiple select and all or nothing for numeric", () => {
+  const multiSelect = {
+    question_type: "multiple_select",
+    correct_answer: JSON.stringify({ answers: ["A. Red", "B. Green"], partial_credit: "partial" }),
+    positive_marks: 4,
+    negative_marks: 1,
+  };
+  assert.equal(scoreAnswer(multiSelect, ["A. Red"]).score, 2);
+  assert.equal(scoreAnswer(multiSelect, ["A. Red", "C. Blue"]).score, -1);
+  assert.equal(scoreAnswer(multiSelect, []).score, 0);
+
+  const numeric = { question_type: "numeric", correct_answer: JSON.stringify({ value: 42 }), positive_marks: 3, negative_marks: 1 };
+  assert.equal(scoreAnswer(numeric, "42").score, 3);
+  assert.equal(scoreAnswer(numeric, "41").score, -1);
+  assert.equal(scoreAnswer(numeric, null).score, 0);
+});
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { createKeyPool } from "../services/llmKeyPool.js";
+
+const config = { task: "checking", provider: "stub", model: "stub" };
+
+const policy = {
+  keyCooldownMs: 1000,
+  maxKeyCooldownMs: 1500,
+  breakerThreshold: 2,
+  breakerResetMs: 20,
+};
+
+const keys = (count) => Array.from({ length: count }, (_, i) => ({ key: `test-key-000${i}`, client: { name: `client ${i}` } }));
+
+test("acquire hands out keys round robin", () => {
+  const pool = createKeyPool(config, keys(2), policy);
+  assert.deepEqual([pool.acquire(), pool.acquire(), pool.acquire()].map(entry => entry.index), [0, 1, 0]);
+  assert.equal(pool.stats().counters.calls, 3);
+  assert.equal(pool.stats().keys[0].hint, "…0000");
+});
+
+test("a rate limited key cools down and is skipped", () => {
+  const pool = createKeyPool(config, keys(2), policy);
+  const first = pool.acquire();
+  pool.recordFailure(first, { rateLimited: true });
+
+  assert.equal(pool.acquire().index, 1);
+  assert.equal(pool.acquire().index, 1);
+  assert.equal(pool.stats().keys[0].cooling_down, true);
+  assert.equal(pool.stats().counters.rateLimited, 1);
+});
+
+test("cooldowns double per strike up to the maximum and acquire returns null when every key cools", () => {
+  const pool = createKeyPool(config, keys(1), { ...policy, breakerThreshold: 10 });
+  const entry = pool.acquire();
+
+  pool.recordFailure(entry, { rateLimited: true });
+  assert.equal(pool.acquire(), null);
+  assert.ok(pool.nextAvailableIn() > 900 && pool.nextAvailableIn() <= 1000);
+
+  pool.recordFailure(entry, { rateLimited: true });
+  assert.ok(pool.nextAvailableIn() > 1000 && pool.nextAvailableIn() <= 1500);
+});
+
+test("a success clears the key's strikes", () => {
+  const pool = createKeyPool(config, keys(1), { ...policy, breakerThreshold: 10 });
+  const entry = pool.acquire();
+  pool.recordFailure(entry, { rateLimited: true });
+  pool.recordSuccess(entry, { inputTokens: 10, outputTokens: 4 });
+
+  assert.equal(entry.strikes, 0);
+  assert.equal(pool.stats().counters.inputTokens, 10);
+  assert.equal(pool.stats().counters.outputTokens, 4);
+});
+
+test("consecutive transient failures open the circuit", () => {
+  const pool = createKeyPool(config, keys(1), policy);
+  const entry = pool.acquire();
+  pool.recordFailure(entry, { transient: true });
+  assert.equal(pool.allowRequest(), true);
+
+  pool.recordFailure(entry, { transient: true });
+  assert.equal(pool.allowRequest(), false);
+  assert.equal(pool.stats().circuit.state, "open");
+  assert.equal(pool.stats().counters.circuitOpens, 1);
+  assert.equal(pool.stats().counters.rejected, 1);
+});
+
+test("bad requests do not count towards the circuit breaker", () => {
+  const pool = createKeyPool(config, keys(1), policy);
+  const entry = pool.acquire();
+  for (let i = 0; i < 5; i++) pool.recordFailure(entry, { rateLimited: false, transient: false });
+
+  assert.equal(pool.allowRequest(), true);
+  assert.equal(pool.stats().circuit.state, "closed");
+  assert.equal(pool.stats().counters.failures, 5);
+});
+
+test("an open circuit lets one trial through after the reset time; success closes it", async () => {
+  const pool = createKeyPool(config, keys(1), policy);
+  const entry = pool.acquire();
+  pool.recordFailure(entry, { transient: true });
+  pool.recordFailure(entry, { transient: true });
+
+  await sleep(policy.breakerResetMs + 10);
+  assert.equal(pool.stats().circuit.state, "half_open");
+  assert.equal(pool.allowRequest(), true);
+  assert.equal(pool.allowRequest(), false);
+
+  pool.recordSuccess(entry);
+  assert.equal(pool.allowRequest(), true);
+  assert.equal(pool.stats().circuit.state, "closed");
+});
+
+test("a failed trial re-opens the circuit and a released trial can be retried", async () => {
+  const pool = createKeyPool(config, keys(1), policy);
+  const entry = pool.acquire();
+  pool.recordFailure(entry, { transient: true });
+  pool.recordFailure(entry, { transient: true });
+
+  await sleep(policy.breakerResetMs + 10);
+  assert.equal(pool.allowRequest(), true);
+  pool.release();
+  assert.equal(pool.allowRequest(), true);
+
+  pool.recordFailure(entry, { transient: true });
+  assert.equal(pool.allowRequest(), false);
+  assert.equal(pool.stats().circuit.state, "open");
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validateDifficultyDistribution,
+  difficultyTargets,
+  pickByDifficulty,
+  shuffle,
+  shuffleChoiceOptions,
+} from "../services/questionFairness.js";
+
+test("validateDifficultyDistribution accepts no target and percentages that add up to 100", () => {
+  assert.equal(validateDifficultyDistribution(null), null);
+  assert.equal(validateDifficultyDistribution(""), null);
+  assert.equal(validateDifficultyDistribution({ easy: 30, medium: 50, hard: 20 }), null);
+  assert.equal(validateDifficultyDistribution({ medium: 100 }), null);
+});
+
+test("validateDifficultyDistribution rejects unknown levels, bad numbers and wrong totals", () => {
+  assert.match(validateDifficultyDistribution([30, 70]), /object of percentages/);
+  assert.match(validateDifficultyDistribution({ easy: 50, extreme: 50 }), /Unknown difficulty level: extreme/);
+  assert.match(validateDifficultyDistribution({ easy: 50.5, hard: 49.5 }), /whole numbers/);
+  assert.match(validateDifficultyDistribution({ easy: 50, hard: 40 }), /add up to 100/);
+});
+
+test("difficultyTargets splits a block by largest remainder", () => {
+  const block = { question_count: 7, difficulty_distribution: { easy: 30, medium: 50, hard: 20 } };
+  // 2.1 / 3.5 / 1.4: the leftover question goes to medium
+  assert.deepEqual(difficultyTargets(block), { easy: 2, medium: 4, hard: 1 });
+  assert.deepEqual(difficultyTargets(block, 10), { easy: 3, medium: 5, hard: 2 });
+  assert.equal(difficultyTargets({ question_count: 5, difficulty_distribution: null }), null);
+});
+
+test("pickByDifficulty meets every level's target or returns null", () => {
+  const candidates = [
+    { id: 1, difficulty: "hard" },
+    { id: 2, difficulty: "easy" },
+    { id: 3, difficulty: "medium" },
+    { id: 4, difficulty: "easy" },
+    { id: 5, difficulty: "medium" },
+  ];
+  const picked = pickByDifficulty(candidates, { easy: 1, medium: 2, hard: 1 });
+  assert.deepEqual(picked.map(row => row.id), [2, 3, 5, 1]);
+  assert.equal(pickByDifficulty(candidates, { easy: 3, medium: 0, hard: 0 }), null);
+});
+
+test("shuffle returns a permutation without changing its input", () => {
+  const items = [1, 2, 3, 4, 5, 6];
+  const shuffled = shuffle(items);
+  assert.deepEqual(items, [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual([...shuffled].sort(), items);
+});
+
+test("shuffle puts every item in every position about equally often", () => {
+  const counts = [0, 0, 0];
+  for (let i = 0; i < 3000; i++) counts[shuffle(["a", "b", "c"]).indexOf("a")]++;
+  for (const count of counts) assert.ok(count > 850 && count < 1150, `position count ${count}`);
+});
+
+test("shuffleChoiceOptions re-letters array options and keeps the key on the same text", () => {
+  const q = {
+    question_type: "multiple_choice",
+    options: ["A. Oxygen", "B. Nitrogen", "C. Helium", "D. Argon"],
+    correct_answer: "B. Nitrogen",
+  };
+  for (let i = 0; i < 20; i++) {
+    const shuffled = shuffleChoiceOptions(q);
+    assert.deepEqual(shuffled.options.map(option => option.slice(0, 3)), ["A. ", "B. ", "C. ", "D. "]);
+    assert.deepEqual(shuffled.options.map(option => option.slice(3)).sort(), ["Argon", "Helium", "Nitrogen", "Oxygen"]);
+    assert.ok(shuffled.options.includes(shuffled.correct_answer));
+    assert.equal(shuffled.correct_answer.slice(3), "Nitrogen");
+  }
+});
+
+test("shuffleChoiceOptions rewrites multiple select keys and object options", () => {
+  const q = {
+    question_type: "multiple_select",
+    options: { A: "Red", B: "Green", C: "Blue", D: "Black" },
+    correct_answer: { answers: ["A. Red", "C. Blue"], partial_credit: "partial" },
+  };
+  const shuffled = shuffleChoiceOptions(q);
+  assert.deepEqual(Object.keys(shuffled.options), ["A", "B", "C", "D"]);
+  assert.equal(shuffled.correct_answer.partial_credit, "partial");
+  const keyed = shuffled.correct_answer.answers.map(answer => shuffled.options[answer[0]]).sort();
+  assert.deepEqual(keyed, ["Blue", "Red"]);
+});
+
+test("shuffleChoiceOptions leaves other question types alone", () => {
+  const q = { question_type: "true_false", options: ["true", "false"], correct_answer: true };
+  assert.equal(shuffleChoiceOptions(q), q);
+});
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateGeneratedQuestion, parseQuestionArray, findOption } from "../services/questionValidator.js";
+
+const block = (question_type, extra = {}) => ({
+  question_type,
+  question_count: 2,
+  num_options: null,
+  positive_marks: 2,
+  negative_marks: 0.5,
+  duration_per_question: 90,
+  ...extra,
+});
+
+const question = (fields) => ({
+  question_text: "A question?",
+  difficulty: "medium",
+  topics: ["Photosynthesis"],
+  ...fields,
+});
+
+test("the block's type, marks and time are forced onto a valid question", () => {
+  const { question: valid, errors } = validateGeneratedQuestion(question({
+    question_type: "multiple_choice",
+    options: ["A. Oxygen", "B. Nitrogen", "C. Helium", "D. Argon"],
+    correct_answer: "b",
+    positive_marks: 10,
+    duration_per_question: 5,
+  }), block("multiple_choice", { num_options: 4 }));
+
+  assert.deepEqual(errors, []);
+  assert.equal(valid.correct_answer, "B. Nitrogen");
+  assert.equal(valid.positive_marks, 2);
+  assert.equal(valid.negative_marks, 0.5);
+  assert.equal(valid.duration_per_question, 90);
+  assert.deepEqual(valid.topics, ["photosynthesis"]);
+});
+
+test("multiple select keys are resolved and carry the block's partial credit mode", () => {
+  const { question: valid } = validateGeneratedQuestion(question({
+    options: ["A. Red", "B. Green", "C. Blue"],
+    correct_answer: ["A. Red", "c"],
+  }), block("multiple_select", { partial_credit: "partial" }));
+  assert.deepEqual(valid.correct_answer, { answers: ["A. Red", "C. Blue"], partial_credit: "partial" });
+});
+
+test("true/false, short answer, essay and numeric keys are normalized", () => {
+  const trueFalse = validateGeneratedQuestion(question({ correct_answer: "TRUE" }), block("true_false")).question;
+  assert.deepEqual(trueFalse.options, ["true", "false"]);
+  assert.equal(trueFalse.correct_answer, true);
+
+  const shortAnswer = validateGeneratedQuestion(question({
+    correct_answer: { required_keywords: ["chlorophyll", "light"], min_required_match: 5 },
+  }), block("short_answer")).question;
+  assert.equal(shortAnswer.correct_answer.grading_type, "keyword_match");
+  assert.equal(shortAnswer.correct_answer.min_required_match, 2);
+
+  const essay = validateGeneratedQuestion(question({
+    correct_answer: { criteria: [{ criterion: "Thesis" }] },
+  }), block("essay")).question;
+  assert.equal(essay.correct_answer.grading_type, "rubric");
+
+  const numeric = validateGeneratedQuestion(question({
+    correct_answer: { value: "42", tolerance: -0.5, unit: "kg" },
+  }), block("numeric")).question;
+  assert.deepEqual(numeric.correct_answer, { value: 42, tolerance: 0.5, tolerance_type: "absolute", unit: "kg" });
+
+  const blockTolerance = validateGeneratedQuestion(question({ correct_answer: 10 }),
+    block("numeric", { numeric_tolerance: "0.1", numeric_tolerance_type: "relative" })).question;
+  assert.deepEqual(blockTolerance.correct_answer, { value: 10, tolerance: 0.1, tolerance_type: "relative", unit: null });
+});
+
+test("matching pairs are kept only for listed items and the right column is sorted", () => {
+  const { question: valid, errors } = validateGeneratedQuestion(question({
+    options: { left: ["H2O", "NaCl"], right: ["Water", "Salt", "Sugar"] },
+    correct_answer: [{ left: "H2O", right: "Water" }, { left: "NaCl", right: "Salt" }, { left: "CO2", right: "Gas" }],
+  }), block("matching", { num_first_side: 2, num_second_side: 3 }));
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(valid.correct_answer, { pairs: { H2O: "Water", NaCl: "Salt" } });
+  assert.deepEqual(valid.options.right, ["Salt", "Sugar", "Water"]);
+});
+
+test("a learning objective number is resolved to its text and must be in range", () => {
+  const objectiveBlock = block("true_false", { learning_objectives: ["Define photosynthesis", "Name its products"] });
+  const { question: valid } = validateGeneratedQuestion(question({ correct_answer: true, objective: 2 }), objectiveBlock);
+  assert.equal(valid.learning_objective, "Name its products");
+
+  const { errors } = validateGeneratedQuestion(question({ correct_answer: true, objective: 3 }), objectiveBlock);
+  assert.match(errors.join(), /objective must be the number of one of the block's learning objectives \(1-2\)/);
+
+  assert.equal(validateGeneratedQuestion(question({ correct_answer: true }), block("true_false")).question.learning_objective, null);
+});
+
+test("invalid questions are rejected with every problem listed", () => {
+  const { question: invalid, errors } = validateGeneratedQuestion({
+    question_type: "multiple_choice",
+    question_text: " ",
+    options: ["A. One", "B. Two", "C. Three"],
+    correct_answer: "D. Four",
+    difficulty: "impossible",
+    topics: [],
+  }, block("multiple_choice", { num_options: 4 }));
+
+  assert.equal(invalid, null);
+  assert.ok(errors.includes("question_text is required"));
+  assert.ok(errors.some(e => e.startsWith("difficulty must be one of")));
+  assert.ok(errors.some(e => e.startsWith("topics must list")));
+  assert.ok(errors.some(e => e.startsWith("options must list exactly 4 choices")));
+  assert.ok(errors.includes("correct_answer must be one of the options"));
+});
+
+test("a question of the wrong type or a non-object is rejected", () => {
+  assert.match(validateGeneratedQuestion(question({ question_type: "essay" }), block("true_false")).errors.join(), /question_type must be true_false/);
+  assert.deepEqual(validateGeneratedQuestion(["not", "a question"], block("essay")).errors, ["question must be a JSON object"]);
+  assert.match(validateGeneratedQuestion(question({ correct_answer: {} }), block("short_answer")).errors.join(), /required_keywords/);
+});
+
+test("topics must come from the assessment's list and are mapped onto it", () => {
+  const { errors } = validateGeneratedQuestion(question({ correct_answer: true, topics: ["astronomy"] }),
+    block("true_false"), { topics: ["optics"] });
+  assert.match(errors.join(), /topics must come from the list: optics/);
+
+  const { question: valid } = validateGeneratedQuestion(question({ correct_answer: true, topics: [" Optics "] }),
+    block("true_false"), { topics: ["optics"] });
+  assert.deepEqual(valid.topics, ["optics"]);
+});
+
+test("findOption matches a letter, the stored text or the bare text", () => {
+  const options = ["A. Oxygen", "B. Nitrogen"];
+  assert.equal(findOption(options, "b"), "B. Nitrogen");
+  assert.equal(findOption(options, "B. Nitrogen"), "B. Nitrogen");
+  assert.equal(findOption(options, " nitrogen "), "B. Nitrogen");
+  assert.equal(findOption({ A: "Oxygen", B: "Nitrogen" }, "Oxygen"), "A. Oxygen");
+  assert.equal(findOption(options, "Helium"), null);
+});
+
+test("parseQuestionArray strips code fences and trailing commas", () => {
+  assert.deepEqual(parseQuestionArray("```json\n[{\"a\": 1},]\n```"), [{ a: 1 }]);
+  assert.throws(() => parseQuestionArray("no questions here"), /No JSON array found/);
+  assert.throws(() => parseQuestionArray("[{\"a\": }]"), /Malformed JSON/);
+});
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStubClient } from "../services/stubLlmProvider.js";
+import { validateGeneratedQuestion, parseQuestionArray } from "../services/questionValidator.js";
+
+// Every task runs on the stub, so nothing below needs an API key or network access
+process.env.LLM_PROVIDER = "stub";
+
+const stub = createStubClient({ task: "creation", provider: "stub", model: "stub" });
+
+const block = (question_type, extra = {}) => ({
+  question_type,
+  question_count: 2,
+  num_options: null,
+  positive_marks: 2,
+  negative_marks: 0.5,
+  duration_per_question: 90,
+  ...extra,
+});
+
+// The parts of a generation prompt the stub provider reads
+const generationPrompt = (blockLines, topics = []) => `
+Title: "Photosynthesis"
+[Chunk 12] Plants turn light into chemical energy.
+
+QUESTIONS NEEDED:
+${blockLines.join("\n")}
+
+   - topics (${topics.length > 0 ? `1 to 3 topics the question tests, copied exactly from this list: ${topics.join("; ")}` : "1 to 3 short topic names"})
+`;
+
+const generate = async (blockLines, topics) => parseQuestionArray((await stub.generate(generationPrompt(blockLines, topics))).text);
+
+test("stub questions for every type pass validation against their block", async () => {
+  const blocks = [
+    block("multiple_choice", { num_options: 4 }),
+    block("multiple_select", { num_options: 5, partial_credit: "partial" }),
+    block("true_false"),
+    block("short_answer"),
+    block("essay"),
+    block("matching", { num_first_side: 3, num_second_side: 4 }),
+    block("numeric"),
+  ];
+  const raw = await generate([
+    "Block 1: 2 multiple_choice with exactly 4 options each",
+    "Block 2: 2 multiple_select with exactly 5 options each",
+    "Block 3: 2 true_false",
+    "Block 4: 2 short_answer",
+    "Block 5: 2 essay",
+    "Block 6: 2 matching (3 left items, 4 right items each)",
+    "Block 7: 2 numeric",
+  ]);
+  assert.equal(raw.length, 14);
+
+  for (const q of raw) {
+    const target = blocks[q.block - 1];
+    const { question, errors } = validateGeneratedQuestion(q, target);
+    assert.deepEqual(errors, [], `${q.question_type}: ${errors.join("; ")}`);
+    assert.equal(question.question_type, target.question_type);
+    assert.deepEqual(question.source_chunk_ids, [12]);
+  }
+
+  const mcq = validateGeneratedQuestion(raw[0], blocks[0]).question;
+  assert.equal(mcq.options.length, 4);
+  assert.equal(mcq.correct_answer, "A. Option one is correct");
+
+  const matching = validateGeneratedQuestion(raw[10], blocks[5]).question;
+  assert.equal(Object.keys(matching.correct_answer.pairs).length, 3);
+  assert.equal(matching.options.right.length, 4);
+});
+
+test("stub replies are deterministic and never repeat accepted questions", async () => {
+  const first = await generate(["Block 1: 2 true_false"]);
+  assert.deepEqual(await generate(["Block 1: 2 true_false"]), first);
+
+  const repair = await stub.generate(`${generationPrompt(["Block 1: 1 true_false"])}
+Do NOT repeat these questions, which are already accepted:
+${first.map(q => `- ${q.question_text}`).join("\n")}
+`);
+  const [next] = parseQuestionArray(repair.text);
+  assert.ok(!first.some(q => q.question_text === next.question_text));
+  assert.match(next.question_text, /question 3/);
+});
+
+test("stub usage is estimated from the prompt and reply length", async () => {
+  const { text, usage } = await stub.generate("x".repeat(400));
+  assert.equal(text, "Stub response");
+  assert.deepEqual(usage, { inputTokens: 100, outputTokens: 4 });
+});
+
+test("grading and recommendations run offline through the configured stub", async () => {
+  // Imported after LLM_PROVIDER is set, since the task settings are read on load
+  const { gradeAnswersWithAI } = await import("../services/gradingService.js");
+  const { getRecommendationModel, generateContent } = await import("../services/geminiService.js");
+
+  const shortAnswer = {
+    id: 1,
+    question_type: "short_answer",
+    question_text: "Why do leaves look green?",
+    correct_answer: JSON.stringify({ required_keywords: ["chlorophyll"] }),
+  };
+  const essay = {
+    id: 2,
+    question_type: "essay",
+    question_text: "Discuss photosynthesis.",
+    correct_answer: JSON.stringify({ criteria: [{ criterion: "Thesis", weight: 1 }, { criterion: "Evidence", weight: 2 }] }),
+  };
+  const grades = await gradeAnswersWithAI([
+    { question: shortAnswer, studentAnswer: "I have no idea" },
+    { question: essay, studentAnswer: "Too short to pass." },
+  ]);
+  assert.deepEqual(grades[1], { answer: "I have no idea", fraction: 0, rationale: "The answer does not address the question." });
+  assert.equal(grades[2].fraction, 0.25);
+  assert.equal(grades[2].rationale, "The essay is too short to meet the rubric.");
+
+  const model = await getRecommendationModel();
+  assert.equal(model.provider, "stub");
+  const recommendations = JSON.parse(await generateContent(model, "Generate learning recommendations for this student"));
+  assert.equal(recommendations.weak_areas[0].topic, "General");
+});
+
+test("stub questions follow the requested difficulty mix", async () => {
+  const raw = await generate(["Block 1: 4 multiple_choice; difficulty: 1 easy, 2 medium, 1 hard"]);
+  assert.deepEqual(raw.map(q => q.difficulty), ["easy", "medium", "medium", "hard"]);
+});
+
+test("stub questions spread across the block's learning objectives", async () => {
+  const objectiveBlock = block("true_false", { learning_objectives: ["Define photosynthesis", "Name its products"] });
+  const raw = await generate(["Block 1: 3 true_false\n  Learning objectives (spread the questions across them):\n    1. Define photosynthesis\n    2. Name its products"]);
+  const objectives = raw.map(q => validateGeneratedQuestion(q, objectiveBlock).question.learning_objective);
+  assert.deepEqual(objectives, ["Define photosynthesis", "Name its products", "Define photosynthesis"]);
+});
+
+test("stub questions take their topics from the assessment's list", async () => {
+  const topics = ["light reactions", "calvin cycle"];
+  const raw = await generate(["Block 1: 3 multiple_choice"], topics);
+  for (const q of raw) {
+    const { question, errors } = validateGeneratedQuestion(q, block("multiple_choice"), { topics });
+    assert.deepEqual(errors, []);
+    assert.ok(topics.includes(question.topics[0]));
+  }
+});